@@ -1,6 +1,7 @@
 // main.js
 const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs'); // Original fs for sync checks
 const fsp = require('fs').promises; // fs.promises for async operations
 const Store = require('electron-store'); // ** ADDED: For settings persistence **
@@ -23,7 +24,14 @@ console.log(`Application data path configured to: ${userDataPath}`);
 
 // Setup paths
 const csvPath = path.join(userDataPath, 'bookmarks.csv');
+const dbPath = path.join(userDataPath, 'bookmarks.db');
 const screenshotDir = path.join(userDataPath, 'screenshots');
+const pagesDir = path.join(userDataPath, 'pages'); // Offline copies of bookmarked pages
+const articleDir = path.join(userDataPath, 'articles'); // Extracted article text
+const faviconDir = path.join(userDataPath, 'favicons');
+const thumbnailDir = path.join(userDataPath, 'thumbnails'); // Small screenshots for the grid
+const historyDir = path.join(userDataPath, 'history'); // Change history of watched pages
+const backupDir = path.join(userDataPath, 'backups');
 
 // --- Settings Management ---
 const store = new Store({
@@ -31,9 +39,33 @@ const store = new Store({
     defaults: {
         darkMode: false,
         headless: true, // Default to headless
+        browserMaxPages: 2, // Pages the shared scraping browser may have open at once
+        browserIdleSeconds: 60, // Close the shared browser after this long without work (0 = keep it open)
+        queueConcurrency: 2, // URLs the background add queue processes at once
+        archiveFormat: 'none', // Offline copy saved with each new bookmark: 'none', 'mhtml' or 'html' (utils/page_archive.js)
+        // Screenshot capture, see utils/screenshot_options.js
+        screenshotWidth: 1280,
+        screenshotHeight: 720,
+        screenshotFullPage: false,
+        screenshotDevice: '', // A DEVICES name to emulate instead of the desktop viewport
+        screenshotDelayMs: 0, // Wait this long after the page loads before capturing
+        screenshotFormat: 'png', // 'png', 'jpeg' or 'webp'
+        screenshotQuality: 80, // JPEG and WebP only
         llmApiUrl: 'https://api.deepseek.com/v1/chat/completions',
         llmModel: 'deepseek-chat',
         llmApiKey: process.env.DEEPSEEK_API_KEY || '', // Use .env as initial default only
+        storageBackend: 'csv', // 'csv' or 'sqlite'; applied on next start
+        backupIntervalHours: 24, // 0 disables scheduled snapshots
+        backupMaxSnapshots: 20,
+        backupMaxAgeDays: 30,
+        backupIncludeScreenshots: false,
+        trashRetentionDays: 30, // Trashed bookmarks are purged after this many days (0 = never)
+        linkCheckIntervalDays: 30, // Re-check each bookmark's link after this many days (0 = only on demand)
+        watchIntervalHours: 24, // Re-fetch watched pages for changes after this many hours (0 = only on demand)
+        smartCollections: [], // Saved views: { id, name, query, tags, filter }, in sidebar order
+        scrapingRules: [], // Per-site page loading adjustments, see utils/scraping_rules.js
+        folders: [], // Folder paths ("Projects/Client A"), so empty folders are kept
+        importMappings: {}, // CSV column mappings by header signature, see utils/column_mapping.js
     },
     // Ensure it uses the portable path we set
     cwd: userDataPath,
@@ -43,13 +75,42 @@ const store = new Store({
 console.log(`Settings file path: ${store.path}`);
 
 // --- Managers and Clients (Initialize dynamically based on settings) ---
-const BookmarkManager = require('./utils/csv_manager');
+const { createBookmarkStore, migrateLibrary } = require('./utils/bookmark_store');
 const URLProcessor = require('./utils/url_processor');
+const { extractURLs } = require('./utils/url_processor');
+const JobQueue = require('./utils/job_queue');
+const BrowserPool = require('./utils/browser_pool');
 const LLMClient = require('./utils/llm_clients');
+const BackupManager = require('./utils/backup_manager');
+const SearchIndex = require('./utils/search_index');
+const SearchQuery = require('./utils/search_query');
+const FolderManager = require('./utils/folder_manager');
+const { parseNetscapeBookmarks, toBookmarkRows } = require('./utils/netscape_bookmarks');
+const { EXPORTERS, getExporter, formatForPath, exportBookmarks } = require('./utils/exporters');
+const { generateId, normalizeURL, normalizeSuppliedFields, mergeTags, readCSVTable } = require('./utils/csv_manager');
+const { STRATEGIES, previewImport, planImport } = require('./utils/import_preview');
+const { FILE_FIELDS, readArchive, unpackFiles } = require('./utils/library_archive');
+const { ARCHIVE_FORMATS } = require('./utils/page_archive');
+const { readingMinutes } = require('./utils/article_extractor');
+const { checkLink } = require('./utils/link_checker');
+const PageMonitor = require('./utils/page_monitor');
+const { compareScreenshots } = require('./utils/page_monitor');
+const { normalizeScreenshotOptions } = require('./utils/screenshot_options');
+const { normalizeRule } = require('./utils/scraping_rules');
+const {
+  MAPPABLE_FIELDS, headerSignature, isNativeLayout, suggestMapping, applyMapping,
+} = require('./utils/column_mapping');
 
 let llmClient; // To be initialized
 let urlProcessor; // To be initialized
-const bookmarkManager = new BookmarkManager(csvPath); // CSV path is fixed
+// One browser shared by every URLProcessor; it survives re-initialization when LLM settings change
+const browserPool = new BrowserPool({
+    maxPages: store.get('browserMaxPages', 2),
+    idleTimeoutMs: store.get('browserIdleSeconds', 60) * 1000,
+});
+let bookmarkManager; // Storage backend, initialized once the app is ready
+const searchIndex = new SearchIndex(); // Ranked full-text search, kept in sync by the IPC handlers
+const pageMonitor = new PageMonitor(historyDir);
 
 function initializeServices() {
     const settings = store.get();
@@ -75,8 +136,8 @@ function initializeServices() {
         currentApiKey
     );
 
-    // URLProcessor needs the screenshot directory and the LLM client
-    urlProcessor = new URLProcessor(screenshotDir, llmClient);
+    // URLProcessor needs the screenshot, offline copy, article, favicon and thumbnail directories and the LLM client
+    urlProcessor = new URLProcessor(screenshotDir, llmClient, browserPool, { archiveDir: pagesDir, articleDir, faviconDir, thumbnailDir });
 
     console.log("LLM and URL Processor services initialized/updated.");
 }
@@ -84,6 +145,164 @@ function initializeServices() {
 // Initialize services on startup
 initializeServices();
 
+// --- Backups ---
+const backupManager = new BackupManager(backupDir, {
+    getStore: () => bookmarkManager,
+    screenshotDir
+});
+const BACKUP_THROTTLE_MS = 5 * 60 * 1000; // At most one automatic snapshot per reason every 5 minutes
+const lastBackupAt = {};
+let backupTimer = null;
+
+// Snapshot the library and apply the retention policy. Automatic snapshots are throttled
+// and never fail the operation that triggered them.
+async function takeBackup(reason, { automatic = true } = {}) {
+    if (automatic && lastBackupAt[reason] && Date.now() - lastBackupAt[reason] < BACKUP_THROTTLE_MS) {
+        return null;
+    }
+    try {
+        const snapshot = await backupManager.createSnapshot(reason, {
+            includeScreenshots: store.get('backupIncludeScreenshots', false)
+        });
+        lastBackupAt[reason] = Date.now();
+        await backupManager.pruneSnapshots({
+            maxSnapshots: store.get('backupMaxSnapshots', 20),
+            maxAgeDays: store.get('backupMaxAgeDays', 30)
+        });
+        return snapshot;
+    } catch (error) {
+        console.error(`Backup '${reason}' failed:`, error);
+        if (!automatic) throw error;
+        return null;
+    }
+}
+
+// Take a scheduled snapshot when the newest one is older than the configured interval
+async function runScheduledBackup() {
+    const intervalHours = Number(store.get('backupIntervalHours', 24));
+    if (!bookmarkManager || !(intervalHours > 0)) return;
+    try {
+        const latest = await backupManager.getLatestSnapshot();
+        const ageMs = latest ? Date.now() - new Date(latest.createdAt).getTime() : Infinity;
+        if (ageMs >= intervalHours * 60 * 60 * 1000) {
+            await takeBackup('scheduled');
+        }
+    } catch (error) {
+        console.error('Scheduled backup check failed:', error);
+    }
+}
+
+// --- Trash ---
+const isInTrash = (bookmark) => Boolean(bookmark.Deleted);
+let trashPurgeTimer = null;
+
+// Permanently remove a bookmark, its files and its change history
+async function purgeBookmark(bookmark) {
+    await bookmarkManager.deleteBookmark(bookmark.ID);
+    searchIndex.remove(bookmark.ID);
+    await removeReplacedFiles(bookmark);
+    await pageMonitor.removeHistory(bookmark.ID);
+    console.log(`Purged bookmark ${bookmark.ID} (${bookmark.URL}).`);
+}
+
+// Purge trashed bookmarks older than the retention period
+async function purgeExpiredTrash() {
+    const retentionDays = Number(store.get('trashRetentionDays', 30));
+    if (!bookmarkManager || !(retentionDays > 0)) return 0;
+    try {
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const bookmarks = await bookmarkManager.getBookmarks();
+        const expired = bookmarks.filter(b => isInTrash(b) && new Date(b.Deleted).getTime() < cutoff);
+        if (expired.length === 0) return 0;
+
+        await takeBackup('before-purge');
+        for (const bookmark of expired) {
+            await purgeBookmark(bookmark);
+        }
+        console.log(`Purged ${expired.length} bookmarks from the trash after ${retentionDays} days.`);
+        if (mainWindow) {
+            mainWindow.webContents.send('bookmarks-updated');
+        }
+        return expired.length;
+    } catch (error) {
+        console.error('Automatic trash purge failed:', error);
+        return 0;
+    }
+}
+
+function scheduleTrashPurge() {
+    clearInterval(trashPurgeTimer);
+    purgeExpiredTrash();
+    trashPurgeTimer = setInterval(purgeExpiredTrash, 6 * 60 * 60 * 1000); // Every 6 hours
+}
+
+// --- Link checks ---
+let linkCheckTimer = null;
+// Scheduled runs check at most this many links each, so a large library is worked through over
+// several runs instead of filling the queue at once
+const SCHEDULED_LINK_CHECK_BATCH = 100;
+
+// Queue a background link check for live bookmarks not checked within the configured interval,
+// least recently checked first
+async function runScheduledLinkCheck() {
+    const intervalDays = Number(store.get('linkCheckIntervalDays', 30));
+    if (!bookmarkManager || !(intervalDays > 0)) return 0;
+    try {
+        const cutoff = Date.now() - intervalDays * 24 * 60 * 60 * 1000;
+        const bookmarks = await bookmarkManager.getBookmarks();
+        // A missing or unparsable LastChecked compares as NaN, so those are due too
+        const checkedAt = (b) => new Date(b.LastChecked).getTime() || 0;
+        const due = bookmarks.filter(b => !isInTrash(b) && !(new Date(b.LastChecked).getTime() >= cutoff))
+            .sort((a, b) => checkedAt(a) - checkedAt(b))
+            .slice(0, SCHEDULED_LINK_CHECK_BATCH);
+        const queued = queueLinkChecks(due, { background: true });
+        if (queued > 0) console.log(`Queued scheduled link checks for ${queued} bookmarks.`);
+        return queued;
+    } catch (error) {
+        console.error('Scheduled link check failed:', error);
+        return 0;
+    }
+}
+
+function scheduleLinkChecks() {
+    clearInterval(linkCheckTimer);
+    runScheduledLinkCheck();
+    linkCheckTimer = setInterval(runScheduledLinkCheck, 60 * 60 * 1000); // Every hour
+}
+
+// --- Watched pages ---
+let watchTimer = null;
+const isWatched = (bookmark) => String(bookmark.Watched).toLowerCase() === 'true';
+
+// Queue a change check for every watched bookmark not checked within the configured interval
+async function runScheduledWatchCheck() {
+    const intervalHours = Number(store.get('watchIntervalHours', 24));
+    if (!bookmarkManager || !(intervalHours > 0)) return 0;
+    try {
+        const cutoff = Date.now() - intervalHours * 60 * 60 * 1000;
+        const bookmarks = await bookmarkManager.getBookmarks();
+        const due = bookmarks.filter(b => isWatched(b) && !isInTrash(b) && !(new Date(b.WatchChecked).getTime() >= cutoff));
+        const queued = queueWatchChecks(due, { background: true });
+        if (queued > 0) console.log(`Queued change checks for ${queued} watched bookmarks.`);
+        return queued;
+    } catch (error) {
+        console.error('Scheduled change check failed:', error);
+        return 0;
+    }
+}
+
+function scheduleWatchChecks() {
+    clearInterval(watchTimer);
+    runScheduledWatchCheck();
+    watchTimer = setInterval(runScheduledWatchCheck, 30 * 60 * 1000); // Check every 30 minutes
+}
+
+function scheduleBackups() {
+    clearInterval(backupTimer);
+    runScheduledBackup();
+    backupTimer = setInterval(runScheduledBackup, 30 * 60 * 1000); // Check every 30 minutes
+}
+
 
 // --- Global Handlers ---
 process.on('uncaughtException', (error, origin) => {
@@ -110,12 +329,64 @@ async function initializeDirectories() {
   try {
     await fsp.mkdir(userDataPath, { recursive: true });
     await fsp.mkdir(screenshotDir, { recursive: true });
-    console.log(`Ensured directories exist: ${userDataPath}, ${screenshotDir}`);
+    await fsp.mkdir(pagesDir, { recursive: true });
+    await fsp.mkdir(articleDir, { recursive: true });
+    await fsp.mkdir(faviconDir, { recursive: true });
+    await fsp.mkdir(thumbnailDir, { recursive: true });
+    await fsp.mkdir(historyDir, { recursive: true });
+    console.log(`Ensured directories exist: ${userDataPath}, ${screenshotDir}, ${pagesDir}, ${articleDir}, ${faviconDir}, ${thumbnailDir}, ${historyDir}`);
   } catch (error) {
     console.error('FATAL: Error creating essential directories:', error);
     dialog.showErrorBox('Initialization Error', `Failed to create application directories: ${error.message}`);
     app.quit();
   }
+
+  // Bring an older library up to the current schema before anything reads it.
+  // A library from a newer version throws here and startup is aborted.
+  await migrateLibrary(store.get('storageBackend', 'csv'), { csvPath, dbPath });
+}
+
+// Open the configured storage backend (falls back to CSV if SQLite can't be opened)
+async function initializeStorage() {
+  const backend = store.get('storageBackend', 'csv');
+  try {
+    bookmarkManager = await createBookmarkStore(backend, { csvPath, dbPath });
+    console.log(`Bookmark storage initialized with backend: ${backend}`);
+  } catch (error) {
+    console.error(`Error initializing '${backend}' storage backend:`, error);
+    if (backend === 'csv') throw error;
+    dialog.showErrorBox('Storage Error', `Failed to open the ${backend} bookmark store, falling back to CSV. Error: ${error.message}`);
+    await migrateLibrary('csv', { csvPath, dbPath });
+    bookmarkManager = await createBookmarkStore('csv', { csvPath, dbPath });
+  }
+  await rebuildSearchIndex();
+}
+
+// Re-index everything after bulk changes (startup, import, restoring a backup)
+async function rebuildSearchIndex() {
+  const bookmarks = await bookmarkManager.getBookmarks();
+  const articleTexts = new Map();
+  for (const bookmark of bookmarks) {
+    if (bookmark.Article) articleTexts.set(bookmark.ID, await readArticleText(bookmark));
+  }
+  searchIndex.rebuild(bookmarks, bookmark => articleTexts.get(bookmark.ID) || '');
+  console.log(`Search index built for ${searchIndex.size} bookmarks (${articleTexts.size} with article text).`);
+}
+
+// A bookmark's extracted article text ('' when it has none or the file is gone)
+async function readArticleText(bookmark) {
+  if (!bookmark.Article) return '';
+  try {
+    return await fsp.readFile(bookmark.Article, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Could not read article text ${bookmark.Article}:`, error.message);
+    return '';
+  }
+}
+
+// Index (or re-index) one bookmark together with its article text
+async function indexBookmark(bookmark) {
+  searchIndex.add(bookmark, await readArticleText(bookmark));
 }
 
 // Create main application window
@@ -215,6 +486,11 @@ function createSettingsWindow() {
 // --- App Lifecycle Events ---
 app.whenReady().then(async () => {
   await initializeDirectories();
+  await initializeStorage();
+  scheduleBackups();
+  scheduleTrashPurge();
+  scheduleLinkChecks();
+  scheduleWatchChecks();
   createWindow();
 
   app.on('activate', function () {
@@ -227,6 +503,16 @@ app.whenReady().then(async () => {
   app.quit();
 });
 
+app.on('will-quit', () => {
+  clearInterval(backupTimer);
+  clearInterval(trashPurgeTimer);
+  clearInterval(linkCheckTimer);
+  clearInterval(watchTimer);
+  jobQueue.cancel();
+  browserPool.close();
+  if (bookmarkManager) bookmarkManager.close();
+});
+
 app.on('window-all-closed', function () {
   if (process.platform !== 'darwin') {
       console.log('All windows closed, quitting app.');
@@ -242,6 +528,30 @@ function handleIPCError(error, operation) {
   return { success: false, error: error.message || 'An unknown error occurred', details: error.stack };
 }
 
+// Delete a screenshot or offline copy without failing the calling operation
+async function removeStoredFile(filePath) {
+  if (!filePath || typeof filePath !== 'string') return;
+  if (!fs.existsSync(filePath)) {
+    console.log(`IPC: File path provided for deletion, but file not found: ${filePath}`);
+    return;
+  }
+  try {
+    await fsp.unlink(filePath);
+    console.log(`IPC: Deleted file: ${filePath}`);
+  } catch (fileError) {
+    console.error(`IPC: Error deleting file ${filePath}:`, fileError);
+  }
+}
+
+// Delete the files (screenshot, thumbnail, offline copy...) `previous` pointed at that `current` no longer uses
+async function removeReplacedFiles(previous, current = {}) {
+  for (const field of Object.keys(FILE_FIELDS)) {
+    if (previous[field] && previous[field] !== current[field]) {
+      await removeStoredFile(previous[field]);
+    }
+  }
+}
+
 // --- Settings IPC ---
 ipcMain.handle('get-settings', async () => {
     try {
@@ -268,8 +578,30 @@ ipcMain.handle('set-settings', async (_, newSettings) => {
             console.log("LLM settings changed, re-initializing services...");
             initializeServices(); // Recreate LLM client and URL processor
         }
-        // If headless setting changed, urlProcessor doesn't need re-init,
-        // it reads the setting during processURL/takeScreenshot calls.
+        if ('backupIntervalHours' in newSettings) {
+            scheduleBackups();
+        }
+        if ('trashRetentionDays' in newSettings) {
+            scheduleTrashPurge();
+        }
+        if ('linkCheckIntervalDays' in newSettings) {
+            scheduleLinkChecks();
+        }
+        if ('watchIntervalHours' in newSettings) {
+            scheduleWatchChecks();
+        }
+        if ('queueConcurrency' in newSettings) {
+            jobQueue.setConcurrency(store.get('queueConcurrency'));
+        }
+        if ('browserMaxPages' in newSettings || 'browserIdleSeconds' in newSettings) {
+            browserPool.configure({
+                maxPages: store.get('browserMaxPages'),
+                idleTimeoutMs: store.get('browserIdleSeconds') * 1000,
+            });
+        }
+        // storageBackend is only read at startup, the new backend is used after a restart.
+        // If headless setting changed, urlProcessor doesn't need re-init: it reads the setting
+        // on every call and the browser pool relaunches the shared browser in the new mode.
         // If dark mode changed, the theme-changed IPC will handle UI updates.
 
         return { success: true };
@@ -311,6 +643,61 @@ ipcMain.handle('get-bookmarks', async () => {
   }
 });
 
+// The screenshot settings as URLProcessor's `screenshot` option
+function screenshotOptions() {
+    return normalizeScreenshotOptions({
+        width: store.get('screenshotWidth'),
+        height: store.get('screenshotHeight'),
+        fullPage: store.get('screenshotFullPage'),
+        device: store.get('screenshotDevice'),
+        delayMs: store.get('screenshotDelayMs'),
+        format: store.get('screenshotFormat'),
+        quality: store.get('screenshotQuality'),
+    });
+}
+
+// Scrape, tag and save one URL. Re-adding a page we already have refreshes that bookmark instead of
+// duplicating it. options: { onStage, isCancelled } for the job queue; a cancelled add saves nothing.
+// Resolves with { bookmark, updatedExisting }.
+async function addBookmarkFromURL(url, { onStage, isCancelled = () => false } = {}) {
+    // *** Read current headless setting ***
+    const isHeadless = store.get('headless', true);
+    console.log(`Processing URL with headless mode: ${isHeadless}`);
+    const newBookmarkData = await urlProcessor.processURL(url, {
+        headless: isHeadless, // Pass setting
+        archive: store.get('archiveFormat', 'none'),
+        screenshot: screenshotOptions(),
+        rules: store.get('scrapingRules', []),
+        onStage,
+    });
+    console.log(`IPC: URL processed, data received:`, newBookmarkData);
+    if (isCancelled()) {
+        await removeReplacedFiles(newBookmarkData);
+        throw new Error('Cancelled');
+    }
+
+    const existing = await bookmarkManager.findByURL(newBookmarkData.URL);
+    if (existing) {
+        console.log(`IPC: ${newBookmarkData.URL} matches existing bookmark ${existing.ID}, updating it.`);
+        newBookmarkData.ID = existing.ID;
+        newBookmarkData.Favorite = existing.Favorite;
+        newBookmarkData.Deleted = ''; // Re-adding a trashed page brings it back
+        newBookmarkData.Archive = newBookmarkData.Archive || existing.Archive; // Keep the old copy if none was saved
+        newBookmarkData.Favicon = newBookmarkData.Favicon || existing.Favicon;
+        if (!newBookmarkData.Article) {
+            // Nothing readable this time: keep the article extracted before
+            ['Article', 'Author', 'Published', 'WordCount'].forEach(field => { newBookmarkData[field] = existing[field]; });
+        }
+    }
+    const savedBookmark = await bookmarkManager.saveBookmark(newBookmarkData);
+    await indexBookmark(savedBookmark);
+    if (existing) {
+        await removeReplacedFiles(existing, savedBookmark);
+    }
+    console.log(`IPC: Bookmark saved: ${savedBookmark.ID} (${savedBookmark.URL})`);
+    return { bookmark: savedBookmark, updatedExisting: !!existing };
+}
+
 // Add a new bookmark by URL
 ipcMain.handle('add-bookmark', async (_, url) => {
   console.log(`IPC: Received add-bookmark request for URL: ${url}`);
@@ -320,14 +707,8 @@ ipcMain.handle('add-bookmark', async (_, url) => {
   const trimmedUrl = url.trim();
 
   try {
-    // *** Read current headless setting ***
-    const isHeadless = store.get('headless', true);
-    console.log(`Processing URL with headless mode: ${isHeadless}`);
-    const newBookmarkData = await urlProcessor.processURL(trimmedUrl, { headless: isHeadless }); // Pass setting
-    console.log(`IPC: URL processed, data received:`, newBookmarkData);
-    await bookmarkManager.saveBookmark(newBookmarkData);
-    console.log(`IPC: Bookmark saved to CSV: ${newBookmarkData.URL}`);
-    return { success: true, bookmark: newBookmarkData };
+    const { bookmark, updatedExisting } = await addBookmarkFromURL(trimmedUrl);
+    return { success: true, bookmark, updatedExisting };
   } catch (error) {
       console.error(`IPC: Failed to add bookmark for ${trimmedUrl}:`, error);
       let errorMessage = error.message || 'Failed to process or save bookmark.';
@@ -342,18 +723,29 @@ ipcMain.handle('add-bookmark', async (_, url) => {
 ipcMain.handle('search-bookmarks', async (_, query) => {
   try {
     const results = await bookmarkManager.searchBookmarks(query);
-    return { success: true, data: results };
+    return { success: true, data: results.filter(b => !isInTrash(b)) };
   } catch (error) {
     return handleIPCError(error, 'search-bookmarks');
   }
 });
 
+// Rank bookmarks by relevance to the free text in a search query. Returns [{ id, score }], best first;
+// the renderer applies the query's filters itself.
+ipcMain.handle('rank-bookmarks', async (_, query) => {
+  try {
+    const { clauses } = SearchQuery.parseQuery(query);
+    return { success: true, data: searchIndex.search(SearchQuery.rankingText(clauses)) };
+  } catch (error) {
+    return handleIPCError(error, 'rank-bookmarks');
+  }
+});
+
 // Filter by tags
 ipcMain.handle('filter-by-tags', async (_, tags) => {
   const tagArray = Array.isArray(tags) ? tags : (tags ? [tags] : []);
   try {
     const results = await bookmarkManager.filterByTags(tagArray);
-    return { success: true, data: results };
+    return { success: true, data: results.filter(b => !isInTrash(b)) };
   } catch (error) {
     return handleIPCError(error, 'filter-by-tags');
   }
@@ -362,7 +754,7 @@ ipcMain.handle('filter-by-tags', async (_, tags) => {
 // Filter by date
 ipcMain.handle('filter-by-date', async (_, days) => {
   try {
-    const bookmarks = await bookmarkManager.getBookmarks();
+    const bookmarks = (await bookmarkManager.getBookmarks()).filter(b => !isInTrash(b));
     if (days === 0 || days === undefined || days === null) {
         return { success: true, data: bookmarks };
     }
@@ -388,7 +780,7 @@ ipcMain.handle('filter-by-date', async (_, days) => {
 ipcMain.handle('get-favorites', async () => {
   try {
     const bookmarks = await bookmarkManager.getBookmarks();
-    const favorites = bookmarks.filter(bookmark => String(bookmark.Favorite).toLowerCase() === 'true');
+    const favorites = bookmarks.filter(bookmark => !isInTrash(bookmark) && String(bookmark.Favorite).toLowerCase() === 'true');
     return { success: true, data: favorites };
   } catch (error) {
     return handleIPCError(error, 'get-favorites');
@@ -396,97 +788,228 @@ ipcMain.handle('get-favorites', async () => {
 });
 
 // Toggle favorite status
-ipcMain.handle('toggle-favorite', async (_, bookmark) => {
-  if (!bookmark || !bookmark.URL) {
-      return { success: false, error: "Invalid bookmark data provided for toggle favorite." };
-  }
-  try {
-    // Determine the new state based on the provided bookmark data
-    const currentIsFavorite = String(bookmark.Favorite).toLowerCase() === 'true';
-    const newFavoriteState = !currentIsFavorite;
-
-    // Create the update object with only the fields we absolutely need to change
-    // Preserve existing data from the CSV if possible by reading first
-    const existingBookmarks = await bookmarkManager.getBookmarks();
-    const existingBookmark = existingBookmarks.find(b => b.URL === bookmark.URL);
-
-    if (!existingBookmark) {
-        // This case should ideally not happen if the UI is synced, but handle defensively
-        console.warn(`Toggle Favorite: Bookmark ${bookmark.URL} not found in CSV. Saving as new.`);
-         const updatedBookmarkData = {
-            ...bookmark, // Use data from renderer as fallback
-            Favorite: newFavoriteState // Set the new state
-        };
-        await bookmarkManager.saveBookmark(updatedBookmarkData);
-        // Return the structure expected by the renderer
-         return { success: true, bookmark: {...updatedBookmarkData, Favorite: String(newFavoriteState)} };
-    } else {
-         // Merge changes onto the existing data from the CSV
-         const updatedBookmarkData = {
-            ...existingBookmark, // Start with data from CSV
-            Favorite: newFavoriteState // Apply the new favorite state
-        };
-        await bookmarkManager.saveBookmark(updatedBookmarkData);
-         // Return the structure expected by the renderer
-         return { success: true, bookmark: {...updatedBookmarkData, Favorite: String(newFavoriteState)} };
+ipcMain.handle('toggle-favorite', async (_, id) => {
+  if (!id || typeof id !== 'string') {
+      return { success: false, error: "Invalid bookmark ID provided for toggle favorite." };
+  }
+  try {
+    // Flip the stored state atomically so concurrent toggles/adds can't overwrite each other
+    const updatedBookmark = await bookmarkManager.updateBookmark(id, existing => ({
+        Favorite: String(existing.Favorite).toLowerCase() !== 'true'
+    }));
+    if (!updatedBookmark) {
+        return { success: false, error: `Bookmark ${id} not found.` };
     }
-
+    return { success: true, bookmark: updatedBookmark };
   } catch (error) {
     return handleIPCError(error, 'toggle-favorite');
   }
 });
 
+// Edit bookmark fields (including its URL, since identity is the ID)
+const EDITABLE_FIELDS = ['URL', 'Title', 'Description', 'Tags', 'Favorite'];
+ipcMain.handle('update-bookmark', async (_, id, changes) => {
+  if (!id || typeof id !== 'string' || !changes || typeof changes !== 'object') {
+      return { success: false, error: "Invalid bookmark update provided." };
+  }
+  const updates = {};
+  EDITABLE_FIELDS.filter(field => field in changes).forEach(field => { updates[field] = changes[field]; });
+  if ('URL' in updates) {
+      const url = String(updates.URL || '').trim();
+      if (!url.startsWith('http://') && !url.startsWith('https://')) {
+          return { success: false, error: 'Bookmark URL must start with http:// or https://' };
+      }
+      updates.URL = url;
+  }
+  try {
+    if (updates.URL) {
+        const duplicate = await bookmarkManager.findByURL(updates.URL);
+        if (duplicate && duplicate.ID !== id) {
+            return { success: false, error: `Another bookmark already points to ${updates.URL}` };
+        }
+    }
+    const updatedBookmark = await bookmarkManager.updateBookmark(id, existing =>
+        // The last link check was for the old address
+        updates.URL && updates.URL !== existing.URL ? { ...updates, LinkStatus: '', FinalURL: '', LastChecked: '' } : updates);
+    if (!updatedBookmark) {
+        return { success: false, error: `Bookmark ${id} not found.` };
+    }
+    await indexBookmark(updatedBookmark);
+    return { success: true, bookmark: updatedBookmark };
+  } catch (error) {
+    return handleIPCError(error, 'update-bookmark');
+  }
+});
+
 
 // Update bookmark screenshot
-ipcMain.handle('update-screenshot', async (_, bookmark) => {
-  if (!bookmark || !bookmark.URL) {
-      return { success: false, error: "Invalid bookmark data provided for update screenshot." };
+ipcMain.handle('update-screenshot', async (_, id) => {
+  if (!id || typeof id !== 'string') {
+      return { success: false, error: "Invalid bookmark ID provided for update screenshot." };
   }
-  console.log(`IPC: Received update-screenshot request for URL: ${bookmark.URL}`);
+  console.log(`IPC: Received update-screenshot request for bookmark: ${id}`);
   try {
+    const bookmark = await bookmarkManager.getBookmark(id);
+    if (!bookmark) {
+        return { success: false, error: `Bookmark ${id} not found.` };
+    }
     // *** Read current headless setting ***
     const isHeadless = store.get('headless', true);
-    console.log(`Taking screenshot with headless mode: ${isHeadless}`);
-    const newScreenshotPath = await urlProcessor.takeScreenshot(bookmark.URL, { headless: isHeadless }); // Pass setting
-    console.log(`IPC: New screenshot taken: ${newScreenshotPath}`);
-
-    const oldScreenshotPath = bookmark.Screenshot;
-
-     // Read the latest full bookmark data before saving just the screenshot path update
-    const existingBookmarks = await bookmarkManager.getBookmarks();
-    const existingBookmark = existingBookmarks.find(b => b.URL === bookmark.URL);
-
-     if (!existingBookmark) {
-         console.warn(`Update Screenshot: Bookmark ${bookmark.URL} not found in CSV. Saving screenshot path with provided data.`);
-          const updatedBookmarkData = { ...bookmark, Screenshot: newScreenshotPath };
-          await bookmarkManager.saveBookmark(updatedBookmarkData);
-          // Delete old screenshot if path differs and exists
-           if (oldScreenshotPath && oldScreenshotPath !== newScreenshotPath && fs.existsSync(oldScreenshotPath)) {
-               try { await fsp.unlink(oldScreenshotPath); console.log(`IPC: Deleted old screenshot: ${oldScreenshotPath}`); }
-               catch (unlinkError) { console.warn(`IPC: Failed to delete old screenshot file ${oldScreenshotPath}:`, unlinkError); }
-           }
-          return { success: true, bookmark: updatedBookmarkData };
-     } else {
-         // Merge new screenshot path onto existing data
-         const updatedBookmarkData = { ...existingBookmark, Screenshot: newScreenshotPath };
-         await bookmarkManager.saveBookmark(updatedBookmarkData);
-         // Delete old screenshot if path differs and exists
-         if (oldScreenshotPath && oldScreenshotPath !== newScreenshotPath && fs.existsSync(oldScreenshotPath)) {
-             try { await fsp.unlink(oldScreenshotPath); console.log(`IPC: Deleted old screenshot: ${oldScreenshotPath}`); }
-             catch (unlinkError) { console.warn(`IPC: Failed to delete old screenshot file ${oldScreenshotPath}:`, unlinkError); }
-         }
-         return { success: true, bookmark: updatedBookmarkData };
-     }
+    console.log(`Taking screenshot of ${bookmark.URL} with headless mode: ${isHeadless}`);
+    const { screenshotPath, thumbnailPath } = await urlProcessor.takeScreenshot(bookmark.URL, {
+        headless: isHeadless, // Pass setting
+        screenshot: screenshotOptions(),
+        rules: store.get('scrapingRules', []),
+    });
+    console.log(`IPC: New screenshot taken: ${screenshotPath}`);
+    const images = { Screenshot: screenshotPath, Thumbnail: thumbnailPath };
+
+    // Swap the paths on the latest stored data, remembering what they replaced
+    let previous = bookmark;
+    const updatedBookmarkData = await bookmarkManager.updateBookmark(id, existing => {
+        previous = existing;
+        // A video keeps its own thumbnail
+        return existing.MediaType === 'video' && existing.Thumbnail ? { Screenshot: screenshotPath } : images;
+    });
+    if (!updatedBookmarkData) {
+        // Deleted while the screenshot was being taken
+        await removeReplacedFiles(images);
+        return { success: false, error: `Bookmark ${id} was removed while updating its screenshot.` };
+    }
+
+    // Delete the old screenshot and thumbnail, and a new thumbnail that wasn't used
+    await removeReplacedFiles({ Screenshot: previous.Screenshot, Thumbnail: previous.Thumbnail }, updatedBookmarkData);
+    await removeReplacedFiles(images, updatedBookmarkData);
+    return { success: true, bookmark: updatedBookmarkData };
 
   } catch (error) {
     return handleIPCError(error, 'update-screenshot');
   }
 });
 
+// Save an offline copy of an existing bookmark's page, replacing any earlier copy
+ipcMain.handle('archive-page', async (_, id) => {
+  if (!id || typeof id !== 'string') {
+      return { success: false, error: "Invalid bookmark ID provided for archive page." };
+  }
+  try {
+    const bookmark = await bookmarkManager.getBookmark(id);
+    if (!bookmark) {
+        return { success: false, error: `Bookmark ${id} not found.` };
+    }
+    // The chosen format, or MHTML when archiving is switched off for new bookmarks
+    const configured = store.get('archiveFormat', 'none');
+    const format = ARCHIVE_FORMATS[configured] ? configured : 'mhtml';
+    const archivePath = await urlProcessor.archivePage(bookmark.URL, {
+        headless: store.get('headless', true),
+        format,
+        rules: store.get('scrapingRules', []),
+    });
+
+    let previous = bookmark;
+    const updatedBookmark = await bookmarkManager.updateBookmark(id, existing => {
+        previous = existing;
+        return { Archive: archivePath };
+    });
+    if (!updatedBookmark) {
+        await removeStoredFile(archivePath);
+        return { success: false, error: `Bookmark ${id} was removed while saving its offline copy.` };
+    }
+    await removeReplacedFiles(previous, updatedBookmark);
+    return { success: true, bookmark: updatedBookmark };
+  } catch (error) {
+    return handleIPCError(error, 'archive-page');
+  }
+});
+
+// Show a bookmark's offline copy in its own window. Scripts stay off (the HTML format has none, and
+// an MHTML snapshot must not run the page's code from a file:// URL); links open in the system browser.
+function openArchiveWindow(bookmark) {
+  const archiveWindow = new BrowserWindow({
+    width: 1200,
+    height: 800,
+    title: `Offline copy — ${bookmark.Title || bookmark.URL}`,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      javascript: false,
+    },
+  });
+  archiveWindow.setMenuBarVisibility(false);
+  archiveWindow.on('page-title-updated', (event) => event.preventDefault());
+  const openLinkExternally = (url) => {
+    if (url.startsWith('http:') || url.startsWith('https:')) {
+      shell.openExternal(url);
+    } else {
+      console.warn(`Blocked opening non-http(s) URL from offline copy: ${url}`);
+    }
+  };
+  archiveWindow.webContents.setWindowOpenHandler(({ url }) => {
+    openLinkExternally(url);
+    return { action: 'deny' };
+  });
+  archiveWindow.webContents.on('will-navigate', (event, url) => {
+    event.preventDefault();
+    openLinkExternally(url);
+  });
+  archiveWindow.loadFile(bookmark.Archive);
+}
+
+// Article text and details for the reader view
+ipcMain.handle('get-article', async (_, id) => {
+  try {
+    const bookmark = await bookmarkManager.getBookmark(id);
+    if (!bookmark || !bookmark.Article) {
+        return { success: false, error: 'No article text was extracted for this bookmark.' };
+    }
+    const text = await readArticleText(bookmark);
+    if (!text) {
+        return { success: false, error: `The article text is missing (${path.basename(bookmark.Article)}).` };
+    }
+    return {
+      success: true,
+      data: {
+        title: bookmark.Title,
+        url: bookmark.URL,
+        author: bookmark.Author,
+        published: bookmark.Published,
+        wordCount: Number(bookmark.WordCount) || 0,
+        readingMinutes: readingMinutes(bookmark.WordCount),
+        text,
+      },
+    };
+  } catch (error) {
+    return handleIPCError(error, 'get-article');
+  }
+});
+
+ipcMain.handle('open-archive', async (_, id) => {
+  try {
+    const bookmark = await bookmarkManager.getBookmark(id);
+    if (!bookmark || !bookmark.Archive) {
+        return { success: false, error: 'This bookmark has no offline copy.' };
+    }
+    if (!fs.existsSync(bookmark.Archive)) {
+        return { success: false, error: `The offline copy is missing (${path.basename(bookmark.Archive)}).` };
+    }
+    if (path.extname(bookmark.Archive).toLowerCase() === '.pdf') {
+        // A kept PDF opens in the system's PDF viewer
+        const openError = await shell.openPath(bookmark.Archive);
+        if (openError) return { success: false, error: openError };
+        return { success: true };
+    }
+    openArchiveWindow(bookmark);
+    return { success: true };
+  } catch (error) {
+    return handleIPCError(error, 'open-archive');
+  }
+});
+
 // Get all unique tags
 ipcMain.handle('get-all-tags', async () => {
   try {
-    const bookmarks = await bookmarkManager.getBookmarks();
+    const bookmarks = (await bookmarkManager.getBookmarks()).filter(b => !isInTrash(b));
     const tagsSet = new Set();
     bookmarks.forEach(bookmark => {
       if (bookmark.Tags && typeof bookmark.Tags === 'string') {
@@ -503,56 +1026,540 @@ ipcMain.handle('get-all-tags', async () => {
   }
 });
 
-// Export bookmarks to CSV
-ipcMain.handle('export-csv', async () => {
+// Export formats for the export dialog
+ipcMain.handle('get-export-formats', async () => {
+  const formats = Object.entries(EXPORTERS).map(([format, exporter]) => ({ format, label: exporter.label, extension: exporter.extensions[0] }));
+  return { success: true, data: formats };
+});
+
+// Export bookmarks in the chosen format (csv, html, markdown, json, opml)
+ipcMain.handle('export-bookmarks', async (_, format = 'csv') => {
   try {
+    const exporter = getExporter(format);
+    // The chosen format's filter comes first; the others stay available in the dialog
+    const otherFormats = Object.keys(EXPORTERS).filter(key => key !== format);
     const { filePath, canceled } = await dialog.showSaveDialog({
       title: 'Export Bookmarks',
-      defaultPath: `bookmarks_${Date.now()}.csv`,
-      filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+      defaultPath: `bookmarks_${Date.now()}.${exporter.extensions[0]}`,
+      filters: [format, ...otherFormats].map(key => ({ name: EXPORTERS[key].label, extensions: EXPORTERS[key].extensions }))
     });
     if (canceled || !filePath) {
-      console.log('CSV export cancelled by user.');
+      console.log('Export cancelled by user.');
       return { success: false, message: 'Export cancelled' };
     }
-    const count = await bookmarkManager.exportToCSV(filePath);
+    // A file name ending in another format's extension means the user switched formats in the dialog
+    const chosenFormat = formatForPath(filePath) || format;
+    const count = await exportBookmarks(chosenFormat, filePath, await bookmarkManager.getBookmarks());
     return {
       success: true,
       count,
+      format: chosenFormat,
       message: `Successfully exported ${count} bookmarks to ${filePath}`
     };
   } catch (error) {
     dialog.showErrorBox('Export Error', `Failed to export bookmarks: ${error.message}`);
-    return handleIPCError(error, 'export-csv');
+    return handleIPCError(error, 'export-bookmarks');
   }
 });
 
-// Import bookmarks from CSV
-ipcMain.handle('import-csv', async () => {
+// CSV imports are previewed first; the parsed file waits here (by token) until it is applied or discarded
+const pendingImports = new Map();
+
+// Compare mapped rows with the library and remember the result for apply-import
+async function buildImportPreview(token, pending, incoming, unusableRows = 0) {
+  if (incoming.length === 0) {
+    throw new Error(`${path.basename(pending.sourcePath)} contains no bookmarks with a web address.`);
+  }
+  pending.preview = previewImport(await bookmarkManager.getBookmarks(), incoming);
+  return {
+    token,
+    fileName: path.basename(pending.sourcePath),
+    counts: pending.preview.counts,
+    duplicatesInFile: pending.preview.duplicatesInFile,
+    unusableRows,
+    strategies: STRATEGIES,
+    // Identical rows are only counted; the renderer lists new and changed ones
+    rows: pending.preview.rows.filter(row => row.status !== 'identical'),
+  };
+}
+
+// Pick a CSV file or library archive (zip). Archives and CSVs in our own layout go straight to the
+// preview (data.preview); other CSVs come back with their headers, a few sample rows and a
+// suggested column mapping (data.mapping).
+ipcMain.handle('open-import-file', async () => {
   try {
     const { filePaths, canceled } = await dialog.showOpenDialog({
-      title: 'Import Bookmarks from CSV',
+      title: 'Import Bookmarks',
       properties: ['openFile'],
-      filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+      filters: [
+        { name: 'CSV Files and Library Archives', extensions: ['csv', 'zip'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
     });
     if (canceled || !filePaths || filePaths.length === 0) {
-      console.log('CSV import cancelled by user.');
+      console.log('Import cancelled by user.');
+      return { success: true, data: null, message: 'Import cancelled' }; // Not an error: nothing to preview
+    }
+    const sourcePath = filePaths[0];
+
+    if (path.extname(sourcePath).toLowerCase() === '.zip') {
+      const { zip, bookmarks } = readArchive(sourcePath);
+      const token = crypto.randomUUID();
+      // Screenshots are only unpacked for the rows that end up being imported
+      const pending = { sourcePath, preview: null, prepareRows: (rows) => unpackFiles(zip, rows, { Screenshot: screenshotDir, Archive: pagesDir, Article: articleDir, Favicon: faviconDir, Thumbnail: thumbnailDir }) };
+      pendingImports.clear();
+      pendingImports.set(token, pending);
+      return { success: true, data: { preview: await buildImportPreview(token, pending, bookmarks) } };
+    }
+
+    const { columns, rows } = await readCSVTable(sourcePath);
+    if (columns.length === 0) {
+      return { success: false, error: `${path.basename(sourcePath)} has no header row.` };
+    }
+    const token = crypto.randomUUID();
+    const pending = { sourcePath, columns, rows, preview: null };
+    pendingImports.clear(); // Only the latest file can be applied
+    pendingImports.set(token, pending);
+
+    if (isNativeLayout(columns)) {
+      const incoming = rows.filter(row => row.URL).map(normalizeSuppliedFields);
+      return { success: true, data: { preview: await buildImportPreview(token, pending, incoming, rows.length - incoming.length) } };
+    }
+    const signature = headerSignature(columns);
+    const remembered = store.get('importMappings', {})[signature];
+    return {
+      success: true,
+      data: {
+        mapping: {
+          token,
+          fileName: path.basename(sourcePath),
+          headers: columns,
+          sampleRows: rows.slice(0, 5),
+          rowCount: rows.length,
+          // A mapping saved for the same headers wins over the guess, as long as it still fits
+          columns: remembered && Object.keys(remembered.columns).every(header => columns.includes(header))
+            ? { ...suggestMapping(columns), ...remembered.columns }
+            : suggestMapping(columns),
+          dateFormat: remembered?.dateFormat || 'auto',
+          tagSeparator: remembered?.tagSeparator || 'auto',
+          remembered: Boolean(remembered),
+          fields: MAPPABLE_FIELDS,
+        }
+      }
+    };
+  } catch (error) {
+    return handleIPCError(error, 'open-import-file');
+  }
+});
+
+// Apply a column mapping ({ columns: { header: field }, dateFormat, tagSeparator }) and preview the result.
+// The mapping is remembered for files with the same headers.
+ipcMain.handle('preview-import', async (_, token, mapping = {}) => {
+  const pending = pendingImports.get(token);
+  if (!pending) {
+      return { success: false, error: 'This import has expired. Please choose the file again.' };
+  }
+  try {
+    const { bookmarks, skipped } = applyMapping(pending.rows, mapping);
+    const savedMappings = store.get('importMappings', {});
+    savedMappings[headerSignature(pending.columns)] = {
+      columns: mapping.columns,
+      dateFormat: mapping.dateFormat || 'auto',
+      tagSeparator: mapping.tagSeparator || 'auto',
+    };
+    store.set('importMappings', savedMappings);
+    return { success: true, data: await buildImportPreview(token, pending, bookmarks, skipped) };
+  } catch (error) {
+    return handleIPCError(error, 'preview-import');
+  }
+});
+
+// Write a previewed import. options: { strategy, overrides: { [rowIndex]: strategy } }
+ipcMain.handle('apply-import', async (_, token, options = {}) => {
+  const pending = pendingImports.get(token);
+  if (!pending || !pending.preview) {
+      return { success: false, error: 'This import preview has expired. Please choose the file again.' };
+  }
+  try {
+    const plan = planImport(pending.preview, options);
+    pendingImports.delete(token);
+    if (plan.rows.length > 0) {
+      await takeBackup('before-import');
+      if (pending.prepareRows) await pending.prepareRows(plan.rows);
+      await bookmarkManager.importBookmarks(plan.rows);
+      await rebuildSearchIndex();
+      // Notify main window to refresh its list
+      if (mainWindow) {
+          mainWindow.webContents.send('bookmarks-updated');
+      }
+    }
+    console.log(`Import of ${pending.sourcePath}: added ${plan.added}, updated ${plan.updated}, skipped ${plan.skipped}`);
+    return {
+      success: true,
+      added: plan.added,
+      updated: plan.updated,
+      skipped: plan.skipped,
+      message: `Imported ${path.basename(pending.sourcePath)}: ${plan.added} added, ${plan.updated} updated, ${plan.skipped} skipped`
+    };
+  } catch (error) {
+    return handleIPCError(error, 'apply-import');
+  }
+});
+
+ipcMain.handle('discard-import', async (_, token) => {
+  pendingImports.delete(token);
+  return { success: true };
+});
+
+// Fill in an imported bookmark with a screenshot (and offline copy) and LLM tags/description. Keeps what the import had:
+// only gaps are filled and the generated tags are added to the imported ones.
+async function enrichBookmark(id, { onStage, isCancelled = () => false } = {}) {
+  const bookmark = await bookmarkManager.getBookmark(id);
+  if (!bookmark || isInTrash(bookmark)) return null;
+  const processed = await urlProcessor.processURL(bookmark.URL, {
+    headless: store.get('headless', true),
+    archive: store.get('archiveFormat', 'none'),
+    screenshot: screenshotOptions(),
+    rules: store.get('scrapingRules', []),
+    onStage,
+  });
+  if (isCancelled()) {
+    await removeReplacedFiles(processed);
+    throw new Error('Cancelled');
+  }
+  let previous = bookmark;
+  const updated = await bookmarkManager.updateBookmark(id, existing => {
+    previous = existing;
+    return {
+      Title: existing.Title && existing.Title !== existing.URL ? existing.Title : processed.Title,
+      Description: existing.Description || processed.Description,
+      Tags: mergeTags(existing.Tags, processed.Tags),
+      Screenshot: processed.Screenshot || existing.Screenshot,
+      Thumbnail: (processed.Screenshot || processed.Thumbnail) ? processed.Thumbnail : existing.Thumbnail,
+      Archive: processed.Archive || existing.Archive,
+      Article: processed.Article || existing.Article,
+      Author: existing.Author || processed.Author,
+      Published: existing.Published || processed.Published,
+      WordCount: processed.Article ? processed.WordCount : existing.WordCount,
+      SiteName: existing.SiteName || processed.SiteName,
+      Canonical: existing.Canonical || processed.Canonical,
+      Image: existing.Image || processed.Image,
+      PageDescription: existing.PageDescription || processed.PageDescription,
+      Favicon: processed.Favicon || existing.Favicon,
+      MediaType: processed.MediaType,
+    };
+  });
+  if (!updated) {
+    await removeReplacedFiles(processed);
+    return null;
+  }
+  await removeReplacedFiles(previous, updated);
+  await indexBookmark(updated);
+  console.log(`Enriched imported bookmark ${id}.`);
+  return updated;
+}
+
+// Record where a bookmark's link leads now: status code, final URL after redirects and when we looked
+async function checkBookmarkLink(id, { onStage = () => {}, isCancelled = () => false } = {}) {
+  const bookmark = await bookmarkManager.getBookmark(id);
+  if (!bookmark || isInTrash(bookmark)) return null;
+  onStage('checking');
+  const result = await checkLink(bookmark.URL, { browserPool, headless: store.get('headless', true) });
+  if (isCancelled()) throw new Error('Cancelled');
+  if (result.error) console.warn(`Link check for ${bookmark.URL}: ${result.error}`);
+  // The URL may have been edited while we were checking; that check belongs to the old address
+  return bookmarkManager.updateBookmark(id, existing => existing.URL !== bookmark.URL ? {} : {
+    LinkStatus: result.status,
+    FinalURL: result.finalURL,
+    LastChecked: new Date().toISOString(),
+  });
+}
+
+// Re-fetch a watched page and compare its text and screenshot with the last version (utils/page_monitor.js)
+async function checkWatchedBookmark(id, { onStage = () => {}, isCancelled = () => false } = {}) {
+  const bookmark = await bookmarkManager.getBookmark(id);
+  if (!bookmark || isInTrash(bookmark) || !isWatched(bookmark)) return null;
+  onStage('fetching');
+  const capture = await urlProcessor.snapshotPage(bookmark.URL, {
+    headless: store.get('headless', true),
+    screenshotPath: await pageMonitor.capturePathFor(id),
+    rules: store.get('scrapingRules', []),
+  });
+  if (isCancelled()) {
+    await removeStoredFile(capture.screenshotPath);
+    throw new Error('Cancelled');
+  }
+  onStage('comparing');
+  const result = await pageMonitor.record(id, capture, {
+    compareImages: (before, after) => browserPool.withPage(page => compareScreenshots(page, before, after)),
+  });
+  const checkedAt = new Date().toISOString();
+  if (result.changed) console.log(`Watched page ${bookmark.URL} changed (+${result.change.added} -${result.change.removed} lines).`);
+  return bookmarkManager.updateBookmark(id, () => (result.changed
+    ? { WatchChecked: checkedAt, LastChanged: checkedAt, NewChanges: 'true' }
+    : { WatchChecked: checkedAt }));
+}
+
+// Background jobs, shown in the renderer's progress panel:
+//   { type: 'add', url }                    - batch-added URLs (scraping -> tagging -> done)
+//   { type: 'enrich', url, bookmarkId }     - imported bookmarks waiting for a screenshot and tags
+//   { type: 'check-link', url, bookmarkId } - link checks, on demand or scheduled (checking -> done)
+//   { type: 'watch', url, bookmarkId }      - watched pages re-fetched for changes (fetching -> comparing -> done)
+const jobQueue = new JobQueue({
+  concurrency: store.get('queueConcurrency', 2),
+  worker: async (job, { setStatus, isCancelled }) => {
+    const control = { onStage: setStatus, isCancelled };
+    let bookmark;
+    if (job.type === 'enrich') {
+      bookmark = await enrichBookmark(job.bookmarkId, control);
+    } else if (job.type === 'check-link') {
+      bookmark = await checkBookmarkLink(job.bookmarkId, control);
+    } else if (job.type === 'watch') {
+      bookmark = await checkWatchedBookmark(job.bookmarkId, control);
+    } else {
+      bookmark = (await addBookmarkFromURL(job.url, control)).bookmark;
+    }
+    if (bookmark && mainWindow) {
+      mainWindow.webContents.send('bookmark-updated', bookmark);
+    }
+    return bookmark ? bookmark.ID : null;
+  },
+});
+
+// Job lists go to the renderer at most every 250ms; a big batch changes state many times a second
+let jobsUpdateTimer = null;
+jobQueue.on('change', () => {
+  if (jobsUpdateTimer) return;
+  jobsUpdateTimer = setTimeout(() => {
+    jobsUpdateTimer = null;
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('jobs-updated', jobQueue.list());
+    }
+  }, 250);
+});
+
+function queueEnrichment(bookmarks) {
+  jobQueue.add(bookmarks.map(bookmark => ({ type: 'enrich', url: bookmark.URL, bookmarkId: bookmark.ID })));
+}
+
+// Queue `type` jobs for bookmarks that don't already have one waiting or running. Returns the number queued.
+// options: { background } for scheduled checks (see utils/job_queue.js).
+function queueBookmarkJobs(type, bookmarks, options = {}) {
+  const active = new Set(jobQueue.list()
+    .filter(job => job.type === type && !JobQueue.FINISHED_STATES.includes(job.status))
+    .map(job => job.bookmarkId));
+  const fresh = bookmarks.filter(bookmark => !active.has(bookmark.ID));
+  if (fresh.length > 0) {
+    jobQueue.add(fresh.map(bookmark => ({ type, url: bookmark.URL, bookmarkId: bookmark.ID })), options);
+  }
+  return fresh.length;
+}
+
+const queueLinkChecks = (bookmarks, options) => queueBookmarkJobs('check-link', bookmarks, options);
+const queueWatchChecks = (bookmarks, options) => queueBookmarkJobs('watch', bookmarks, options);
+
+// Queue every URL found in `text` (a pasted list or the contents of a dropped text file)
+ipcMain.handle('queue-urls', async (_, text) => {
+  try {
+    const urls = extractURLs(Array.isArray(text) ? text.join('\n') : text);
+    if (urls.length === 0) {
+      return { success: false, error: 'No web addresses found.' };
+    }
+    // Skip URLs that are already waiting or in progress
+    const active = new Set(jobQueue.list()
+      .filter(job => !JobQueue.FINISHED_STATES.includes(job.status))
+      .map(job => normalizeURL(job.url)));
+    const fresh = urls.filter(url => !active.has(normalizeURL(url)));
+    jobQueue.add(fresh.map(url => ({ type: 'add', url })));
+    console.log(`IPC: Queued ${fresh.length} URLs (${urls.length - fresh.length} already queued).`);
+    return { success: true, count: fresh.length, skipped: urls.length - fresh.length };
+  } catch (error) {
+    return handleIPCError(error, 'queue-urls');
+  }
+});
+
+ipcMain.handle('get-jobs', async () => {
+  return { success: true, data: jobQueue.list() };
+});
+
+// ids: job IDs, or none for every unfinished job
+ipcMain.handle('cancel-jobs', async (_, ids = []) => {
+  return { success: true, count: jobQueue.cancel(ids) };
+});
+
+// ids: job IDs, or none for every failed or cancelled job
+ipcMain.handle('retry-jobs', async (_, ids = []) => {
+  return { success: true, count: jobQueue.retry(ids) };
+});
+
+ipcMain.handle('clear-finished-jobs', async () => {
+  return { success: true, count: jobQueue.clearFinished() };
+});
+
+// --- Link check IPC ---
+// ids: bookmark IDs, or none for every bookmark outside the trash
+ipcMain.handle('check-links', async (_, ids = []) => {
+  try {
+    const idSet = new Set(ids);
+    const bookmarks = (await bookmarkManager.getBookmarks())
+      .filter(b => !isInTrash(b) && (idSet.size === 0 || idSet.has(b.ID)));
+    const count = queueLinkChecks(bookmarks);
+    console.log(`IPC: Queued link checks for ${count} bookmarks.`);
+    return { success: true, count, skipped: bookmarks.length - count };
+  } catch (error) {
+    return handleIPCError(error, 'check-links');
+  }
+});
+
+// Point redirected bookmarks at the address they now lead to. Skips any whose new address
+// is already bookmarked. ids: bookmark IDs, or none for every redirected bookmark.
+ipcMain.handle('fix-redirected-links', async (_, ids = []) => {
+  try {
+    const idSet = new Set(ids);
+    const bookmarks = await bookmarkManager.getBookmarks();
+    const redirected = bookmarks.filter(b => !isInTrash(b) && SearchQuery.linkHealth(b) === 'redirected' &&
+      (idSet.size === 0 || idSet.has(b.ID)));
+    let count = 0;
+    let skipped = 0;
+    for (const bookmark of redirected) {
+      const duplicate = await bookmarkManager.findByURL(bookmark.FinalURL);
+      if (duplicate && duplicate.ID !== bookmark.ID) {
+        skipped++;
+        continue;
+      }
+      // The last link check was for the old address, as in update-bookmark
+      const updated = await bookmarkManager.updateBookmark(bookmark.ID, existing =>
+        ({ URL: existing.FinalURL, LinkStatus: '', FinalURL: '', LastChecked: '' }));
+      if (updated) {
+        await indexBookmark(updated);
+        count++;
+      }
+    }
+    console.log(`IPC: Updated ${count} redirected bookmarks (${skipped} already bookmarked at their new address).`);
+    return { success: true, count, skipped };
+  } catch (error) {
+    return handleIPCError(error, 'fix-redirected-links');
+  }
+});
+
+// Move bookmarks whose links are broken to the trash. ids: bookmark IDs, or none for every broken one.
+ipcMain.handle('trash-broken-links', async (_, ids = []) => {
+  try {
+    const idSet = new Set(ids);
+    const deleted = new Date().toISOString();
+    const trashed = await bookmarkManager.updateBookmarks(
+      b => !isInTrash(b) && SearchQuery.linkHealth(b) === 'broken' && (idSet.size === 0 || idSet.has(b.ID)),
+      () => ({ Deleted: deleted })
+    );
+    console.log(`IPC: Moved ${trashed.length} bookmarks with broken links to the trash.`);
+    return { success: true, count: trashed.length };
+  } catch (error) {
+    return handleIPCError(error, 'trash-broken-links');
+  }
+});
+
+// --- Watched pages IPC ---
+// Start or stop watching a bookmark for changes. Starting queues a first capture, the baseline later ones
+// are compared with. Stopping keeps the change history.
+ipcMain.handle('set-watched', async (_, id, watched) => {
+  if (!id || typeof id !== 'string') {
+      return { success: false, error: "Invalid bookmark ID provided." };
+  }
+  try {
+    const updated = await bookmarkManager.updateBookmark(id, () => (watched
+      ? { Watched: 'true' }
+      : { Watched: '', NewChanges: '' }));
+    if (!updated) {
+        return { success: false, error: `Bookmark ${id} not found.` };
+    }
+    if (watched) queueWatchChecks([updated]);
+    return { success: true, bookmark: updated };
+  } catch (error) {
+    return handleIPCError(error, 'set-watched');
+  }
+});
+
+// Re-fetch a watched bookmark now instead of waiting for the schedule
+ipcMain.handle('check-watched', async (_, id) => {
+  try {
+    const bookmark = await bookmarkManager.getBookmark(id);
+    if (!bookmark || !isWatched(bookmark)) {
+        return { success: false, error: 'This bookmark is not being watched.' };
+    }
+    return { success: true, count: queueWatchChecks([bookmark]) };
+  } catch (error) {
+    return handleIPCError(error, 'check-watched');
+  }
+});
+
+// A watched bookmark's change history, newest first. Looking at it marks the changes as seen.
+ipcMain.handle('get-page-history', async (_, id) => {
+  try {
+    let bookmark = await bookmarkManager.getBookmark(id);
+    if (!bookmark) {
+        return { success: false, error: `Bookmark ${id} not found.` };
+    }
+    const history = await pageMonitor.getHistory(id);
+    if (bookmark.NewChanges) {
+        bookmark = await bookmarkManager.updateBookmark(id, () => ({ NewChanges: '' })) || bookmark;
+    }
+    return { success: true, data: history, bookmark };
+  } catch (error) {
+    return handleIPCError(error, 'get-page-history');
+  }
+});
+
+// Import bookmarks from a browser's bookmarks.html export
+// options: { folderMode: 'folders' | 'tags' | 'none', enrich: boolean }
+ipcMain.handle('import-html', async (_, options = {}) => {
+  const folderMode = ['folders', 'tags', 'none'].includes(options.folderMode) ? options.folderMode : 'folders';
+  try {
+    const { filePaths, canceled } = await dialog.showOpenDialog({
+      title: 'Import Browser Bookmarks',
+      properties: ['openFile'],
+      filters: [{ name: 'Bookmark Files', extensions: ['html', 'htm'] }]
+    });
+    if (canceled || !filePaths || filePaths.length === 0) {
+      console.log('HTML import cancelled by user.');
       return { success: false, message: 'Import cancelled' };
     }
     const sourcePath = filePaths[0];
-    const count = await bookmarkManager.importFromCSV(sourcePath);
-    // Notify main window to refresh its list
-    if (mainWindow) {
-        mainWindow.webContents.send('bookmarks-updated'); // Send simple notification
+    const { bookmarks: entries, skipped } = parseNetscapeBookmarks(await fsp.readFile(sourcePath, 'utf8'));
+
+    // Pages already in the library (or listed twice in the file) are left alone
+    const existing = await bookmarkManager.getBookmarks();
+    const seen = new Set(existing.map(b => normalizeURL(b.URL)));
+    const newRows = toBookmarkRows(entries, folderMode).filter(row => {
+      const key = normalizeURL(row.URL);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).map(row => ({ ...row, ID: generateId(), Date: row.Date || new Date().toISOString() }));
+
+    if (newRows.length > 0) {
+      await takeBackup('before-import');
+      await bookmarkManager.importBookmarks(newRows);
+      await rebuildSearchIndex();
+      if (mainWindow) {
+          mainWindow.webContents.send('bookmarks-updated');
+      }
+      if (options.enrich) {
+          queueEnrichment(newRows);
+      }
     }
+    const duplicates = entries.length - newRows.length;
     return {
       success: true,
-      count,
-      message: `Successfully processed ${count} bookmarks from ${path.basename(sourcePath)}`
+      count: newRows.length,
+      skipped: skipped + duplicates,
+      message: `Imported ${newRows.length} bookmarks from ${path.basename(sourcePath)}` +
+        (duplicates ? `, ${duplicates} already in the library` : '') +
+        (skipped ? `, ${skipped} non-web links skipped` : '') +
+        (options.enrich && newRows.length ? '. Screenshots and descriptions will be added in the background.' : '')
     };
   } catch (error) {
-      dialog.showErrorBox('Import Error', `Failed to import bookmarks: ${error.message}`);
-    return handleIPCError(error, 'import-csv');
+    dialog.showErrorBox('Import Error', `Failed to import bookmarks: ${error.message}`);
+    return handleIPCError(error, 'import-html');
   }
 });
 
@@ -570,40 +1577,282 @@ ipcMain.handle('open-url', async (_, url) => {
   }
 });
 
-// Delete a bookmark
-ipcMain.handle('delete-bookmark', async (_, bookmark) => {
-  if (!bookmark || !bookmark.URL) {
-      return { success: false, error: "Invalid bookmark data provided for deletion." };
+// Delete a bookmark (moves it to the trash; purge-bookmark removes it for good)
+ipcMain.handle('delete-bookmark', async (_, id) => {
+  if (!id || typeof id !== 'string') {
+      return { success: false, error: "Invalid bookmark ID provided for deletion." };
   }
-  console.log(`IPC: Received delete-bookmark request for URL: ${bookmark.URL}`);
+  console.log(`IPC: Received delete-bookmark request for bookmark: ${id}`);
   try {
-    const bookmarks = await bookmarkManager.getBookmarks();
-    const filteredBookmarks = bookmarks.filter(b => b.URL !== bookmark.URL);
-    if (filteredBookmarks.length === bookmarks.length) {
-        console.warn(`IPC: Bookmark to delete not found in CSV: ${bookmark.URL}`);
-        // Still proceed to delete screenshot if it exists, just in case
-    }
-    // Save the filtered list regardless of whether the item was found (handles cleanup)
-    await bookmarkManager.saveBookmarks(filteredBookmarks);
-    console.log(`IPC: Saved CSV after potentially removing ${bookmark.URL}.`);
-
-    // Delete associated screenshot
-    const screenshotToDelete = bookmark.Screenshot;
-    if (screenshotToDelete && typeof screenshotToDelete === 'string' && fs.existsSync(screenshotToDelete)) {
-      try {
-        await fsp.unlink(screenshotToDelete);
-        console.log(`IPC: Deleted associated screenshot: ${screenshotToDelete}`);
-      } catch (fileError) {
-        // Log error but don't fail the whole operation
-        console.error(`IPC: Error deleting screenshot file ${screenshotToDelete}:`, fileError);
-      }
-    } else if (screenshotToDelete) {
-         console.log(`IPC: Screenshot path provided for deletion, but file not found: ${screenshotToDelete}`);
+    const trashed = await bookmarkManager.updateBookmark(id, () => ({ Deleted: new Date().toISOString() }));
+    if (!trashed) {
+        console.warn(`IPC: Bookmark to delete not found in storage: ${id}`);
+        return { success: false, error: `Bookmark ${id} not found.` };
     }
+    console.log(`IPC: Moved bookmark ${id} (${trashed.URL}) to the trash.`);
+    return { success: true, bookmark: trashed };
+  } catch (error) {
+    return handleIPCError(error, 'delete-bookmark');
+  }
+});
 
+// Restore a bookmark from the trash
+ipcMain.handle('restore-bookmark', async (_, id) => {
+  if (!id || typeof id !== 'string') {
+      return { success: false, error: "Invalid bookmark ID provided for restore." };
+  }
+  try {
+    const restored = await bookmarkManager.updateBookmark(id, () => ({ Deleted: '' }));
+    if (!restored) {
+        return { success: false, error: `Bookmark ${id} not found.` };
+    }
+    return { success: true, bookmark: restored };
+  } catch (error) {
+    return handleIPCError(error, 'restore-bookmark');
+  }
+});
+
+// Permanently delete a trashed bookmark and its screenshot
+ipcMain.handle('purge-bookmark', async (_, id) => {
+  if (!id || typeof id !== 'string') {
+      return { success: false, error: "Invalid bookmark ID provided for purge." };
+  }
+  try {
+    const bookmark = await bookmarkManager.getBookmark(id);
+    if (!bookmark) {
+        return { success: true };
+    }
+    if (!isInTrash(bookmark)) {
+        return { success: false, error: 'Only bookmarks in the trash can be deleted permanently.' };
+    }
+    await takeBackup('before-purge');
+    await purgeBookmark(bookmark);
     return { success: true };
   } catch (error) {
-    return handleIPCError(error, 'delete-bookmark');
+    return handleIPCError(error, 'purge-bookmark');
+  }
+});
+
+// Permanently delete everything in the trash
+ipcMain.handle('empty-trash', async () => {
+  try {
+    const trashed = (await bookmarkManager.getBookmarks()).filter(isInTrash);
+    if (trashed.length > 0) {
+        await takeBackup('before-purge', { automatic: false });
+    }
+    for (const bookmark of trashed) {
+        await purgeBookmark(bookmark);
+    }
+    return { success: true, count: trashed.length };
+  } catch (error) {
+    return handleIPCError(error, 'empty-trash');
+  }
+});
+
+// --- Backup IPC ---
+ipcMain.handle('list-backups', async () => {
+  try {
+    const snapshots = await backupManager.listSnapshots();
+    return { success: true, data: snapshots };
+  } catch (error) {
+    return handleIPCError(error, 'list-backups');
+  }
+});
+
+ipcMain.handle('create-backup', async () => {
+  try {
+    const snapshot = await takeBackup('manual', { automatic: false });
+    return { success: true, data: snapshot };
+  } catch (error) {
+    return handleIPCError(error, 'create-backup');
+  }
+});
+
+ipcMain.handle('restore-backup', async (_, id) => {
+  if (!id || typeof id !== 'string') {
+      return { success: false, error: "Invalid backup ID provided." };
+  }
+  try {
+    // Snapshot the current state first so a restore can itself be undone
+    await takeBackup('before-restore', { automatic: false });
+    const snapshot = await backupManager.restoreSnapshot(id);
+    await rebuildSearchIndex();
+    if (mainWindow) {
+        mainWindow.webContents.send('bookmarks-updated');
+    }
+    return { success: true, data: snapshot };
+  } catch (error) {
+    return handleIPCError(error, 'restore-backup');
+  }
+});
+
+// --- Folders ---
+const folderManager = new FolderManager({
+    settings: store,
+    getStore: () => bookmarkManager
+});
+
+ipcMain.handle('get-folders', async () => {
+  try {
+    return { success: true, data: await folderManager.listFolders() };
+  } catch (error) {
+    return handleIPCError(error, 'get-folders');
+  }
+});
+
+ipcMain.handle('create-folder', async (_, parentPath, name) => {
+  try {
+    const folderPath = await folderManager.createFolder(parentPath, name);
+    return { success: true, data: await folderManager.listFolders(), folder: folderPath };
+  } catch (error) {
+    return handleIPCError(error, 'create-folder');
+  }
+});
+
+ipcMain.handle('rename-folder', async (_, folderPath, newName) => {
+  try {
+    const renamed = await folderManager.renameFolder(folderPath, newName);
+    return { success: true, data: await folderManager.listFolders(), folder: renamed };
+  } catch (error) {
+    return handleIPCError(error, 'rename-folder');
+  }
+});
+
+ipcMain.handle('move-folder', async (_, folderPath, newParentPath) => {
+  try {
+    const moved = await folderManager.moveFolder(folderPath, newParentPath);
+    return { success: true, data: await folderManager.listFolders(), folder: moved };
+  } catch (error) {
+    return handleIPCError(error, 'move-folder');
+  }
+});
+
+// Bookmarks in the deleted folder (and its subfolders) move up to its parent
+ipcMain.handle('delete-folder', async (_, folderPath) => {
+  try {
+    const count = await folderManager.deleteFolder(folderPath);
+    return { success: true, data: await folderManager.listFolders(), count };
+  } catch (error) {
+    return handleIPCError(error, 'delete-folder');
+  }
+});
+
+// File bookmarks in a folder; an empty path takes them out of any folder
+ipcMain.handle('move-bookmarks-to-folder', async (_, ids, folderPath) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+      return { success: false, error: "No bookmarks provided to move." };
+  }
+  try {
+    const updated = await folderManager.moveBookmarks(ids, folderPath);
+    return { success: true, data: updated };
+  } catch (error) {
+    return handleIPCError(error, 'move-bookmarks-to-folder');
+  }
+});
+
+// --- Smart Collections ---
+const COLLECTION_FILTERS = ['all', 'favorites', 'today', 'week', 'broken'];
+
+// Validate a collection coming from the renderer; throws with a user-facing message
+function sanitizeCollection(collection) {
+    const name = String(collection.name || '').trim();
+    if (!name) throw new Error('A collection needs a name.');
+    const query = String(collection.query || '').trim();
+    const { errors } = SearchQuery.parseQuery(query);
+    if (errors.length > 0) throw new Error(`Invalid search query: ${errors.map(e => e.message).join('; ')}`);
+    const tags = (Array.isArray(collection.tags) ? collection.tags : [])
+        .map(tag => String(tag).trim()).filter(tag => tag);
+    const filter = COLLECTION_FILTERS.includes(collection.filter) ? collection.filter : 'all';
+    return { id: collection.id || crypto.randomUUID(), name: name.slice(0, 100), query, tags: [...new Set(tags)], filter };
+}
+
+ipcMain.handle('get-smart-collections', async () => {
+  try {
+    return { success: true, data: store.get('smartCollections', []) };
+  } catch (error) {
+    return handleIPCError(error, 'get-smart-collections');
+  }
+});
+
+// Insert or update (by id) a collection. Resolves with the full, ordered list.
+ipcMain.handle('save-smart-collection', async (_, collection) => {
+  if (!collection || typeof collection !== 'object') {
+      return { success: false, error: "Invalid collection provided." };
+  }
+  try {
+    const saved = sanitizeCollection(collection);
+    const collections = store.get('smartCollections', []);
+    const index = collections.findIndex(c => c.id === saved.id);
+    if (index >= 0) collections[index] = saved; else collections.push(saved);
+    store.set('smartCollections', collections);
+    return { success: true, data: collections, collection: saved };
+  } catch (error) {
+    return handleIPCError(error, 'save-smart-collection');
+  }
+});
+
+ipcMain.handle('delete-smart-collection', async (_, id) => {
+  try {
+    const collections = store.get('smartCollections', []).filter(c => c.id !== id);
+    store.set('smartCollections', collections);
+    return { success: true, data: collections };
+  } catch (error) {
+    return handleIPCError(error, 'delete-smart-collection');
+  }
+});
+
+// Reorder to match `ids`; collections missing from the list keep their relative order at the end
+ipcMain.handle('reorder-smart-collections', async (_, ids) => {
+  if (!Array.isArray(ids)) {
+      return { success: false, error: "Invalid collection order provided." };
+  }
+  try {
+    const collections = store.get('smartCollections', []);
+    const position = (c) => { const i = ids.indexOf(c.id); return i === -1 ? ids.length : i; };
+    const reordered = collections.map((c, i) => ({ c, i }))
+        .sort((a, b) => position(a.c) - position(b.c) || a.i - b.i)
+        .map(({ c }) => c);
+    store.set('smartCollections', reordered);
+    return { success: true, data: reordered };
+  } catch (error) {
+    return handleIPCError(error, 'reorder-smart-collections');
+  }
+});
+
+// --- Scraping Rules IPC (utils/scraping_rules.js) ---
+
+ipcMain.handle('get-scraping-rules', async () => {
+  try {
+    return { success: true, data: store.get('scrapingRules', []) };
+  } catch (error) {
+    return handleIPCError(error, 'get-scraping-rules');
+  }
+});
+
+// Insert or update (by id) a rule. Resolves with the full list.
+ipcMain.handle('save-scraping-rule', async (_, rule) => {
+  if (!rule || typeof rule !== 'object') {
+      return { success: false, error: "Invalid scraping rule provided." };
+  }
+  try {
+    const saved = normalizeRule(rule);
+    const rules = store.get('scrapingRules', []);
+    const index = rules.findIndex(r => r.id === saved.id);
+    if (index >= 0) rules[index] = saved; else rules.push(saved);
+    store.set('scrapingRules', rules);
+    return { success: true, data: rules, rule: saved };
+  } catch (error) {
+    return handleIPCError(error, 'save-scraping-rule');
+  }
+});
+
+ipcMain.handle('delete-scraping-rule', async (_, id) => {
+  try {
+    const rules = store.get('scrapingRules', []).filter(r => r.id !== id);
+    store.set('scrapingRules', rules);
+    return { success: true, data: rules };
+  } catch (error) {
+    return handleIPCError(error, 'delete-scraping-rule');
   }
 });
 
@@ -35,22 +35,78 @@ contextBridge.exposeInMainWorld('api', {
   // Bookmark management
   getBookmarks: () => invokeWrapper('get-bookmarks'),
   addBookmark: (url) => invokeWrapper('add-bookmark', url),
+  // Background add queue: a pasted list or text file of URLs, processed a few at a time
+  queueURLs: (text) => invokeWrapper('queue-urls', text), // count queued, skipped (already queued)
+  getJobs: () => invokeWrapper('get-jobs'),
+  cancelJobs: (ids) => invokeWrapper('cancel-jobs', ids), // No IDs: every unfinished job
+  retryJobs: (ids) => invokeWrapper('retry-jobs', ids), // No IDs: every failed or cancelled job
+  clearFinishedJobs: () => invokeWrapper('clear-finished-jobs'),
   searchBookmarks: (query) => invokeWrapper('search-bookmarks', query),
+  rankBookmarks: (query) => invokeWrapper('rank-bookmarks', query), // [{ id, score }], best match first
   filterByTags: (tags) => invokeWrapper('filter-by-tags', tags),
   // filterByDate: (days) => invokeWrapper('filter-by-date', days), // Renderer handles dates
   getFavorites: () => invokeWrapper('get-favorites'),
-  toggleFavorite: (bookmark) => invokeWrapper('toggle-favorite', bookmark),
-  deleteBookmark: (bookmark) => invokeWrapper('delete-bookmark', bookmark),
+  // Bookmarks are addressed by their stable ID
+  toggleFavorite: (id) => invokeWrapper('toggle-favorite', id),
+  updateBookmark: (id, changes) => invokeWrapper('update-bookmark', id, changes),
+  deleteBookmark: (id) => invokeWrapper('delete-bookmark', id), // Moves to trash
+  restoreBookmark: (id) => invokeWrapper('restore-bookmark', id),
+  purgeBookmark: (id) => invokeWrapper('purge-bookmark', id),
+  emptyTrash: () => invokeWrapper('empty-trash'),
+  // Link checks run as background jobs; no IDs means every bookmark the action applies to
+  checkLinks: (ids) => invokeWrapper('check-links', ids), // count queued, skipped (already queued)
+  fixRedirectedLinks: (ids) => invokeWrapper('fix-redirected-links', ids), // count updated, skipped (new URL already bookmarked)
+  trashBrokenLinks: (ids) => invokeWrapper('trash-broken-links', ids), // count moved to the trash
+  // Watched pages are re-fetched in the background and compared with the last version
+  setWatched: (id, watched) => invokeWrapper('set-watched', id, watched), // Resolves with the updated bookmark
+  checkWatched: (id) => invokeWrapper('check-watched', id),
+  getPageHistory: (id) => invokeWrapper('get-page-history', id), // data: { checkedAt, changes }; marks changes as seen
+
+  // Folders are addressed by their full path ("Projects/Client A"); changes resolve with the updated folder list
+  getFolders: () => invokeWrapper('get-folders'),
+  createFolder: (parentPath, name) => invokeWrapper('create-folder', parentPath, name),
+  renameFolder: (folderPath, newName) => invokeWrapper('rename-folder', folderPath, newName),
+  moveFolder: (folderPath, newParentPath) => invokeWrapper('move-folder', folderPath, newParentPath),
+  deleteFolder: (folderPath) => invokeWrapper('delete-folder', folderPath),
+  moveBookmarksToFolder: (ids, folderPath) => invokeWrapper('move-bookmarks-to-folder', ids, folderPath),
+
+  // Smart collections (saved query + tags + filter); each call resolves with the updated list
+  getSmartCollections: () => invokeWrapper('get-smart-collections'),
+  saveSmartCollection: (collection) => invokeWrapper('save-smart-collection', collection),
+  deleteSmartCollection: (id) => invokeWrapper('delete-smart-collection', id),
+  reorderSmartCollections: (ids) => invokeWrapper('reorder-smart-collections', ids),
 
   // Screenshot functionality
-  updateScreenshot: (bookmark) => invokeWrapper('update-screenshot', bookmark),
+  updateScreenshot: (id) => invokeWrapper('update-screenshot', id),
+
+  // Offline copies of pages (MHTML or single-file HTML)
+  archivePage: (id) => invokeWrapper('archive-page', id), // Resolves with the updated bookmark
+  openArchive: (id) => invokeWrapper('open-archive', id), // Opens the copy in its own window
+  getArticle: (id) => invokeWrapper('get-article', id), // { title, url, author, published, wordCount, readingMinutes, text }
 
   // Tag management
   getAllTags: () => invokeWrapper('get-all-tags'),
 
   // Import/Export
-  exportCSV: () => invokeWrapper('export-csv'),
-  importCSV: () => invokeWrapper('import-csv'),
+  getExportFormats: () => invokeWrapper('get-export-formats'), // [{ format, label, extension }]
+  exportBookmarks: (format) => invokeWrapper('export-bookmarks', format), // 'csv' | 'html' | 'markdown' | 'json' | 'opml'
+  // CSV/archive import: pick a file, map its columns if it's a CSV in another layout,
+  // preview (nothing written yet), then apply with a conflict strategy
+  openImportFile: () => invokeWrapper('open-import-file'), // data: { preview } or { mapping }, null if cancelled
+  previewImport: (token, mapping) => invokeWrapper('preview-import', token, mapping), // { columns, dateFormat, tagSeparator }
+  applyImport: (token, options) => invokeWrapper('apply-import', token, options), // { strategy, overrides }
+  discardImport: (token) => invokeWrapper('discard-import', token),
+  importHTML: (options) => invokeWrapper('import-html', options), // { folderMode: 'folders'|'tags'|'none', enrich }
+
+  // Backups
+  listBackups: () => invokeWrapper('list-backups'),
+  createBackup: () => invokeWrapper('create-backup'),
+  restoreBackup: (id) => invokeWrapper('restore-backup', id),
+
+  // Scraping rules (per-site page loading adjustments); each call resolves with the updated list
+  getScrapingRules: () => invokeWrapper('get-scraping-rules'),
+  saveScrapingRule: (rule) => invokeWrapper('save-scraping-rule', rule),
+  deleteScrapingRule: (id) => invokeWrapper('delete-scraping-rule', id),
 
   // URL handling
   openURL: (url) => invokeWrapper('open-url', url),
@@ -74,6 +130,10 @@ contextBridge.exposeInMainWorld('api', {
   // For main window to react to general bookmark updates (like after import)
   onBookmarksUpdated: (callback) => ipcRenderer.on('bookmarks-updated', (event) => callback()),
   removeBookmarksUpdatedListener: (callback) => ipcRenderer.removeListener('bookmarks-updated', callback),
+  // A single bookmark changed in the background (e.g. enrichment after an import)
+  onBookmarkUpdated: (callback) => ipcRenderer.on('bookmark-updated', (event, bookmark) => callback(bookmark)),
+  // Background job list (add queue, import enrichment, link and change checks) changed
+  onJobsUpdated: (callback) => ipcRenderer.on('jobs-updated', (event, jobs) => callback(jobs)),
 
 });
 
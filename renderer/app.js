@@ -6,6 +6,22 @@ document.addEventListener('DOMContentLoaded', () => {
     activeFilter: 'all',
     activeTags: [],
     searchQuery: '',
+    collections: [], // Smart collections from the settings store, in sidebar order
+    folders: [], // Sorted folder paths, e.g. "Projects/Client A"
+    activeFolder: null, // Show only bookmarks in this folder (and its subfolders)
+    collapsedFolders: new Set(),
+    editingCollectionId: null, // Collection open in the modal (null when creating one)
+    draggedCollectionId: null,
+    sortMode: 'relevance', // Used while a search has words to rank by; otherwise newest first
+    searchRanking: null, // Map of bookmark ID -> relevance score for the current search
+    rankingRequest: 0, // Ignore ranking responses for queries that have since changed
+    exportFormatsLoaded: false, // Export formats are fetched from the main process on first use
+    importMapping: null, // CSV file in another app's layout, waiting for its columns to be mapped
+    importPreview: null, // CSV import waiting for the user to pick a strategy ({ token, rows, counts, ... })
+    jobs: [], // Background add/enrich/link-check jobs from the main process, in submission order
+    visibleBookmarks: [], // Bookmarks in the grid after search and filters, for the bulk link actions
+    readerURL: null, // Original page of the article open in the reader view
+    historyBookmarkId: null, // Watched bookmark whose change history is open
     isLoading: false, // Flag to prevent multiple simultaneous loads
     isDarkMode: false, // Track theme state
     searchTimeout: null, // Added to track search debounce
@@ -23,14 +39,101 @@ document.addEventListener('DOMContentLoaded', () => {
     cacheElements() {
       this.urlInput = document.getElementById('url-input');
       this.addButton = document.getElementById('add-button');
+      this.addBookmarkEl = document.querySelector('.add-bookmark');
+      this.jobPanelEl = document.getElementById('job-panel');
+      this.jobSummaryEl = document.getElementById('job-summary');
+      this.jobProgressEl = document.getElementById('job-progress');
+      this.jobListEl = document.getElementById('job-list');
+      this.jobToggleButton = document.getElementById('job-toggle');
+      this.jobRetryButton = document.getElementById('job-retry');
+      this.jobCancelButton = document.getElementById('job-cancel');
+      this.jobClearButton = document.getElementById('job-clear');
       this.searchInput = document.getElementById('search-input');
+      this.searchErrorEl = document.getElementById('search-error');
+      this.sortRowEl = document.getElementById('sort-row');
+      this.sortSelect = document.getElementById('sort-select');
+      this.folderTreeEl = document.getElementById('folder-tree');
+      this.foldersRootEl = document.getElementById('folders-root');
+      this.newFolderButton = document.getElementById('new-folder-button');
+      this.readerModalEl = document.getElementById('reader-modal');
+      this.readerFormEl = document.getElementById('reader-form');
+      this.readerTitleEl = document.getElementById('reader-title');
+      this.readerMetaEl = document.getElementById('reader-meta');
+      this.readerTextEl = document.getElementById('reader-text');
+      this.readerOpenOriginalButton = document.getElementById('reader-open-original');
+      this.screenshotModalEl = document.getElementById('screenshot-modal');
+      this.screenshotFormEl = document.getElementById('screenshot-form');
+      this.screenshotTitleEl = document.getElementById('screenshot-title');
+      this.screenshotImageEl = document.getElementById('screenshot-image');
+      this.screenshotOpenPageButton = document.getElementById('screenshot-open-page');
+      this.historyModalEl = document.getElementById('history-modal');
+      this.historyFormEl = document.getElementById('history-form');
+      this.historyTitleEl = document.getElementById('history-title');
+      this.historyMetaEl = document.getElementById('history-meta');
+      this.historyListEl = document.getElementById('history-list');
+      this.historyCheckNowButton = document.getElementById('history-check-now');
+      this.historyUnwatchButton = document.getElementById('history-unwatch');
+      this.promptModalEl = document.getElementById('prompt-modal');
+      this.promptFormEl = document.getElementById('prompt-form');
+      this.promptTitleEl = document.getElementById('prompt-title');
+      this.promptLabelEl = document.getElementById('prompt-label');
+      this.promptInput = document.getElementById('prompt-input');
+      this.promptConfirmButton = document.getElementById('prompt-confirm');
+      this.promptCancelButton = document.getElementById('prompt-cancel');
+      this.collectionsEl = document.getElementById('collections');
+      this.saveCollectionButton = document.getElementById('save-collection-button');
+      this.collectionModalEl = document.getElementById('collection-modal');
+      this.collectionFormEl = document.getElementById('collection-form');
+      this.collectionModalTitleEl = document.getElementById('collection-modal-title');
+      this.collectionNameInput = document.getElementById('collection-name');
+      this.collectionQueryInput = document.getElementById('collection-query');
+      this.collectionTagsInput = document.getElementById('collection-tags');
+      this.collectionFilterSelect = document.getElementById('collection-filter');
+      this.collectionErrorEl = document.getElementById('collection-error');
+      this.collectionDeleteButton = document.getElementById('collection-delete');
+      this.collectionCancelButton = document.getElementById('collection-cancel');
       this.filtersEl = document.getElementById('filters');
       this.tagsListEl = document.getElementById('tags-list');
       this.bookmarksGridEl = document.getElementById('bookmarks-grid');
       this.exportButton = document.getElementById('export-button');
+      this.exportModalEl = document.getElementById('export-modal');
+      this.exportFormEl = document.getElementById('export-form');
+      this.exportFormatSelect = document.getElementById('export-format');
+      this.exportCancelButton = document.getElementById('export-cancel');
       this.importButton = document.getElementById('import-button');
+      this.importMappingModalEl = document.getElementById('import-mapping-modal');
+      this.importMappingFormEl = document.getElementById('import-mapping-form');
+      this.importMappingTitleEl = document.getElementById('import-mapping-title');
+      this.importMappingSummaryEl = document.getElementById('import-mapping-summary');
+      this.importMappingTableEl = document.getElementById('import-mapping-table');
+      this.importDateFormatSelect = document.getElementById('import-date-format');
+      this.importTagSeparatorSelect = document.getElementById('import-tag-separator');
+      this.importMappingErrorEl = document.getElementById('import-mapping-error');
+      this.importMappingCancelButton = document.getElementById('import-mapping-cancel');
+      this.importPreviewModalEl = document.getElementById('import-preview-modal');
+      this.importPreviewFormEl = document.getElementById('import-preview-form');
+      this.importPreviewTitleEl = document.getElementById('import-preview-title');
+      this.importPreviewSummaryEl = document.getElementById('import-preview-summary');
+      this.importPreviewListEl = document.getElementById('import-preview-list');
+      this.importStrategySelect = document.getElementById('import-strategy');
+      this.importPreviewCancelButton = document.getElementById('import-preview-cancel');
+      this.importHTMLButton = document.getElementById('import-html-button');
+      this.importHTMLModalEl = document.getElementById('import-html-modal');
+      this.importHTMLFormEl = document.getElementById('import-html-form');
+      this.importHTMLEnrichInput = document.getElementById('import-html-enrich');
+      this.importHTMLCancelButton = document.getElementById('import-html-cancel');
       this.settingsButton = document.getElementById('settings-button'); // ** NEW **
       this.toastEl = document.getElementById('toast');
+      this.toastMessageEl = this.toastEl?.querySelector('.toast-message');
+      this.toastActionEl = this.toastEl?.querySelector('.toast-action');
+      this.trashToolbarEl = document.getElementById('trash-toolbar');
+      this.trashSummaryEl = document.getElementById('trash-summary');
+      this.emptyTrashButton = document.getElementById('empty-trash-button');
+      this.linksToolbarEl = document.getElementById('links-toolbar');
+      this.linksSummaryEl = document.getElementById('links-summary');
+      this.checkLinksButton = document.getElementById('check-links-button');
+      this.fixRedirectsButton = document.getElementById('fix-redirects-button');
+      this.trashBrokenButton = document.getElementById('trash-broken-button');
       this.sidebarEl = document.querySelector('.sidebar');
     },
 
@@ -41,15 +144,29 @@ document.addEventListener('DOMContentLoaded', () => {
       this.urlInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') this.addBookmark();
       });
+      if (this.jobPanelEl) this.bindJobEvents();
+      if (this.readerModalEl) this.bindReaderEvents();
+      if (this.screenshotModalEl) this.bindScreenshotEvents();
+      if (this.historyModalEl) this.bindHistoryEvents();
 
       if(!this.searchInput) { console.error("Search input not found!"); return; }
       this.searchInput.addEventListener('input', () => {
         clearTimeout(this.searchTimeout);
         this.searchTimeout = setTimeout(() => {
-            this.searchQuery = this.searchInput.value.trim();
+            const query = this.searchInput.value.trim();
+            // The previous query's ranking must not let its matches through for this one
+            if (query !== this.searchQuery) this.searchRanking = null;
+            this.searchQuery = query;
             this.filterAndRenderBookmarks();
+            this.refreshSearchRanking();
         }, 250);
       });
+      if (this.sortSelect) {
+          this.sortSelect.addEventListener('change', () => {
+              this.sortMode = this.sortSelect.value;
+              this.filterAndRenderBookmarks();
+          });
+      }
 
       if(!this.filtersEl) { console.error("Filters element not found!"); return; }
       this.filtersEl.addEventListener('click', (e) => {
@@ -58,6 +175,10 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       });
 
+      if (this.collectionsEl) this.bindCollectionEvents();
+      if (this.folderTreeEl) this.bindFolderEvents();
+      if (this.promptModalEl) this.bindPromptEvents();
+
       if(!this.tagsListEl) { console.error("Tags list element not found!"); return; }
       this.tagsListEl.addEventListener('click', (e) => {
           if (e.target.classList.contains('tag')) {
@@ -67,25 +188,43 @@ document.addEventListener('DOMContentLoaded', () => {
       });
 
       if(!this.exportButton) { console.error("Export button not found!"); return; }
-      this.exportButton.addEventListener('click', () => this.exportCSV());
+      this.exportButton.addEventListener('click', () => this.openExportModal());
+      if (this.exportModalEl) this.bindExportEvents();
       if(!this.importButton) { console.error("Import button not found!"); return; }
-      this.importButton.addEventListener('click', () => this.importCSV());
+      this.importButton.addEventListener('click', () => this.importFile());
+      if (this.importPreviewModalEl) this.bindImportPreviewEvents();
+      if (this.importMappingModalEl) this.bindImportMappingEvents();
+      if (this.importHTMLButton && this.importHTMLModalEl) this.bindImportHTMLEvents();
 
       if(!this.settingsButton) { console.error("Settings button not found!"); return; }
       this.settingsButton.addEventListener('click', () => this.openSettings());
 
+      if(this.emptyTrashButton) this.emptyTrashButton.addEventListener('click', () => this.emptyTrash());
+      if (this.linksToolbarEl) {
+          this.checkLinksButton.addEventListener('click', () => this.checkLinks());
+          this.fixRedirectsButton.addEventListener('click', () => this.fixRedirectedLinks());
+          this.trashBrokenButton.addEventListener('click', () => this.trashBrokenLinks());
+      }
+      if(this.toastActionEl) {
+          this.toastActionEl.addEventListener('click', () => {
+              const callback = this.toastActionCallback;
+              this.hideToast();
+              if (callback) callback();
+          });
+      }
+
       if(!this.bookmarksGridEl) { console.error("Bookmarks grid not found!"); return; }
       this.bookmarksGridEl.addEventListener('click', (e) => {
           const target = e.target;
           const card = target.closest('.bookmark-card');
           if (!card) return;
 
-          const url = card.dataset.url;
-          if (!url) return;
+          const id = card.dataset.id;
+          if (!id) return;
 
-          const bookmark = this.bookmarks.find(b => b.URL === url);
+          const bookmark = this.bookmarks.find(b => b.ID === id);
           if (!bookmark) {
-              console.warn("Clicked card but bookmark not found in local cache:", url);
+              console.warn("Clicked card but bookmark not found in local cache:", id);
               return;
           }
 
@@ -96,9 +235,35 @@ document.addEventListener('DOMContentLoaded', () => {
                e.preventDefault();
               this.updateScreenshot(bookmark, target.closest('.screenshot-action-update'));
           }
+          else if (target.tagName === 'IMG' && target.closest('.screenshot')) {
+              this.openScreenshot(bookmark);
+          }
+          else if (target.classList.contains('reader-button')) {
+              this.openReader(bookmark);
+          }
+          else if (target.classList.contains('watch-button')) {
+              // Watched pages open their change history (which can stop watching); others start being watched
+              if (String(bookmark.Watched).toLowerCase() === 'true') this.openHistory(bookmark);
+              else this.setWatched(bookmark, true);
+          }
+          else if (target.classList.contains('bookmark-change-badge')) {
+              this.openHistory(bookmark);
+          }
+          else if (target.classList.contains('open-archive-button')) {
+              this.openArchive(bookmark);
+          }
+          else if (target.classList.contains('save-archive-button')) {
+              this.archivePage(bookmark, target);
+          }
           else if (target.classList.contains('delete-button')) {
               this.deleteBookmark(bookmark);
           }
+          else if (target.classList.contains('restore-button')) {
+              this.restoreBookmark(bookmark);
+          }
+          else if (target.classList.contains('purge-button')) {
+              this.purgeBookmark(bookmark);
+          }
           else if (target.classList.contains('tag') && target.closest('.bookmark-tags')) {
               const tag = target.textContent;
                if (!this.activeTags.includes(tag)) {
@@ -119,6 +284,18 @@ document.addEventListener('DOMContentLoaded', () => {
                this.showToast('Bookmark list updated.', 'info');
                this.loadInitialData(); // Reload bookmarks and tags
            });
+
+           // Background enrichment of imported bookmarks finishes one at a time
+           window.api.onBookmarkUpdated((bookmark) => {
+               this.replaceCachedBookmark(bookmark);
+               this.filterAndRenderBookmarks();
+               this.loadTags().catch(err => console.warn("Non-critical: Failed to reload tags after enrichment:", err));
+           });
+
+           window.api.onJobsUpdated((jobs) => {
+               this.jobs = jobs;
+               this.renderJobs();
+           });
       } else {
           console.error("FATAL: window.api not found! Preload script likely failed.");
           // Display a persistent error message to the user
@@ -161,6 +338,8 @@ document.addEventListener('DOMContentLoaded', () => {
             // Run sequentially to ensure bookmarks are loaded before filtering happens
             await this.loadBookmarks();
             await this.loadTags();
+            await this.loadCollections();
+            await this.loadFolders();
             console.log("Initial data load completed.");
         } catch (error) {
             console.error("Error during initial data load sequence:", error);
@@ -180,6 +359,7 @@ document.addEventListener('DOMContentLoaded', () => {
           this.bookmarks = Array.isArray(result.data) ? result.data : [];
           console.log(`Loaded ${this.bookmarks.length} bookmarks.`);
           this.filterAndRenderBookmarks(); // Apply current filters/search
+          this.refreshSearchRanking();
         } else {
           console.error('Error loading bookmarks:', result.error);
           this.showToast('Error loading bookmarks: ' + (result.error || 'Unknown error'), 'error');
@@ -226,6 +406,11 @@ document.addEventListener('DOMContentLoaded', () => {
           this.showToast('Please enter a URL', 'warning');
           return;
       }
+      // Several URLs pasted at once go to the background queue
+      if (url.split(/[\s,]+/).length > 1) {
+          await this.queueURLs(url);
+          return;
+      }
       let processedUrl = url;
       if (!processedUrl.startsWith('http://') && !processedUrl.startsWith('https://')) {
            processedUrl = 'https://' + processedUrl;
@@ -242,9 +427,12 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('Add bookmark result:', result);
         if (result.success && result.bookmark) {
           this.urlInput.value = '';
-          this.showToast('Bookmark added successfully');
+          this.showToast(result.updatedExisting ? 'Existing bookmark refreshed' : 'Bookmark added successfully');
+          // Re-adding a known page updates that bookmark, so drop the stale copy first
+          this.bookmarks = this.bookmarks.filter(b => b.ID !== result.bookmark.ID);
           this.bookmarks.unshift(result.bookmark);
           this.filterAndRenderBookmarks();
+          this.refreshSearchRanking();
           this.loadTags().catch(err => console.warn("Non-critical: Failed to reload tags after add:", err));
         } else {
           console.error('Add bookmark failed:', result.error);
@@ -262,7 +450,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     async updateScreenshot(bookmark, buttonElement) {
         if (!window.api) return;
-        if (!bookmark || !bookmark.URL) return;
+        if (!bookmark || !bookmark.ID) return;
 
         console.log(`Updating screenshot for: ${bookmark.URL}`);
         const card = buttonElement.closest('.bookmark-card');
@@ -273,10 +461,10 @@ document.addEventListener('DOMContentLoaded', () => {
         buttonElement.disabled = true;
 
          try {
-              const result = await window.api.updateScreenshot(bookmark);
+              const result = await window.api.updateScreenshot(bookmark.ID);
               if (result.success && result.bookmark) {
                   this.showToast('Screenshot updated successfully');
-                  const index = this.bookmarks.findIndex(b => b.URL === bookmark.URL);
+                  const index = this.bookmarks.findIndex(b => b.ID === bookmark.ID);
                   if (index !== -1) {
                       this.bookmarks[index] = result.bookmark; // Update with latest data
                        console.log("Local bookmark cache updated with new screenshot info.");
@@ -302,13 +490,224 @@ document.addEventListener('DOMContentLoaded', () => {
         // Success case implicitly removes loading state via filterAndRenderBookmarks
     },
 
+    async archivePage(bookmark, buttonElement) {
+        if (!window.api) return;
+        const originalContent = buttonElement.innerHTML;
+        buttonElement.innerHTML = '<span class="spinner"></span>';
+        buttonElement.disabled = true;
+        try {
+            const result = await window.api.archivePage(bookmark.ID);
+            this.replaceCachedBookmark(result.bookmark);
+            this.filterAndRenderBookmarks();
+            this.showToast('Offline copy saved');
+        } catch (error) {
+            console.error(`Error saving offline copy of ${bookmark.URL}:`, error);
+            this.showToast('Could not save offline copy: ' + error.message, 'error');
+            buttonElement.innerHTML = originalContent;
+            buttonElement.disabled = false;
+        }
+    },
+
+    async openArchive(bookmark) {
+        if (!window.api) return;
+        try {
+            await window.api.openArchive(bookmark.ID);
+        } catch (error) {
+            console.error(`Error opening offline copy of ${bookmark.URL}:`, error);
+            this.showToast(error.message, 'error');
+        }
+    },
+
+    // Absolute path from the main process as a file:// URL
+    fileURL(filePath) {
+        return `file:///${filePath.replace(/\\/g, '/').split('/').map(encodeURIComponent).join('/')}`;
+    },
+
+    // --- Screenshot Detail ---
+
+    bindScreenshotEvents() {
+      this.screenshotFormEl.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.screenshotModalEl.hidden = true;
+          this.screenshotImageEl.removeAttribute('src'); // Don't keep a full-page image in memory
+      });
+      this.screenshotModalEl.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') this.screenshotFormEl.requestSubmit();
+      });
+      this.screenshotOpenPageButton.addEventListener('click', () => {
+          if (this.screenshotURL) window.api.openURL(this.screenshotURL).catch(err => this.showToast(err.message, 'error'));
+      });
+      this.screenshotImageEl.addEventListener('error', () => {
+          if (this.screenshotImageEl.getAttribute('src')) this.showToast('The full screenshot could not be loaded.', 'error');
+      });
+    },
+
+    // The grid shows thumbnails; the full screenshot is only loaded here
+    openScreenshot(bookmark) {
+        if (!bookmark.Screenshot) return;
+        this.screenshotURL = bookmark.URL;
+        this.screenshotTitleEl.textContent = bookmark.Title || bookmark.URL;
+        this.screenshotImageEl.alt = `Screenshot of ${bookmark.Title || bookmark.URL}`;
+        this.screenshotImageEl.src = this.fileURL(bookmark.Screenshot);
+        this.screenshotModalEl.hidden = false;
+        this.screenshotFormEl.querySelector('button[type="submit"]').focus();
+    },
+
+    // --- Reader View ---
+
+    bindReaderEvents() {
+      this.readerFormEl.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.readerModalEl.hidden = true;
+      });
+      this.readerModalEl.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') this.readerModalEl.hidden = true;
+      });
+      this.readerOpenOriginalButton.addEventListener('click', () => {
+          if (this.readerURL) window.api.openURL(this.readerURL).catch(err => this.showToast(err.message, 'error'));
+      });
+    },
+
+    bindHistoryEvents() {
+      this.historyFormEl.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.historyModalEl.hidden = true;
+      });
+      this.historyModalEl.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') this.historyModalEl.hidden = true;
+      });
+      this.historyCheckNowButton.addEventListener('click', async () => {
+          try {
+              await window.api.checkWatched(this.historyBookmarkId);
+              this.showToast('Checking the page for changes in the background', 'info');
+          } catch (error) {
+              this.showToast('Could not check the page: ' + error.message, 'error');
+          }
+      });
+      this.historyUnwatchButton.addEventListener('click', () => {
+          const bookmark = this.bookmarks.find(b => b.ID === this.historyBookmarkId);
+          this.historyModalEl.hidden = true;
+          if (bookmark) this.setWatched(bookmark, false);
+      });
+    },
+
+    async setWatched(bookmark, watched) {
+        if (!window.api) return;
+        try {
+            const result = await window.api.setWatched(bookmark.ID, watched);
+            this.replaceCachedBookmark(result.bookmark);
+            this.filterAndRenderBookmarks();
+            this.showToast(watched ? 'Watching this page for changes' : 'Stopped watching this page', 'info');
+        } catch (error) {
+            console.error(`Error changing watch state of ${bookmark.URL}:`, error);
+            this.showToast('Error: ' + error.message, 'error');
+        }
+    },
+
+    async openHistory(bookmark) {
+        if (!window.api) return;
+        try {
+            const { data: history, bookmark: updated } = await window.api.getPageHistory(bookmark.ID);
+            this.replaceCachedBookmark(updated); // Opening the history marks its changes as seen
+            this.filterAndRenderBookmarks();
+            this.historyBookmarkId = bookmark.ID;
+            this.historyTitleEl.textContent = updated.Title || updated.URL;
+            const checkedAt = new Date(history.checkedAt);
+            this.historyMetaEl.textContent = isNaN(checkedAt.getTime())
+                ? 'Not checked yet. The first check records the version later changes are compared with.'
+                : `Last checked ${checkedAt.toLocaleString()} · ${history.changes.length} change(s) recorded`;
+            this.historyUnwatchButton.hidden = String(updated.Watched).toLowerCase() !== 'true';
+            this.historyCheckNowButton.hidden = this.historyUnwatchButton.hidden;
+            this.renderHistory(history.changes);
+            this.historyModalEl.hidden = false;
+            this.historyFormEl.querySelector('button[type="submit"]').focus();
+        } catch (error) {
+            console.error(`Error loading change history for ${bookmark.URL}:`, error);
+            this.showToast('Could not load change history: ' + error.message, 'error');
+        }
+    },
+
+    renderHistory(changes) {
+        this.historyListEl.innerHTML = '';
+        if (changes.length === 0) {
+            this.historyListEl.innerHTML = '<div class="empty-state">No changes found yet.</div>';
+            return;
+        }
+        changes.forEach(change => {
+            const entry = document.createElement('details');
+            entry.className = 'history-entry';
+            const summary = document.createElement('summary');
+            const parts = [new Date(change.detectedAt).toLocaleString(), `+${change.added} −${change.removed} lines`];
+            if (change.screenshotChange !== null && change.screenshotChange !== undefined) {
+                parts.push(`screenshot ${Math.round(change.screenshotChange * 100)}% different`);
+            }
+            summary.textContent = parts.join(' · ');
+            entry.appendChild(summary);
+
+            if (change.screenshot) {
+                const img = document.createElement('img');
+                img.className = 'history-screenshot';
+                img.src = this.fileURL(change.screenshot);
+                img.alt = 'Screenshot after the change';
+                img.loading = 'lazy';
+                img.onerror = () => img.remove();
+                entry.appendChild(img);
+            }
+            const diffEl = document.createElement('div');
+            diffEl.className = 'history-diff';
+            change.hunks.forEach(hunk => {
+                const hunkEl = document.createElement('div');
+                hunkEl.className = 'history-hunk';
+                hunk.lines.forEach(line => {
+                    const lineEl = document.createElement('div');
+                    lineEl.className = line.type === '+' ? 'diff-added' : line.type === '-' ? 'diff-removed' : 'diff-context';
+                    lineEl.textContent = `${line.type} ${line.text}`;
+                    hunkEl.appendChild(lineEl);
+                });
+                diffEl.appendChild(hunkEl);
+            });
+            if (change.hunks.length === 0) {
+                diffEl.textContent = 'The text is the same; only the screenshot changed.';
+            }
+            entry.appendChild(diffEl);
+            this.historyListEl.appendChild(entry);
+        });
+        this.historyListEl.firstChild.open = true;
+    },
+
+    async openReader(bookmark) {
+        if (!window.api) return;
+        try {
+            const { data: article } = await window.api.getArticle(bookmark.ID);
+            this.readerURL = article.url;
+            this.readerTitleEl.textContent = article.title || article.url;
+            const published = article.published ? new Date(article.published) : null;
+            this.readerMetaEl.textContent = [
+                article.author,
+                published && !isNaN(published.getTime()) ? published.toLocaleDateString() : '',
+                `${article.readingMinutes} min read (${article.wordCount.toLocaleString()} words)`,
+            ].filter(part => part).join(' · ');
+            this.readerTextEl.innerHTML = '';
+            article.text.split(/\n{2,}/).forEach(paragraph => {
+                const p = document.createElement('p');
+                p.textContent = paragraph;
+                this.readerTextEl.appendChild(p);
+            });
+            this.readerTextEl.scrollTop = 0;
+            this.readerModalEl.hidden = false;
+            this.readerFormEl.querySelector('button[type="submit"]').focus();
+        } catch (error) {
+            console.error(`Error opening article for ${bookmark.URL}:`, error);
+            this.showToast('Could not open article: ' + error.message, 'error');
+        }
+    },
+
     async toggleFavorite(bookmark) {
         if (!window.api) return;
-        if (!bookmark || !bookmark.URL) return;
+        if (!bookmark || !bookmark.ID) return;
         console.log(`Toggling favorite for: ${bookmark.URL}`);
-        const originalBookmarkStateForAPI = { ...bookmark }; // Use current state for API call
 
-        const index = this.bookmarks.findIndex(b => b.URL === bookmark.URL);
+        const index = this.bookmarks.findIndex(b => b.ID === bookmark.ID);
         if (index === -1) {
             console.error("Bookmark not found in local cache for toggling:", bookmark.URL);
             return;
@@ -324,7 +723,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             console.log(`Calling API toggleFavorite for ${bookmark.URL}`);
-            const result = await window.api.toggleFavorite(originalBookmarkStateForAPI);
+            const result = await window.api.toggleFavorite(bookmark.ID);
             console.log(`API toggleFavorite result for ${bookmark.URL}:`, result);
 
             if (result.success && result.bookmark) {
@@ -361,24 +760,25 @@ document.addEventListener('DOMContentLoaded', () => {
     },
 
 
+     // Deleting moves the bookmark to the trash; the toast offers an Undo
      async deleteBookmark(bookmark) {
          if (!window.api) return;
-         if (!bookmark || !bookmark.URL) return;
-
-         const confirmation = confirm(`Are you sure you want to delete this bookmark?\n\n${bookmark.Title || bookmark.URL}`);
-         if (!confirmation) return;
+         if (!bookmark || !bookmark.ID) return;
 
-         console.log(`Attempting to delete bookmark: ${bookmark.URL}`);
-         const card = this.bookmarksGridEl.querySelector(`.bookmark-card[data-url="${CSS.escape(bookmark.URL)}"]`);
+         console.log(`Moving bookmark to trash: ${bookmark.URL}`);
+         const card = this.bookmarksGridEl.querySelector(`.bookmark-card[data-id="${CSS.escape(bookmark.ID)}"]`);
          if (card) card.classList.add('card-deleting');
 
          try {
-             const result = await window.api.deleteBookmark(bookmark);
-             if (result.success) {
-                 this.showToast('Bookmark deleted successfully');
-                 this.bookmarks = this.bookmarks.filter(b => b.URL !== bookmark.URL);
+             const result = await window.api.deleteBookmark(bookmark.ID);
+             if (result.success && result.bookmark) {
+                 this.replaceCachedBookmark(result.bookmark);
                  this.filterAndRenderBookmarks();
                  this.loadTags().catch(err => console.warn("Non-critical: Failed to reload tags after delete:", err));
+                 this.showToast('Moved to Trash', 'info', {
+                     label: 'Undo',
+                     callback: () => this.restoreBookmark(result.bookmark)
+                 });
              } else {
                  console.error('Error deleting bookmark:', result.error);
                  this.showToast('Error deleting bookmark: ' + (result.error || 'Unknown error'), 'error');
@@ -391,13 +791,172 @@ document.addEventListener('DOMContentLoaded', () => {
          }
      },
 
-    async exportCSV() {
+     async restoreBookmark(bookmark) {
+         if (!window.api) return;
+         if (!bookmark || !bookmark.ID) return;
+         try {
+             const result = await window.api.restoreBookmark(bookmark.ID);
+             if (result.success && result.bookmark) {
+                 this.replaceCachedBookmark(result.bookmark);
+                 this.filterAndRenderBookmarks();
+                 this.loadTags().catch(err => console.warn("Non-critical: Failed to reload tags after restore:", err));
+                 this.showToast('Bookmark restored');
+             }
+         } catch (error) {
+             console.error(`Error restoring bookmark ${bookmark.URL}:`, error);
+             this.showToast('Error restoring bookmark: ' + error.message, 'error');
+         }
+     },
+
+     async purgeBookmark(bookmark) {
+         if (!window.api) return;
+         if (!bookmark || !bookmark.ID) return;
+
+         const confirmation = confirm(`Delete this bookmark permanently? This cannot be undone.\n\n${bookmark.Title || bookmark.URL}`);
+         if (!confirmation) return;
+
+         try {
+             await window.api.purgeBookmark(bookmark.ID);
+             this.bookmarks = this.bookmarks.filter(b => b.ID !== bookmark.ID);
+             this.filterAndRenderBookmarks();
+             this.showToast('Bookmark deleted permanently');
+         } catch (error) {
+             console.error(`Error purging bookmark ${bookmark.URL}:`, error);
+             this.showToast('Error deleting bookmark: ' + error.message, 'error');
+         }
+     },
+
+     async emptyTrash() {
+         if (!window.api) return;
+         const trashedCount = this.bookmarks.filter(b => b.Deleted).length;
+         if (trashedCount === 0) return;
+         if (!confirm(`Permanently delete ${trashedCount} bookmark(s) in the trash? This cannot be undone.`)) return;
+
+         this.emptyTrashButton.disabled = true;
+         try {
+             const result = await window.api.emptyTrash();
+             this.bookmarks = this.bookmarks.filter(b => !b.Deleted);
+             this.filterAndRenderBookmarks();
+             this.showToast(`Deleted ${result.count} bookmark(s) permanently`);
+         } catch (error) {
+             console.error('Error emptying trash:', error);
+             this.showToast('Error emptying trash: ' + error.message, 'error');
+         } finally {
+             this.emptyTrashButton.disabled = false;
+         }
+     },
+
+     renderLinksSummary(bookmarks) {
+         const broken = bookmarks.filter(b => window.SearchQuery.linkHealth(b) === 'broken').length;
+         const redirected = bookmarks.length - broken;
+         const unchecked = this.bookmarks.filter(b => !b.Deleted && window.SearchQuery.linkHealth(b) === 'unchecked').length;
+         this.linksSummaryEl.textContent = `${broken} broken, ${redirected} redirected` +
+             (unchecked ? ` · ${unchecked} not checked yet` : '');
+         this.fixRedirectsButton.disabled = redirected === 0;
+         this.trashBrokenButton.disabled = broken === 0;
+     },
+
+     async checkLinks() {
+         if (!window.api) return;
+         try {
+             const result = await window.api.checkLinks();
+             this.showToast(`Checking ${result.count} link${result.count === 1 ? '' : 's'} in the background` +
+                 (result.skipped ? ` (${result.skipped} already queued)` : ''), 'info');
+         } catch (error) {
+             console.error('Error queueing link checks:', error);
+             this.showToast('Could not check links: ' + error.message, 'error');
+         }
+     },
+
+     // Bulk link actions apply to what the Broken Links view currently shows (search and tags included)
+     async fixRedirectedLinks() {
+         if (!window.api) return;
+         const ids = this.visibleBookmarks.filter(b => window.SearchQuery.linkHealth(b) === 'redirected').map(b => b.ID);
+         if (ids.length === 0) return;
+         if (!confirm(`Update ${ids.length} redirected bookmark(s) to the address they now lead to?`)) return;
+
+         this.fixRedirectsButton.disabled = true;
+         try {
+             const result = await window.api.fixRedirectedLinks(ids);
+             await this.loadBookmarks();
+             this.showToast(`Updated ${result.count} bookmark(s)` +
+                 (result.skipped ? `, skipped ${result.skipped} whose new address is already bookmarked` : ''));
+         } catch (error) {
+             console.error('Error updating redirected links:', error);
+             this.showToast('Error updating redirected links: ' + error.message, 'error');
+             this.fixRedirectsButton.disabled = false;
+         }
+     },
+
+     async trashBrokenLinks() {
+         if (!window.api) return;
+         const ids = this.visibleBookmarks.filter(b => window.SearchQuery.linkHealth(b) === 'broken').map(b => b.ID);
+         if (ids.length === 0) return;
+         if (!confirm(`Move ${ids.length} bookmark(s) with broken links to the trash?`)) return;
+
+         this.trashBrokenButton.disabled = true;
+         try {
+             const result = await window.api.trashBrokenLinks(ids);
+             await this.loadBookmarks();
+             this.showToast(`Moved ${result.count} bookmark(s) to the trash`);
+         } catch (error) {
+             console.error('Error trashing broken links:', error);
+             this.showToast('Error moving broken links to the trash: ' + error.message, 'error');
+             this.trashBrokenButton.disabled = false;
+         }
+     },
+
+     // Swap the cached copy of a bookmark for the latest one from the main process
+     replaceCachedBookmark(bookmark) {
+         const index = this.bookmarks.findIndex(b => b.ID === bookmark.ID);
+         if (index !== -1) {
+             this.bookmarks[index] = bookmark;
+         } else {
+             this.bookmarks.unshift(bookmark);
+         }
+     },
+
+    bindExportEvents() {
+      this.exportCancelButton.addEventListener('click', () => { this.exportModalEl.hidden = true; });
+      this.exportModalEl.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') this.exportModalEl.hidden = true;
+      });
+      this.exportFormEl.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.exportModalEl.hidden = true;
+          this.exportBookmarks(this.exportFormatSelect.value);
+      });
+    },
+
+    async openExportModal() {
       if (!window.api) return;
-      console.log("Exporting CSV...");
+      // Formats come from the main process so new exporters show up without renderer changes
+      if (!this.exportFormatsLoaded) {
+          try {
+              const result = await window.api.getExportFormats();
+              this.exportFormatSelect.innerHTML = '';
+              result.data.forEach(({ format, label, extension }) => {
+                  const option = document.createElement('option');
+                  option.value = format;
+                  option.textContent = `${label} (.${extension})`;
+                  this.exportFormatSelect.appendChild(option);
+              });
+              this.exportFormatsLoaded = true;
+          } catch (error) {
+              console.warn('Could not load export formats, offering CSV only:', error);
+          }
+      }
+      this.exportModalEl.hidden = false;
+      this.exportFormatSelect.focus();
+    },
+
+    async exportBookmarks(format) {
+      if (!window.api) return;
+      console.log(`Exporting bookmarks as ${format}...`);
       this.exportButton.textContent = 'Exporting...';
       this.exportButton.disabled = true;
       try {
-        const result = await window.api.exportCSV();
+        const result = await window.api.exportBookmarks(format);
         if (result.success) {
           this.showToast(result.message || `Exported ${result.count} bookmarks successfully`);
         } else {
@@ -409,38 +968,446 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
       } catch (error) {
-         console.error('Critical error exporting CSV:', error);
+         console.error('Critical error exporting bookmarks:', error);
         this.showToast('Critical error exporting: ' + error.message, 'error');
       } finally {
-          this.exportButton.textContent = 'Export CSV';
+          this.exportButton.textContent = 'Export…';
           this.exportButton.disabled = false;
       }
     },
 
-    async importCSV() {
+    // --- CSV / Archive Import (preview, then apply with a conflict strategy) ---
+
+    async importFile() {
       if (!window.api) return;
-      console.log("Importing CSV...");
-      this.importButton.textContent = 'Importing...';
+      console.log("Previewing import...");
+      this.importButton.textContent = 'Reading...';
       this.importButton.disabled = true;
       try {
-        const result = await window.api.importCSV();
-        // Success/failure notification is handled by main process dialogs + 'bookmarks-updated' event
-         if (!result.success && result.message === 'Import cancelled') {
-             this.showToast('Import cancelled', 'info');
-         } else if (!result.success) {
-             console.error("Import failed:", result.error);
-             this.showToast('Import failed. See error dialog/console.', 'error');
-         }
-         // Successful import triggers 'bookmarks-updated' which calls loadInitialData
+        const result = await window.api.openImportFile();
+        if (!result.data) {
+            this.showToast('Import cancelled', 'info');
+            return;
+        }
+        if (result.data.mapping) {
+            this.openImportMapping(result.data.mapping);
+        } else {
+            this.openImportPreview(result.data.preview);
+        }
       } catch (error) {
-        console.error('Critical error during import process:', error);
-        this.showToast('Critical error importing: ' + error.message, 'error');
+        console.error('Error reading import file:', error);
+        this.showToast('Import failed: ' + error.message, 'error');
       } finally {
-          this.importButton.textContent = 'Import CSV';
+          this.importButton.textContent = 'Import…';
           this.importButton.disabled = false;
       }
     },
 
+    // Column mapping step, for CSV files from other apps
+    bindImportMappingEvents() {
+      this.importMappingCancelButton.addEventListener('click', () => this.closeImportMapping());
+      this.importMappingModalEl.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') this.closeImportMapping();
+      });
+      this.importMappingFormEl.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.submitImportMapping();
+      });
+    },
+
+    openImportMapping(mapping) {
+      this.importMapping = mapping;
+      this.importMappingTitleEl.textContent = `Map Columns — ${mapping.fileName}`;
+      this.importMappingSummaryEl.textContent = `${mapping.rowCount} rows. ` + (mapping.remembered
+          ? 'Using the mapping you chose last time for a file with these columns.'
+          : 'Columns we recognised are already matched; choose a field for the others or leave them ignored.');
+      this.importDateFormatSelect.value = mapping.dateFormat;
+      this.importTagSeparatorSelect.value = mapping.tagSeparator;
+      this.importMappingErrorEl.hidden = true;
+
+      this.importMappingTableEl.innerHTML = '';
+      const head = this.importMappingTableEl.insertRow();
+      ['Column', 'Sample values', 'Import as'].forEach(text => {
+          const th = document.createElement('th');
+          th.textContent = text;
+          head.appendChild(th);
+      });
+      mapping.headers.forEach(header => {
+          const tr = this.importMappingTableEl.insertRow();
+          const nameEl = document.createElement('th');
+          nameEl.textContent = header;
+          tr.appendChild(nameEl);
+          const sampleEl = tr.insertCell();
+          sampleEl.className = 'sample';
+          sampleEl.textContent = mapping.sampleRows.map(row => row[header]).filter(value => value).slice(0, 3).join(' · ');
+          const select = document.createElement('select');
+          select.dataset.header = header;
+          [['', 'Ignore'], ...mapping.fields.map(field => [field, field])].forEach(([value, label]) => {
+              const option = document.createElement('option');
+              option.value = value;
+              option.textContent = label;
+              select.appendChild(option);
+          });
+          select.value = mapping.columns[header] || '';
+          tr.insertCell().appendChild(select);
+      });
+      this.importMappingModalEl.hidden = false;
+    },
+
+    closeImportMapping() {
+      this.importMappingModalEl.hidden = true;
+      if (this.importMapping) {
+          window.api.discardImport(this.importMapping.token).catch(err => console.warn('Could not discard import:', err));
+          this.importMapping = null;
+      }
+    },
+
+    async submitImportMapping() {
+      if (!this.importMapping) return;
+      const columns = {};
+      this.importMappingTableEl.querySelectorAll('select[data-header]').forEach(select => {
+          columns[select.dataset.header] = select.value;
+      });
+      const mapped = Object.values(columns).filter(field => field);
+      // Several columns may add tags; every other field comes from a single column
+      const repeated = mapped.find((field, i) => field !== 'Tags' && mapped.indexOf(field) !== i);
+      let error = '';
+      if (!mapped.includes('URL')) error = 'Choose the column that holds the URL.';
+      else if (repeated) error = `Only one column can be imported as ${repeated}.`;
+      if (error) {
+          this.importMappingErrorEl.textContent = error;
+          this.importMappingErrorEl.hidden = false;
+          return;
+      }
+      try {
+          const result = await window.api.previewImport(this.importMapping.token, {
+              columns,
+              dateFormat: this.importDateFormatSelect.value,
+              tagSeparator: this.importTagSeparatorSelect.value,
+          });
+          this.importMapping = null; // The token now belongs to the preview
+          this.importMappingModalEl.hidden = true;
+          this.openImportPreview(result.data);
+      } catch (err) {
+          this.importMappingErrorEl.textContent = err.message;
+          this.importMappingErrorEl.hidden = false;
+      }
+    },
+
+    openImportPreview(preview) {
+      this.importPreview = preview;
+      this.renderImportPreview();
+      this.importPreviewModalEl.hidden = false;
+      this.importStrategySelect.focus();
+    },
+
+    bindImportPreviewEvents() {
+      this.importPreviewCancelButton.addEventListener('click', () => this.closeImportPreview());
+      this.importPreviewModalEl.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') this.closeImportPreview();
+      });
+      this.importPreviewFormEl.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.applyImport();
+      });
+    },
+
+    closeImportPreview() {
+      this.importPreviewModalEl.hidden = true;
+      if (this.importPreview) {
+          window.api.discardImport(this.importPreview.token).catch(err => console.warn('Could not discard import preview:', err));
+          this.importPreview = null;
+      }
+    },
+
+    renderImportPreview() {
+      const { fileName, counts, duplicatesInFile, rows } = this.importPreview;
+      this.importPreviewTitleEl.textContent = `Import ${fileName}`;
+      let summary = `${counts.new} new, ${counts.changed} changed, ${counts.identical} identical.`;
+      if (duplicatesInFile > 0) summary += ` ${duplicatesInFile} repeated rows in the file were combined.`;
+      if (this.importPreview.unusableRows > 0) summary += ` ${this.importPreview.unusableRows} rows without a web address will be left out.`;
+      this.importPreviewSummaryEl.textContent = summary;
+      this.importPreviewListEl.innerHTML = '';
+
+      const changedRows = rows.filter(row => row.status === 'changed');
+      if (changedRows.length > 0) {
+          const heading = document.createElement('h4');
+          heading.textContent = `Changed (${changedRows.length})`;
+          this.importPreviewListEl.appendChild(heading);
+      }
+      changedRows.forEach(row => {
+          const rowEl = document.createElement('div');
+          rowEl.className = 'import-row';
+
+          const headerEl = document.createElement('div');
+          headerEl.className = 'import-row-header';
+          const titleEl = document.createElement('span');
+          titleEl.className = 'import-row-title';
+          titleEl.textContent = row.existing.Title || row.existing.URL;
+          titleEl.title = row.existing.URL;
+          // Per-row override of the strategy chosen above
+          const strategyEl = document.createElement('select');
+          strategyEl.dataset.index = row.index;
+          [['', 'Use default'], ...Array.from(this.importStrategySelect.options).map(o => [o.value, o.textContent])].forEach(([value, label]) => {
+              const option = document.createElement('option');
+              option.value = value;
+              option.textContent = label;
+              strategyEl.appendChild(option);
+          });
+          headerEl.append(titleEl, strategyEl);
+
+          const table = document.createElement('table');
+          table.className = 'import-diff';
+          const head = table.insertRow();
+          ['Field', 'Yours', 'Imported'].forEach(text => {
+              const th = document.createElement('th');
+              th.textContent = text;
+              head.appendChild(th);
+          });
+          row.diffs.forEach(diff => {
+              const tr = table.insertRow();
+              const fieldEl = document.createElement('th');
+              fieldEl.textContent = diff.field;
+              tr.appendChild(fieldEl);
+              const mineEl = tr.insertCell();
+              mineEl.className = 'mine';
+              mineEl.textContent = diff.mine || '(empty)';
+              const theirsEl = tr.insertCell();
+              theirsEl.className = 'theirs';
+              theirsEl.textContent = diff.theirs;
+          });
+
+          rowEl.append(headerEl, table);
+          this.importPreviewListEl.appendChild(rowEl);
+      });
+
+      const newRows = rows.filter(row => row.status === 'new');
+      if (newRows.length > 0) {
+          const heading = document.createElement('h4');
+          heading.textContent = `New (${newRows.length})`;
+          const list = document.createElement('ul');
+          list.className = 'import-new-list';
+          const shown = 200; // Long imports only list the first ones
+          newRows.slice(0, shown).forEach(row => {
+              const item = document.createElement('li');
+              item.textContent = row.incoming.Title ? `${row.incoming.Title} — ${row.incoming.URL}` : row.incoming.URL;
+              list.appendChild(item);
+          });
+          if (newRows.length > shown) {
+              const more = document.createElement('li');
+              more.textContent = `…and ${newRows.length - shown} more`;
+              list.appendChild(more);
+          }
+          this.importPreviewListEl.append(heading, list);
+      }
+      if (rows.length === 0) {
+          this.importPreviewListEl.innerHTML = '<div class="modal-hint">Everything in this file is already in your library.</div>';
+      }
+    },
+
+    async applyImport() {
+      if (!this.importPreview) return;
+      const overrides = {};
+      this.importPreviewListEl.querySelectorAll('select[data-index]').forEach(select => {
+          if (select.value) overrides[select.dataset.index] = select.value;
+      });
+      const { token } = this.importPreview;
+      this.importPreview = null;
+      this.importPreviewModalEl.hidden = true;
+      try {
+          const result = await window.api.applyImport(token, { strategy: this.importStrategySelect.value, overrides });
+          this.showToast(result.message || `Import complete: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+          // Changed bookmarks arrive through the 'bookmarks-updated' event
+      } catch (error) {
+          console.error('Error applying import:', error);
+          this.showToast('Import failed: ' + error.message, 'error');
+      }
+    },
+
+    // --- Background Add Queue ---
+
+    bindJobEvents() {
+      // Drop a text file (or dragged links/text) on the add box to queue every URL in it
+      const isExternalDrop = (e) => ['Files', 'text/uri-list', 'text/plain'].some(type => e.dataTransfer.types.includes(type));
+      this.addBookmarkEl.addEventListener('dragover', (e) => {
+          if (!isExternalDrop(e)) return;
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'copy';
+          this.addBookmarkEl.classList.add('drop-target');
+      });
+      this.addBookmarkEl.addEventListener('dragleave', (e) => {
+          if (!this.addBookmarkEl.contains(e.relatedTarget)) this.addBookmarkEl.classList.remove('drop-target');
+      });
+      this.addBookmarkEl.addEventListener('drop', async (e) => {
+          this.addBookmarkEl.classList.remove('drop-target');
+          if (!isExternalDrop(e)) return;
+          e.preventDefault();
+          const files = [...e.dataTransfer.files];
+          let text = '';
+          if (files.length > 0) {
+              try {
+                  text = (await Promise.all(files.map(file => file.text()))).join('\n');
+              } catch (error) {
+                  this.showToast('Could not read the dropped file: ' + error.message, 'error');
+                  return;
+              }
+          } else {
+              text = e.dataTransfer.getData('text/uri-list') || e.dataTransfer.getData('text/plain');
+          }
+          this.queueURLs(text);
+      });
+
+      this.jobToggleButton.addEventListener('click', () => {
+          this.jobListEl.hidden = !this.jobListEl.hidden;
+          this.jobToggleButton.textContent = this.jobListEl.hidden ? 'Details' : 'Hide';
+      });
+      this.jobRetryButton.addEventListener('click', () => this.runJobAction('retryJobs'));
+      this.jobCancelButton.addEventListener('click', () => this.runJobAction('cancelJobs'));
+      this.jobClearButton.addEventListener('click', () => this.runJobAction('clearFinishedJobs'));
+      this.jobListEl.addEventListener('click', (e) => {
+          const button = e.target.closest('button[data-action]');
+          if (button) this.runJobAction(button.dataset.action, [button.dataset.id]);
+      });
+
+      // Jobs may already be running (e.g. after a reload)
+      if (window.api) {
+          window.api.getJobs().then(result => {
+              this.jobs = result.data || [];
+              this.renderJobs();
+          }).catch(err => console.warn("Non-critical: Failed to load background jobs:", err));
+      }
+    },
+
+    async queueURLs(text) {
+      if (!window.api) return;
+      try {
+        const result = await window.api.queueURLs(text);
+        this.urlInput.value = '';
+        this.showToast(`Queued ${result.count} URL${result.count === 1 ? '' : 's'}` +
+            (result.skipped ? ` (${result.skipped} already queued)` : ''), result.count ? 'success' : 'info');
+      } catch (error) {
+        console.error('Error queueing URLs:', error);
+        this.showToast('Could not queue URLs: ' + error.message, 'error');
+      }
+    },
+
+    // action: 'cancelJobs' | 'retryJobs' | 'clearFinishedJobs'; no IDs means all that apply
+    async runJobAction(action, ids = []) {
+      if (!window.api) return;
+      try {
+        await window.api[action](ids);
+        // The new state arrives through 'jobs-updated'
+      } catch (error) {
+        console.error(`Error in job action ${action}:`, error);
+        this.showToast('Error: ' + error.message, 'error');
+      }
+    },
+
+    renderJobs() {
+      if (!this.jobPanelEl) return;
+      const jobs = this.jobs;
+      this.jobPanelEl.hidden = jobs.length === 0;
+      if (jobs.length === 0) return;
+
+      const counts = { done: 0, failed: 0, cancelled: 0 };
+      jobs.forEach(job => { if (job.status in counts) counts[job.status]++; });
+      const finished = counts.done + counts.failed + counts.cancelled;
+      const active = jobs.length - finished;
+      this.jobSummaryEl.textContent = (active > 0 ? `Processing: ${finished} of ${jobs.length} finished` : `${jobs.length} processed`) +
+          (counts.failed ? `, ${counts.failed} failed` : '') +
+          (counts.cancelled ? `, ${counts.cancelled} cancelled` : '');
+      this.jobProgressEl.max = jobs.length;
+      this.jobProgressEl.value = finished;
+      this.jobRetryButton.hidden = counts.failed + counts.cancelled === 0;
+      this.jobCancelButton.hidden = active === 0;
+      this.jobClearButton.hidden = finished === 0;
+
+      const statusLabels = {
+          queued: 'Queued', running: 'Starting', scraping: 'Scraping', tagging: 'Tagging', checking: 'Checking',
+          fetching: 'Fetching', comparing: 'Comparing',
+          done: 'Done', failed: 'Failed', cancelled: 'Cancelled',
+      };
+      this.jobListEl.innerHTML = '';
+      jobs.forEach(job => {
+          const item = document.createElement('li');
+          item.className = 'job-item';
+          const status = document.createElement('span');
+          status.className = `job-status status-${job.status}`;
+          status.textContent = statusLabels[job.status] || job.status;
+          item.appendChild(status);
+          const typeLabels = { enrich: 'import', 'check-link': 'link check', watch: 'change check' };
+          if (typeLabels[job.type]) {
+              const type = document.createElement('span');
+              type.className = 'job-type';
+              type.textContent = typeLabels[job.type];
+              item.appendChild(type);
+          }
+          const url = document.createElement('span');
+          url.className = 'job-url';
+          url.textContent = job.url;
+          url.title = job.url;
+          item.appendChild(url);
+          if (job.error && job.status === 'failed') {
+              const error = document.createElement('span');
+              error.className = 'job-error';
+              error.textContent = job.error;
+              error.title = job.error;
+              item.appendChild(error);
+          }
+          const action = ['failed', 'cancelled'].includes(job.status) ? 'retryJobs'
+              : job.status === 'done' ? null : 'cancelJobs';
+          if (action) {
+              const button = document.createElement('button');
+              button.className = 'icon-button';
+              button.dataset.action = action;
+              button.dataset.id = job.id;
+              button.textContent = action === 'retryJobs' ? '↻' : '✕';
+              button.title = action === 'retryJobs' ? 'Retry' : 'Cancel';
+              item.appendChild(button);
+          }
+          this.jobListEl.appendChild(item);
+      });
+    },
+
+    // --- Browser (Netscape HTML) Import ---
+
+    bindImportHTMLEvents() {
+      this.importHTMLButton.addEventListener('click', () => {
+          this.importHTMLModalEl.hidden = false;
+      });
+      this.importHTMLCancelButton.addEventListener('click', () => { this.importHTMLModalEl.hidden = true; });
+      this.importHTMLModalEl.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') this.importHTMLModalEl.hidden = true;
+      });
+      this.importHTMLFormEl.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.importHTMLModalEl.hidden = true;
+          const folderMode = this.importHTMLFormEl.querySelector('input[name="import-folder-mode"]:checked')?.value || 'folders';
+          this.importHTML({ folderMode, enrich: this.importHTMLEnrichInput.checked });
+      });
+    },
+
+    async importHTML(options) {
+      if (!window.api) return;
+      this.importHTMLButton.textContent = 'Importing...';
+      this.importHTMLButton.disabled = true;
+      try {
+        const result = await window.api.importHTML(options);
+        if (result.success) {
+            this.showToast(result.message || `Imported ${result.count} bookmarks`);
+        } else if (result.message === 'Import cancelled') {
+            this.showToast('Import cancelled', 'info');
+        }
+        // New bookmarks arrive through the 'bookmarks-updated' event
+      } catch (error) {
+        console.error('Error importing browser bookmarks:', error);
+        this.showToast('Import failed: ' + error.message, 'error');
+      } finally {
+          this.importHTMLButton.textContent = 'Import HTML';
+          this.importHTMLButton.disabled = false;
+      }
+    },
+
      async openSettings() {
          if (!window.api) return;
          console.log("Requesting to open settings window...");
@@ -466,9 +1433,20 @@ document.addEventListener('DOMContentLoaded', () => {
             item.classList.toggle('active', item.dataset.filter === filter);
           });
       }
+      if (this.trashToolbarEl) this.trashToolbarEl.hidden = filter !== 'trash';
+      if (this.linksToolbarEl) this.linksToolbarEl.hidden = filter !== 'broken';
       this.filterAndRenderBookmarks();
     },
 
+    // Show a search query in the search box and apply it
+    setSearchQuery(query) {
+      if (query !== this.searchQuery) this.searchRanking = null;
+      this.searchQuery = query;
+      if (this.searchInput) this.searchInput.value = query;
+      this.filterAndRenderBookmarks();
+      this.refreshSearchRanking();
+    },
+
     toggleTagFilter(tag) {
       if (!tag) return;
       console.log(`Toggling tag filter: ${tag}`);
@@ -499,63 +1477,597 @@ document.addEventListener('DOMContentLoaded', () => {
        this.tagsListEl.appendChild(fragment);
     },
 
+    // Ask the main process to rank bookmarks for the words in the current search, then re-render.
+    // Until the ranking arrives (or if it fails) results keep the plain newest-first order.
+    async refreshSearchRanking() {
+      const requestId = ++this.rankingRequest;
+      const { clauses } = window.SearchQuery.parseQuery(this.searchQuery);
+      if (!window.SearchQuery.rankingText(clauses)) {
+          this.searchRanking = null;
+          return;
+      }
+      try {
+          const result = await window.api.rankBookmarks(this.searchQuery);
+          if (requestId !== this.rankingRequest) return;
+          this.searchRanking = new Map(result.data.map(({ id, score }) => [id, score]));
+          this.filterAndRenderBookmarks();
+      } catch (error) {
+          console.warn('Non-critical: Failed to rank search results:', error);
+          if (requestId === this.rankingRequest) this.searchRanking = null;
+      }
+    },
+
+    showSearchErrors(errors) {
+      if (!this.searchErrorEl) return;
+      this.searchInput.classList.toggle('invalid', errors.length > 0);
+      this.searchErrorEl.hidden = errors.length === 0;
+      this.searchErrorEl.textContent = errors.map(e => e.message).join('. ');
+    },
+
     // Central function to apply all filters and search, then render
     filterAndRenderBookmarks() {
       console.log(`Filtering bookmarks. Search: "${this.searchQuery}", Filter: ${this.activeFilter}, Tags: [${this.activeTags.join(', ')}]`);
-      let filtered = [...this.bookmarks];
-
-      // Apply search filter
-      if (this.searchQuery) {
-        const query = this.searchQuery.toLowerCase();
+      // Trashed bookmarks only show up in the Trash view
+      const inTrashView = this.activeFilter === 'trash';
+      let filtered = this.bookmarks.filter(bookmark => Boolean(bookmark.Deleted) === inTrashView);
+
+      // Apply search filter (syntax in utils/search_query.js). The valid parts of a malformed
+      // query still apply while the error is shown under the search box.
+      const { clauses, errors } = window.SearchQuery.parseQuery(this.searchQuery);
+      this.showSearchErrors(errors);
+      const hasRankableText = Boolean(window.SearchQuery.rankingText(clauses));
+      if (this.sortRowEl) this.sortRowEl.hidden = !hasRankableText;
+      const ranking = hasRankableText && this.sortMode === 'relevance' ? this.searchRanking : null;
+      if (ranking) {
+        // Plain words may also match through the index (prefixes, typos); everything else must match exactly
+        const strictClauses = clauses.filter(clause => !window.SearchQuery.isLooseTerm(clause));
+        const looseClauses = clauses.filter(clause => window.SearchQuery.isLooseTerm(clause));
         filtered = filtered.filter(bookmark =>
-          (bookmark.URL && bookmark.URL.toLowerCase().includes(query)) ||
-          (bookmark.Title && bookmark.Title.toLowerCase().includes(query)) ||
-          (bookmark.Description && bookmark.Description.toLowerCase().includes(query)) ||
-          (bookmark.Tags && bookmark.Tags.toLowerCase().includes(query))
+          window.SearchQuery.matchesQuery(bookmark, strictClauses) &&
+          (ranking.has(bookmark.ID) || window.SearchQuery.matchesQuery(bookmark, looseClauses))
         );
+      } else if (clauses.length > 0) {
+        filtered = filtered.filter(bookmark => window.SearchQuery.matchesQuery(bookmark, clauses));
+      }
+
+      filtered = this.applyMainFilter(filtered, this.activeFilter);
+      filtered = this.applyTagFilter(filtered, this.activeTags);
+      if (this.activeFolder) {
+          filtered = filtered.filter(bookmark => this.isWithinFolder(bookmark.Folder, this.activeFolder));
+      }
+
+      // Sort results by date descending (most recently deleted first in the trash)
+      try {
+          const sortField = inTrashView ? 'Deleted' : 'Date';
+          filtered.sort((a, b) => new Date(b[sortField]) - new Date(a[sortField]));
+          if (ranking) {
+              // Stable sort keeps newest first among equally relevant results
+              filtered.sort((a, b) => (ranking.get(b.ID) || 0) - (ranking.get(a.ID) || 0));
+          }
+      } catch (sortError) {
+          console.warn("Could not sort bookmarks by date due to invalid date format:", sortError);
       }
 
-      // Apply main filter
+      if (inTrashView && this.trashSummaryEl) {
+          this.trashSummaryEl.textContent = `${filtered.length} bookmark(s) in the trash`;
+          this.emptyTrashButton.disabled = filtered.length === 0;
+      }
+      if (this.activeFilter === 'broken' && this.linksSummaryEl) this.renderLinksSummary(filtered);
+      this.visibleBookmarks = filtered;
+
+      console.log(`Rendering ${filtered.length} filtered bookmarks.`);
+      this.renderBookmarks(filtered);
+      this.renderCollections(); // Counts and the active collection follow the current view
+      this.renderFolderTree();
+    },
+
+    applyMainFilter(bookmarks, filter) {
       const now = new Date();
       const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
       const weekAgo = new Date(today);
       weekAgo.setDate(today.getDate() - 7);
 
-      if (this.activeFilter === 'favorites') {
-        filtered = filtered.filter(bookmark => String(bookmark.Favorite).toLowerCase() === 'true');
-      } else if (this.activeFilter === 'today') {
-        filtered = filtered.filter(bookmark => {
+      if (filter === 'favorites') {
+        return bookmarks.filter(bookmark => String(bookmark.Favorite).toLowerCase() === 'true');
+      } else if (filter === 'today') {
+        return bookmarks.filter(bookmark => {
            try { return new Date(bookmark.Date) >= today; } catch { return false; }
         });
-      } else if (this.activeFilter === 'week') {
-        filtered = filtered.filter(bookmark => {
+      } else if (filter === 'week') {
+        return bookmarks.filter(bookmark => {
           try { return new Date(bookmark.Date) >= weekAgo; } catch { return false; }
         });
+      } else if (filter === 'broken') {
+        // Links that need attention: gone, or moved somewhere else
+        return bookmarks.filter(bookmark => ['broken', 'redirected'].includes(window.SearchQuery.linkHealth(bookmark)));
       }
-      // 'all' needs no filtering here
-
-      // Apply tag filter
-      if (this.activeTags.length > 0) {
-          const activeTagsLower = this.activeTags.map(t => t.toLowerCase());
-          filtered = filtered.filter(bookmark => {
-              if (!bookmark.Tags) return false;
-              const bookmarkTags = String(bookmark.Tags).split(',')
-                                        .map(t => t.trim().toLowerCase())
-                                        .filter(t => t);
-              // Check if *any* of the bookmark's tags are present in the active filter tags
-              return bookmarkTags.some(bt => activeTagsLower.includes(bt));
-        });
+      return bookmarks; // 'all' and 'trash' need no filtering here
+    },
+
+    applyTagFilter(bookmarks, tags) {
+      if (tags.length === 0) return bookmarks;
+      const activeTagsLower = tags.map(t => t.toLowerCase());
+      return bookmarks.filter(bookmark => {
+          if (!bookmark.Tags) return false;
+          const bookmarkTags = String(bookmark.Tags).split(',')
+                                    .map(t => t.trim().toLowerCase())
+                                    .filter(t => t);
+          // Check if *any* of the bookmark's tags are present in the active filter tags
+          return bookmarkTags.some(bt => activeTagsLower.includes(bt));
+      });
+    },
+
+    // --- Folders ---
+
+    isWithinFolder(folderPath, ancestor) {
+      return folderPath === ancestor || String(folderPath || '').startsWith(ancestor + '/');
+    },
+
+    parentFolder(folderPath) {
+      return folderPath.includes('/') ? folderPath.slice(0, folderPath.lastIndexOf('/')) : '';
+    },
+
+    bindFolderEvents() {
+      this.newFolderButton.addEventListener('click', () => this.createFolder(''));
+
+      this.folderTreeEl.addEventListener('click', (e) => {
+          const item = e.target.closest('.folder-item');
+          if (!item) return;
+          const folderPath = item.dataset.path;
+          if (e.target.closest('.folder-toggle')) {
+              if (this.collapsedFolders.has(folderPath)) this.collapsedFolders.delete(folderPath);
+              else this.collapsedFolders.add(folderPath);
+              this.renderFolderTree();
+          } else if (e.target.closest('.folder-add')) {
+              this.createFolder(folderPath);
+          } else if (e.target.closest('.folder-rename')) {
+              this.renameFolder(folderPath);
+          } else if (e.target.closest('.folder-delete')) {
+              this.deleteFolder(folderPath);
+          } else {
+              this.setActiveFolder(this.activeFolder === folderPath ? null : folderPath);
+          }
+      });
+
+      // Folders can be dragged onto other folders; cards can be dragged onto folders.
+      // The folder tree header is the drop target for "top level".
+      this.folderTreeEl.addEventListener('dragstart', (e) => {
+          const item = e.target.closest('.folder-item');
+          if (!item) return;
+          e.dataTransfer.setData('application/x-folder-path', item.dataset.path);
+          e.dataTransfer.effectAllowed = 'move';
+      });
+      this.bookmarksGridEl.addEventListener('dragstart', (e) => {
+          const card = e.target.closest('.bookmark-card');
+          if (!card) return;
+          e.dataTransfer.setData('application/x-bookmark-id', card.dataset.id);
+          e.dataTransfer.effectAllowed = 'move';
+      });
+
+      const isFolderDrag = (e) => ['application/x-folder-path', 'application/x-bookmark-id']
+          .some(type => e.dataTransfer.types.includes(type));
+      [this.folderTreeEl, this.foldersRootEl].forEach(zone => {
+          zone.addEventListener('dragover', (e) => {
+              if (!isFolderDrag(e)) return;
+              const target = zone === this.foldersRootEl ? zone : e.target.closest('.folder-item');
+              if (!target) return;
+              e.preventDefault();
+              this.clearFolderDropTarget();
+              target.classList.add('drop-target');
+          });
+          zone.addEventListener('dragleave', (e) => {
+              if (!zone.contains(e.relatedTarget)) this.clearFolderDropTarget();
+          });
+          zone.addEventListener('drop', (e) => {
+              const target = zone === this.foldersRootEl ? zone : e.target.closest('.folder-item');
+              this.clearFolderDropTarget();
+              if (!target) return;
+              e.preventDefault();
+              const destination = target.dataset.path || '';
+              const bookmarkId = e.dataTransfer.getData('application/x-bookmark-id');
+              const folderPath = e.dataTransfer.getData('application/x-folder-path');
+              if (bookmarkId) this.moveBookmarkToFolder(bookmarkId, destination);
+              else if (folderPath) this.moveFolder(folderPath, destination);
+          });
+      });
+    },
+
+    clearFolderDropTarget() {
+      document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    },
+
+    async loadFolders() {
+      if (!window.api) return;
+      try {
+          const result = await window.api.getFolders();
+          this.folders = Array.isArray(result.data) ? result.data : [];
+          if (this.activeFolder && !this.folders.includes(this.activeFolder)) this.activeFolder = null;
+          this.renderFolderTree();
+      } catch (error) {
+          console.error('Error loading folders:', error);
+          this.showToast('Error loading folders: ' + error.message, 'error');
       }
+    },
 
-      // Sort results by date descending
+    setActiveFolder(folderPath) {
+      console.log(`Setting active folder to: ${folderPath || '(any)'}`);
+      this.activeFolder = folderPath;
+      this.filterAndRenderBookmarks();
+    },
+
+    renderFolderTree() {
+      if (!this.folderTreeEl) return;
+      this.folderTreeEl.innerHTML = '';
+      if (this.folders.length === 0) {
+          this.folderTreeEl.innerHTML = '<li class="folders-empty">No folders yet.</li>';
+          return;
+      }
+      const liveBookmarks = this.bookmarks.filter(b => !b.Deleted);
+      const fragment = document.createDocumentFragment();
+      this.folders.forEach(folderPath => {
+          // Skip folders inside a collapsed parent
+          const parts = folderPath.split('/');
+          for (let depth = 1; depth < parts.length; depth++) {
+              if (this.collapsedFolders.has(parts.slice(0, depth).join('/'))) return;
+          }
+          const hasChildren = this.folders.some(other => other.startsWith(folderPath + '/'));
+          const item = document.createElement('li');
+          item.className = `folder-item ${this.activeFolder === folderPath ? 'active' : ''}`;
+          item.dataset.path = folderPath;
+          item.draggable = true;
+          item.style.paddingLeft = `${(parts.length - 1) * 14 + 4}px`;
+          item.title = folderPath.split('/').join(' › ');
+
+          const toggleEl = document.createElement('span');
+          toggleEl.className = 'folder-toggle';
+          toggleEl.textContent = hasChildren ? (this.collapsedFolders.has(folderPath) ? '▸' : '▾') : '';
+          const nameEl = document.createElement('span');
+          nameEl.className = 'folder-name';
+          nameEl.textContent = parts[parts.length - 1];
+          const countEl = document.createElement('span');
+          countEl.className = 'folder-count';
+          countEl.textContent = liveBookmarks.filter(b => this.isWithinFolder(b.Folder, folderPath)).length;
+          const actionsEl = document.createElement('span');
+          actionsEl.className = 'folder-actions';
+          [['folder-add', '＋', 'New Subfolder'], ['folder-rename', '✎', 'Rename Folder'], ['folder-delete', '🗑️', 'Delete Folder']]
+              .forEach(([className, icon, title]) => {
+                  const button = document.createElement('button');
+                  button.className = `${className} icon-button`;
+                  button.innerHTML = icon;
+                  button.title = title;
+                  actionsEl.appendChild(button);
+              });
+
+          item.appendChild(toggleEl);
+          item.appendChild(nameEl);
+          item.appendChild(countEl);
+          item.appendChild(actionsEl);
+          fragment.appendChild(item);
+      });
+      this.folderTreeEl.appendChild(fragment);
+    },
+
+    async createFolder(parentPath) {
+      const name = await this.showPrompt({
+          title: parentPath ? `New folder in ${parentPath.split('/').join(' › ')}` : 'New Folder',
+          label: 'Folder name',
+          confirmLabel: 'Create',
+      });
+      if (!name) return;
       try {
-          filtered.sort((a, b) => new Date(b.Date) - new Date(a.Date));
-      } catch (sortError) {
-          console.warn("Could not sort bookmarks by date due to invalid date format:", sortError);
+          const result = await window.api.createFolder(parentPath, name);
+          this.folders = result.data;
+          this.collapsedFolders.delete(parentPath);
+          this.renderFolderTree();
+      } catch (error) {
+          console.error('Error creating folder:', error);
+          this.showToast('Error creating folder: ' + error.message, 'error');
       }
+    },
 
-      console.log(`Rendering ${filtered.length} filtered bookmarks.`);
-      this.renderBookmarks(filtered);
+    async renameFolder(folderPath) {
+      const currentName = folderPath.split('/').pop();
+      const name = await this.showPrompt({ title: 'Rename Folder', label: 'Folder name', value: currentName, confirmLabel: 'Rename' });
+      if (!name || name === currentName) return;
+      try {
+          const result = await window.api.renameFolder(folderPath, name);
+          await this.afterFolderRelocated(folderPath, result);
+      } catch (error) {
+          console.error('Error renaming folder:', error);
+          this.showToast('Error renaming folder: ' + error.message, 'error');
+      }
+    },
+
+    async moveFolder(folderPath, newParentPath) {
+      if (folderPath === newParentPath || this.parentFolder(folderPath) === newParentPath) return;
+      try {
+          const result = await window.api.moveFolder(folderPath, newParentPath);
+          await this.afterFolderRelocated(folderPath, result);
+      } catch (error) {
+          console.error('Error moving folder:', error);
+          this.showToast('Error moving folder: ' + error.message, 'error');
+      }
+    },
+
+    // Bookmark folder paths changed in the main process: refresh them and follow the selection
+    async afterFolderRelocated(oldPath, result) {
+      this.folders = result.data;
+      if (this.activeFolder && this.isWithinFolder(this.activeFolder, oldPath)) {
+          this.activeFolder = result.folder + this.activeFolder.slice(oldPath.length);
+      }
+      await this.loadBookmarks();
+    },
+
+    async deleteFolder(folderPath) {
+      const parent = this.parentFolder(folderPath);
+      if (!confirm(`Delete the folder "${folderPath.split('/').join(' › ')}" and its subfolders? Their bookmarks are kept and moved to ${parent ? `"${parent.split('/').join(' › ')}"` : 'the top level'}.`)) return;
+      try {
+          const result = await window.api.deleteFolder(folderPath);
+          this.folders = result.data;
+          if (this.activeFolder && this.isWithinFolder(this.activeFolder, folderPath)) this.activeFolder = null;
+          await this.loadBookmarks();
+      } catch (error) {
+          console.error('Error deleting folder:', error);
+          this.showToast('Error deleting folder: ' + error.message, 'error');
+      }
+    },
+
+    async moveBookmarkToFolder(id, folderPath) {
+      try {
+          const result = await window.api.moveBookmarksToFolder([id], folderPath);
+          result.data.forEach(bookmark => this.replaceCachedBookmark(bookmark));
+          this.filterAndRenderBookmarks();
+          this.showToast(folderPath ? `Moved to ${folderPath.split('/').join(' › ')}` : 'Removed from folder');
+      } catch (error) {
+          console.error('Error moving bookmark to folder:', error);
+          this.showToast('Error moving bookmark: ' + error.message, 'error');
+      }
+    },
+
+    // --- Prompt Modal (Electron has no window.prompt) ---
+
+    bindPromptEvents() {
+      this.promptFormEl.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.closePrompt(this.promptInput.value.trim() || null);
+      });
+      this.promptCancelButton.addEventListener('click', () => this.closePrompt(null));
+      this.promptModalEl.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') this.closePrompt(null);
+      });
+    },
+
+    // Resolves with the entered text, or null when cancelled
+    showPrompt({ title, label, value = '', confirmLabel = 'OK' }) {
+      this.closePrompt(null); // Settle any prompt that is still open
+      this.promptTitleEl.textContent = title;
+      this.promptLabelEl.textContent = label;
+      this.promptInput.value = value;
+      this.promptConfirmButton.textContent = confirmLabel;
+      this.promptModalEl.hidden = false;
+      this.promptInput.focus();
+      this.promptInput.select();
+      return new Promise(resolve => { this.promptResolve = resolve; });
+    },
+
+    closePrompt(value) {
+      this.promptModalEl.hidden = true;
+      const resolve = this.promptResolve;
+      this.promptResolve = null;
+      if (resolve) resolve(value);
+    },
+
+    // --- Smart Collections ---
+
+    bindCollectionEvents() {
+      this.saveCollectionButton.addEventListener('click', () => this.openCollectionModal(null));
+
+      this.collectionsEl.addEventListener('click', (e) => {
+          const item = e.target.closest('.collection-item');
+          if (!item) return;
+          const collection = this.collections.find(c => c.id === item.dataset.id);
+          if (!collection) return;
+          if (e.target.closest('.collection-edit')) {
+              this.openCollectionModal(collection);
+          } else {
+              this.applyCollection(collection);
+          }
+      });
+
+      // Drag and drop to reorder
+      this.collectionsEl.addEventListener('dragstart', (e) => {
+          const item = e.target.closest('.collection-item');
+          if (!item) return;
+          this.draggedCollectionId = item.dataset.id;
+          e.dataTransfer.effectAllowed = 'move';
+          item.classList.add('dragging');
+      });
+      this.collectionsEl.addEventListener('dragover', (e) => {
+          const item = e.target.closest('.collection-item');
+          if (!this.draggedCollectionId || !item) return;
+          e.preventDefault();
+          const rect = item.getBoundingClientRect();
+          const after = e.clientY > rect.top + rect.height / 2;
+          this.collectionsEl.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+          item.classList.add(after ? 'drop-after' : 'drop-before');
+      });
+      this.collectionsEl.addEventListener('drop', (e) => {
+          e.preventDefault();
+          const target = this.collectionsEl.querySelector('.drop-before, .drop-after');
+          if (target && this.draggedCollectionId) {
+              this.moveCollection(this.draggedCollectionId, target.dataset.id, target.classList.contains('drop-after'));
+          }
+      });
+      this.collectionsEl.addEventListener('dragend', () => {
+          this.draggedCollectionId = null;
+          this.collectionsEl.querySelectorAll('.dragging, .drop-before, .drop-after')
+              .forEach(el => el.classList.remove('dragging', 'drop-before', 'drop-after'));
+      });
+
+      this.collectionFormEl.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.saveCollectionFromModal();
+      });
+      this.collectionCancelButton.addEventListener('click', () => this.closeCollectionModal());
+      this.collectionDeleteButton.addEventListener('click', () => this.deleteCollectionFromModal());
+      this.collectionModalEl.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') this.closeCollectionModal();
+      });
+    },
+
+    async loadCollections() {
+      if (!window.api) return;
+      try {
+          const result = await window.api.getSmartCollections();
+          this.collections = Array.isArray(result.data) ? result.data : [];
+          this.renderCollections();
+      } catch (error) {
+          console.error('Error loading collections:', error);
+          this.showToast('Error loading collections: ' + error.message, 'error');
+      }
+    },
+
+    // Bookmarks in a collection, using the same matching as the main view (without relevance ranking)
+    countCollection(collection) {
+      const { clauses } = window.SearchQuery.parseQuery(collection.query);
+      let matches = this.bookmarks.filter(bookmark => !bookmark.Deleted && window.SearchQuery.matchesQuery(bookmark, clauses));
+      matches = this.applyMainFilter(matches, collection.filter);
+      return this.applyTagFilter(matches, collection.tags).length;
+    },
+
+    isCollectionActive(collection) {
+      const sameTags = collection.tags.length === this.activeTags.length &&
+          collection.tags.every(tag => this.activeTags.includes(tag));
+      return collection.query === this.searchQuery && collection.filter === this.activeFilter && sameTags;
+    },
+
+    renderCollections() {
+      if (!this.collectionsEl) return;
+      this.collectionsEl.innerHTML = '';
+      if (this.collections.length === 0) {
+          this.collectionsEl.innerHTML = '<li class="collections-empty">Save a search with ＋ to keep it here.</li>';
+          return;
+      }
+      const fragment = document.createDocumentFragment();
+      this.collections.forEach(collection => {
+          const item = document.createElement('li');
+          item.className = `collection-item ${this.isCollectionActive(collection) ? 'active' : ''}`;
+          item.dataset.id = collection.id;
+          item.draggable = true;
+          item.title = [collection.query, collection.tags.map(t => `#${t}`).join(' ')].filter(Boolean).join(' ');
+
+          const nameEl = document.createElement('span');
+          nameEl.className = 'collection-name';
+          nameEl.textContent = collection.name;
+          const countEl = document.createElement('span');
+          countEl.className = 'collection-count';
+          countEl.textContent = this.countCollection(collection);
+          const editEl = document.createElement('button');
+          editEl.className = 'collection-edit icon-button';
+          editEl.innerHTML = '✎';
+          editEl.title = 'Edit Collection';
+
+          item.appendChild(nameEl);
+          item.appendChild(countEl);
+          item.appendChild(editEl);
+          fragment.appendChild(item);
+      });
+      this.collectionsEl.appendChild(fragment);
+    },
+
+    applyCollection(collection) {
+      console.log(`Applying collection: ${collection.name}`);
+      this.activeTags = [...collection.tags];
+      this.renderTagsList();
+      this.activeFilter = null; // Force setActiveFilter to update the sidebar even if unchanged
+      this.setActiveFilter(collection.filter);
+      this.setSearchQuery(collection.query);
+    },
+
+    // Open the editor for `collection`, or for a new collection from the current view
+    openCollectionModal(collection) {
+      this.editingCollectionId = collection ? collection.id : null;
+      const source = collection || {
+          name: '',
+          query: this.searchQuery,
+          tags: this.activeTags,
+          filter: this.activeFilter === 'trash' ? 'all' : this.activeFilter,
+      };
+      this.collectionModalTitleEl.textContent = collection ? 'Edit Collection' : 'Save Collection';
+      this.collectionNameInput.value = source.name;
+      this.collectionQueryInput.value = source.query;
+      this.collectionTagsInput.value = source.tags.join(', ');
+      this.collectionFilterSelect.value = source.filter;
+      this.collectionDeleteButton.hidden = !collection;
+      this.collectionErrorEl.hidden = true;
+      this.collectionModalEl.hidden = false;
+      this.collectionNameInput.focus();
+    },
+
+    closeCollectionModal() {
+      this.collectionModalEl.hidden = true;
+      this.editingCollectionId = null;
+    },
+
+    async saveCollectionFromModal() {
+      const collection = {
+          id: this.editingCollectionId,
+          name: this.collectionNameInput.value.trim(),
+          query: this.collectionQueryInput.value.trim(),
+          tags: this.collectionTagsInput.value.split(',').map(t => t.trim()).filter(t => t),
+          filter: this.collectionFilterSelect.value,
+      };
+      // Check the query here too so mistakes show up next to the field
+      const { errors } = window.SearchQuery.parseQuery(collection.query);
+      if (!collection.name || errors.length > 0) {
+          this.collectionErrorEl.textContent = collection.name ? errors.map(e => e.message).join('. ') : 'Please enter a name.';
+          this.collectionErrorEl.hidden = false;
+          return;
+      }
+      try {
+          const result = await window.api.saveSmartCollection(collection);
+          this.collections = result.data;
+          this.closeCollectionModal();
+          this.renderCollections();
+          this.showToast(`Collection "${result.collection.name}" saved`);
+      } catch (error) {
+          console.error('Error saving collection:', error);
+          this.collectionErrorEl.textContent = error.message;
+          this.collectionErrorEl.hidden = false;
+      }
+    },
+
+    async deleteCollectionFromModal() {
+      const collection = this.collections.find(c => c.id === this.editingCollectionId);
+      if (!collection) return;
+      if (!confirm(`Delete the collection "${collection.name}"? Its bookmarks are not affected.`)) return;
+      try {
+          const result = await window.api.deleteSmartCollection(collection.id);
+          this.collections = result.data;
+          this.closeCollectionModal();
+          this.renderCollections();
+      } catch (error) {
+          console.error('Error deleting collection:', error);
+          this.showToast('Error deleting collection: ' + error.message, 'error');
+      }
+    },
+
+    async moveCollection(id, targetId, placeAfter) {
+      if (id === targetId) return;
+      const ids = this.collections.map(c => c.id).filter(existing => existing !== id);
+      const targetIndex = ids.indexOf(targetId);
+      ids.splice(placeAfter ? targetIndex + 1 : targetIndex, 0, id);
+      // Reorder locally right away, then persist
+      this.collections.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+      this.renderCollections();
+      try {
+          const result = await window.api.reorderSmartCollections(ids);
+          this.collections = result.data;
+      } catch (error) {
+          console.error('Error reordering collections:', error);
+          this.showToast('Error saving collection order: ' + error.message, 'error');
+          this.loadCollections();
+      }
     },
 
     renderBookmarks(bookmarksToRender) {
@@ -568,23 +2080,31 @@ document.addEventListener('DOMContentLoaded', () => {
       }
 
       if (bookmarksToRender.length === 0) {
-        this.bookmarksGridEl.innerHTML = `<div class="empty-state">
-          ${this.searchQuery || this.activeTags.length > 0 || this.activeFilter !== 'all' ? 'No bookmarks match your filters.' : 'No bookmarks yet. Add one!'}
-        </div>`;
+        let emptyMessage = 'No bookmarks yet. Add one!';
+        if (this.activeFilter === 'trash' && !this.searchQuery && this.activeTags.length === 0) {
+            emptyMessage = 'Trash is empty.';
+        } else if (this.activeFilter === 'broken' && !this.searchQuery && this.activeTags.length === 0) {
+            emptyMessage = 'No broken or redirected links found. Links are checked in the background; use Check All Links to check them now.';
+        } else if (this.searchQuery || this.activeTags.length > 0 || this.activeFilter !== 'all') {
+            emptyMessage = 'No bookmarks match your filters.';
+        }
+        this.bookmarksGridEl.innerHTML = `<div class="empty-state">${emptyMessage}</div>`;
         return;
       }
 
       const fragment = document.createDocumentFragment();
 
       bookmarksToRender.forEach(bookmark => {
-          if (!bookmark || !bookmark.URL) {
+          if (!bookmark || !bookmark.ID || !bookmark.URL) {
               console.warn("Skipping rendering invalid bookmark data:", bookmark);
               return;
           }
 
           const card = document.createElement('div');
           card.className = 'bookmark-card';
-          card.dataset.url = bookmark.URL;
+          if (String(bookmark.NewChanges).toLowerCase() === 'true') card.classList.add('has-changes');
+          card.dataset.id = bookmark.ID;
+          card.draggable = !bookmark.Deleted; // Drag onto a folder in the sidebar to file it
 
           // --- Screenshot Section ---
           const screenshotContainer = document.createElement('div');
@@ -595,14 +2115,20 @@ document.addEventListener('DOMContentLoaded', () => {
 
           if (bookmark.Screenshot && typeof bookmark.Screenshot === 'string') {
                const img = document.createElement('img');
-               // Main process guarantees absolute path. Replace backslashes, encode URI components.
-               const filePath = bookmark.Screenshot.replace(/\\/g, '/');
-               const encodedFilePath = filePath.split('/').map(encodeURIComponent).join('/');
-               img.src = `file:///${encodedFilePath}`; // Triple slash for absolute file path
+               // Main process guarantees absolute paths. Bookmarks from before thumbnails show the full screenshot.
+               const fullURL = this.fileURL(bookmark.Screenshot);
+               img.src = bookmark.Thumbnail ? this.fileURL(bookmark.Thumbnail) : fullURL;
 
                img.alt = `Screenshot of ${bookmark.Title || bookmark.URL}`;
+               img.title = 'View full screenshot';
                img.loading = 'lazy';
                img.onerror = (e) => {
+                   if (bookmark.Thumbnail && !img.dataset.triedFull) {
+                       // Thumbnail missing: try the full screenshot before giving up
+                       img.dataset.triedFull = 'true';
+                       img.src = fullURL;
+                       return;
+                   }
                    console.warn(`Failed to load screenshot: ${img.src}`, e);
                    const container = e.target.closest('.screenshot');
                    if (container) {
@@ -650,21 +2176,62 @@ document.addEventListener('DOMContentLoaded', () => {
           linkEl.title = bookmark.URL;
           linkEl.target = '_blank';
           linkEl.rel = 'noopener noreferrer';
+          if (bookmark.Favicon) {
+              const faviconEl = document.createElement('img');
+              faviconEl.className = 'bookmark-favicon';
+              faviconEl.src = this.fileURL(bookmark.Favicon);
+              faviconEl.alt = '';
+              faviconEl.title = bookmark.SiteName || '';
+              faviconEl.onerror = () => faviconEl.remove();
+              titleEl.appendChild(faviconEl);
+          }
           titleEl.appendChild(linkEl);
 
           const controlsEl = document.createElement('div');
           controlsEl.className = 'bookmark-controls';
-          const favEl = document.createElement('button');
-          const isFavorite = String(bookmark.Favorite).toLowerCase() === 'true';
-          favEl.className = `favorite-toggle icon-button ${isFavorite ? 'is-favorite' : ''}`;
-          favEl.innerHTML = isFavorite ? '★' : '☆';
-          favEl.title = isFavorite ? 'Remove from Favorites' : 'Add to Favorites';
-          const deleteEl = document.createElement('button');
-          deleteEl.className = 'delete-button icon-button';
-          deleteEl.innerHTML = '🗑️';
-          deleteEl.title = 'Delete Bookmark';
-          controlsEl.appendChild(favEl);
-          controlsEl.appendChild(deleteEl);
+          if (bookmark.Deleted) {
+              // Trashed bookmarks can only be restored or deleted for good
+              const restoreEl = document.createElement('button');
+              restoreEl.className = 'restore-button icon-button';
+              restoreEl.innerHTML = '↩️';
+              restoreEl.title = 'Restore Bookmark';
+              const purgeEl = document.createElement('button');
+              purgeEl.className = 'purge-button icon-button';
+              purgeEl.innerHTML = '✖';
+              purgeEl.title = 'Delete Permanently';
+              controlsEl.appendChild(restoreEl);
+              controlsEl.appendChild(purgeEl);
+          } else {
+              const favEl = document.createElement('button');
+              const isFavorite = String(bookmark.Favorite).toLowerCase() === 'true';
+              favEl.className = `favorite-toggle icon-button ${isFavorite ? 'is-favorite' : ''}`;
+              favEl.innerHTML = isFavorite ? '★' : '☆';
+              favEl.title = isFavorite ? 'Remove from Favorites' : 'Add to Favorites';
+              const archiveEl = document.createElement('button');
+              archiveEl.className = `${bookmark.Archive ? 'open-archive-button' : 'save-archive-button'} icon-button`;
+              archiveEl.innerHTML = bookmark.Archive ? '📄' : '💾';
+              archiveEl.title = bookmark.Archive ? 'Open Offline Copy' : 'Save Offline Copy';
+              const deleteEl = document.createElement('button');
+              deleteEl.className = 'delete-button icon-button';
+              deleteEl.innerHTML = '🗑️';
+              deleteEl.title = 'Move to Trash';
+              controlsEl.appendChild(favEl);
+              if (bookmark.Article) {
+                  const readerEl = document.createElement('button');
+                  readerEl.className = 'reader-button icon-button';
+                  readerEl.innerHTML = '📖';
+                  readerEl.title = 'Read Article';
+                  controlsEl.appendChild(readerEl);
+              }
+              const isWatched = String(bookmark.Watched).toLowerCase() === 'true';
+              const watchEl = document.createElement('button');
+              watchEl.className = `watch-button icon-button ${isWatched ? 'is-watched' : ''}`;
+              watchEl.innerHTML = '👁';
+              watchEl.title = isWatched ? 'Change History' : 'Watch for Changes';
+              controlsEl.appendChild(archiveEl);
+              controlsEl.appendChild(watchEl);
+              controlsEl.appendChild(deleteEl);
+          }
           headerEl.appendChild(titleEl);
           headerEl.appendChild(controlsEl);
 
@@ -706,6 +2273,55 @@ document.addEventListener('DOMContentLoaded', () => {
               }
           } catch { dateEl.textContent = 'Invalid Date'; }
           footerEl.appendChild(dateEl);
+          const mediaLabels = { pdf: '📄 PDF', image: '🖼 Image', video: '▶ Video' };
+          if (mediaLabels[bookmark.MediaType]) {
+              const mediaEl = document.createElement('span');
+              mediaEl.className = 'bookmark-media-type';
+              mediaEl.textContent = mediaLabels[bookmark.MediaType];
+              footerEl.appendChild(mediaEl);
+          }
+          const wordCount = Number(bookmark.WordCount) || 0;
+          if (wordCount > 0) {
+              const readingEl = document.createElement('span');
+              readingEl.className = 'bookmark-reading-time';
+              readingEl.textContent = `${Math.max(1, Math.round(wordCount / 230))} min read`;
+              readingEl.title = `${wordCount.toLocaleString()} words` + (bookmark.Author ? ` · ${bookmark.Author}` : '');
+              footerEl.appendChild(readingEl);
+          }
+          if (String(bookmark.NewChanges).toLowerCase() === 'true') {
+              const changeEl = document.createElement('span');
+              changeEl.className = 'bookmark-change-badge';
+              const changedAt = new Date(bookmark.LastChanged);
+              changeEl.textContent = isNaN(changedAt.getTime()) ? '● Changed' : `● Changed ${changedAt.toLocaleDateString()}`;
+              changeEl.title = 'The page changed since you last looked. Click to see what changed.';
+              footerEl.appendChild(changeEl);
+          }
+          const linkHealth = window.SearchQuery.linkHealth(bookmark);
+          if (linkHealth === 'broken' || linkHealth === 'redirected') {
+              const linkEl = document.createElement('span');
+              linkEl.className = `bookmark-link-status link-${linkHealth}`;
+              linkEl.textContent = linkHealth === 'broken'
+                  ? (bookmark.LinkStatus === 'unreachable' ? '⚠ Unreachable' : `⚠ ${bookmark.LinkStatus}`)
+                  : '↪ Moved';
+              const checkedAt = new Date(bookmark.LastChecked);
+              linkEl.title = (linkHealth === 'redirected' ? `Now redirects to ${bookmark.FinalURL}` : 'Link is broken') +
+                  (isNaN(checkedAt.getTime()) ? '' : ` (checked ${checkedAt.toLocaleString()})`);
+              footerEl.appendChild(linkEl);
+          }
+          if (bookmark.Folder) {
+              const folderEl = document.createElement('span');
+              folderEl.className = 'bookmark-folder';
+              folderEl.textContent = `📁 ${bookmark.Folder.split('/').pop()}`;
+              folderEl.title = bookmark.Folder.split('/').join(' › ');
+              footerEl.appendChild(folderEl);
+          }
+          if (bookmark.Deleted) {
+              const deletedEl = document.createElement('span');
+              deletedEl.className = 'bookmark-deleted-date';
+              const deletedAt = new Date(bookmark.Deleted);
+              deletedEl.textContent = isNaN(deletedAt.getTime()) ? 'In trash' : `Deleted ${deletedAt.toLocaleDateString()}`;
+              footerEl.appendChild(deletedEl);
+          }
 
           // Assemble Content
           contentEl.appendChild(headerEl);
@@ -723,14 +2339,22 @@ document.addEventListener('DOMContentLoaded', () => {
       this.bookmarksGridEl.appendChild(fragment); // Append fragment to DOM once
     },
 
-    showToast(message, type = 'info') {
+    // `action` ({ label, callback }) adds a button to the toast, e.g. Undo
+    showToast(message, type = 'info', action = null) {
       if (!this.toastEl) return;
-      this.toastEl.textContent = message;
-      this.toastEl.className = `toast show ${type}`; // Reset classes and add type
+      this.toastMessageEl.textContent = message;
+      this.toastActionCallback = action ? action.callback : null;
+      this.toastActionEl.hidden = !action;
+      if (action) this.toastActionEl.textContent = action.label;
+      this.toastEl.className = `toast show ${type}${action ? ' has-action' : ''}`; // Reset classes and add type
+      clearTimeout(this.toastTimeout);
+      this.toastTimeout = setTimeout(() => this.hideToast(), action ? 6000 : 3000); // Longer when there's something to click
+    },
+
+    hideToast() {
       clearTimeout(this.toastTimeout);
-      this.toastTimeout = setTimeout(() => {
-        if (this.toastEl) this.toastEl.classList.remove('show');
-      }, 3000); // 3 seconds
+      this.toastActionCallback = null;
+      if (this.toastEl) this.toastEl.classList.remove('show', 'has-action');
     },
 
      async checkLLMStatus() {
@@ -4,6 +4,38 @@ document.addEventListener('DOMContentLoaded', () => {
         darkModeToggle: document.getElementById('darkModeToggle'),
         headlessTrue: document.getElementById('headlessTrue'),
         headlessFalse: document.getElementById('headlessFalse'),
+        storageCsv: document.getElementById('storageCsv'),
+        storageSqlite: document.getElementById('storageSqlite'),
+        trashRetentionDays: document.getElementById('trashRetentionDays'),
+        linkCheckIntervalDays: document.getElementById('linkCheckIntervalDays'),
+        watchIntervalHours: document.getElementById('watchIntervalHours'),
+        browserMaxPages: document.getElementById('browserMaxPages'),
+        browserIdleSeconds: document.getElementById('browserIdleSeconds'),
+        queueConcurrency: document.getElementById('queueConcurrency'),
+        archiveFormatRadios: document.querySelectorAll('input[name="archiveFormat"]'),
+        screenshotWidth: document.getElementById('screenshotWidth'),
+        screenshotHeight: document.getElementById('screenshotHeight'),
+        screenshotFullPage: document.getElementById('screenshotFullPage'),
+        screenshotDevice: document.getElementById('screenshotDevice'),
+        screenshotDelayMs: document.getElementById('screenshotDelayMs'),
+        screenshotFormatRadios: document.querySelectorAll('input[name="screenshotFormat"]'),
+        screenshotQuality: document.getElementById('screenshotQuality'),
+        backupIntervalHours: document.getElementById('backupIntervalHours'),
+        backupMaxSnapshots: document.getElementById('backupMaxSnapshots'),
+        backupMaxAgeDays: document.getElementById('backupMaxAgeDays'),
+        backupIncludeScreenshots: document.getElementById('backupIncludeScreenshots'),
+        addScrapingRuleButton: document.getElementById('addScrapingRuleButton'),
+        scrapingRuleList: document.getElementById('scrapingRuleList'),
+        scrapingRuleForm: document.getElementById('scrapingRuleForm'),
+        ruleHostPattern: document.getElementById('ruleHostPattern'),
+        ruleWaitForSelector: document.getElementById('ruleWaitForSelector'),
+        ruleClickSelectors: document.getElementById('ruleClickSelectors'),
+        ruleHideSelectors: document.getElementById('ruleHideSelectors'),
+        ruleUserAgent: document.getElementById('ruleUserAgent'),
+        ruleSkipScreenshot: document.getElementById('ruleSkipScreenshot'),
+        cancelScrapingRuleButton: document.getElementById('cancelScrapingRuleButton'),
+        createBackupButton: document.getElementById('createBackupButton'),
+        backupList: document.getElementById('backupList'),
         llmApiUrl: document.getElementById('llmApiUrl'),
         llmModel: document.getElementById('llmModel'),
         llmApiKey: document.getElementById('llmApiKey'),
@@ -12,6 +44,7 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     let statusTimeout;
+    let editingRuleId = null; // ID of the scraping rule in the form, null for a new one
 
     function showStatus(message, isError = false, duration = 3000) {
         clearTimeout(statusTimeout);
@@ -40,6 +73,42 @@ document.addEventListener('DOMContentLoaded', () => {
                 } else {
                     settings.headlessTrue.checked = true; // Default to true if undefined or true
                 }
+                settings.browserMaxPages.value = currentSettings.browserMaxPages ?? 2;
+                settings.browserIdleSeconds.value = currentSettings.browserIdleSeconds ?? 60;
+                settings.queueConcurrency.value = currentSettings.queueConcurrency ?? 2;
+                const archiveFormat = currentSettings.archiveFormat || 'none';
+                settings.archiveFormatRadios.forEach(radio => { radio.checked = radio.value === archiveFormat; });
+
+                // --- Screenshots ---
+                settings.screenshotWidth.value = currentSettings.screenshotWidth ?? 1280;
+                settings.screenshotHeight.value = currentSettings.screenshotHeight ?? 720;
+                settings.screenshotFullPage.checked = currentSettings.screenshotFullPage || false;
+                settings.screenshotDevice.value = currentSettings.screenshotDevice || '';
+                settings.screenshotDelayMs.value = currentSettings.screenshotDelayMs ?? 0;
+                const screenshotFormat = currentSettings.screenshotFormat || 'png';
+                settings.screenshotFormatRadios.forEach(radio => { radio.checked = radio.value === screenshotFormat; });
+                settings.screenshotQuality.value = currentSettings.screenshotQuality ?? 80;
+                settings.screenshotQuality.disabled = screenshotFormat === 'png';
+
+                // --- Storage ---
+                if (currentSettings.storageBackend === 'sqlite') {
+                    settings.storageSqlite.checked = true;
+                } else {
+                    settings.storageCsv.checked = true;
+                }
+
+                // --- Trash ---
+                settings.trashRetentionDays.value = currentSettings.trashRetentionDays ?? 30;
+
+                // --- Link Checks and Watched Pages ---
+                settings.linkCheckIntervalDays.value = currentSettings.linkCheckIntervalDays ?? 30;
+                settings.watchIntervalHours.value = currentSettings.watchIntervalHours ?? 24;
+
+                // --- Backups ---
+                settings.backupIntervalHours.value = currentSettings.backupIntervalHours ?? 24;
+                settings.backupMaxSnapshots.value = currentSettings.backupMaxSnapshots ?? 20;
+                settings.backupMaxAgeDays.value = currentSettings.backupMaxAgeDays ?? 30;
+                settings.backupIncludeScreenshots.checked = currentSettings.backupIncludeScreenshots || false;
 
                 // --- LLM Config ---
                 settings.llmApiUrl.value = currentSettings.llmApiUrl || '';
@@ -79,6 +148,166 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    async function loadBackups() {
+        try {
+            const result = await window.api.listBackups();
+            renderBackups(result.data || []);
+        } catch (error) {
+            console.error('Error loading backups:', error);
+            settings.backupList.innerHTML = '';
+            const item = document.createElement('li');
+            item.className = 'item-list-empty';
+            item.textContent = `Could not load snapshots: ${error.message}`;
+            settings.backupList.appendChild(item);
+        }
+    }
+
+    function renderBackups(snapshots) {
+        settings.backupList.innerHTML = '';
+        if (snapshots.length === 0) {
+            settings.backupList.innerHTML = '<li class="item-list-empty">No snapshots yet.</li>';
+            return;
+        }
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            const info = document.createElement('span');
+            info.className = 'item-info';
+            const created = new Date(snapshot.createdAt);
+            info.textContent = `${created.toLocaleString()} · ${snapshot.reason} · ${snapshot.bookmarkCount} bookmarks` +
+                (snapshot.includesScreenshots ? ` · ${snapshot.screenshotCount} screenshots` : '');
+            const restoreButton = document.createElement('button');
+            restoreButton.type = 'button';
+            restoreButton.className = 'small-button';
+            restoreButton.textContent = 'Restore';
+            restoreButton.addEventListener('click', () => restoreBackup(snapshot, restoreButton));
+            item.appendChild(info);
+            item.appendChild(restoreButton);
+            settings.backupList.appendChild(item);
+        });
+    }
+
+    async function restoreBackup(snapshot, button) {
+        const created = new Date(snapshot.createdAt).toLocaleString();
+        if (!confirm(`Restore the snapshot from ${created}?\n\nYour current library will be replaced (a snapshot of it is taken first).`)) return;
+        button.disabled = true;
+        try {
+            await window.api.restoreBackup(snapshot.id);
+            showStatus(`Restored snapshot from ${created}`);
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            showStatus(`Restore failed: ${error.message}`, true, 5000);
+        } finally {
+            button.disabled = false;
+            loadBackups();
+        }
+    }
+
+    async function loadScrapingRules() {
+        try {
+            const result = await window.api.getScrapingRules();
+            renderScrapingRules(result.data || []);
+        } catch (error) {
+            console.error('Error loading scraping rules:', error);
+            settings.scrapingRuleList.innerHTML = '';
+            const item = document.createElement('li');
+            item.className = 'item-list-empty';
+            item.textContent = `Could not load rules: ${error.message}`;
+            settings.scrapingRuleList.appendChild(item);
+        }
+    }
+
+    // "example.com · wait for article · click 1 · hide 2 · no screenshots"
+    function describeRule(rule) {
+        const parts = [rule.hostPattern];
+        if (rule.waitForSelector) parts.push(`wait for ${rule.waitForSelector}`);
+        if (rule.clickSelectors.length) parts.push(`click ${rule.clickSelectors.length}`);
+        if (rule.hideSelectors.length) parts.push(`hide ${rule.hideSelectors.length}`);
+        if (rule.userAgent) parts.push('own user agent');
+        if (rule.skipScreenshot) parts.push('no screenshots');
+        return parts.join(' · ');
+    }
+
+    function renderScrapingRules(rules) {
+        settings.scrapingRuleList.innerHTML = '';
+        if (rules.length === 0) {
+            settings.scrapingRuleList.innerHTML = '<li class="item-list-empty">No rules yet. Every site is loaded the same way.</li>';
+            return;
+        }
+        rules.forEach(rule => {
+            const item = document.createElement('li');
+            const info = document.createElement('span');
+            info.className = 'item-info';
+            info.textContent = describeRule(rule);
+            const actions = document.createElement('span');
+            actions.className = 'item-actions';
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'small-button';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => openRuleForm(rule));
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'small-button secondary-button';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', () => deleteScrapingRule(rule));
+            actions.appendChild(editButton);
+            actions.appendChild(deleteButton);
+            item.appendChild(info);
+            item.appendChild(actions);
+            settings.scrapingRuleList.appendChild(item);
+        });
+    }
+
+    function openRuleForm(rule = null) {
+        editingRuleId = rule ? rule.id : null;
+        settings.ruleHostPattern.value = rule ? rule.hostPattern : '';
+        settings.ruleWaitForSelector.value = rule ? rule.waitForSelector : '';
+        settings.ruleClickSelectors.value = rule ? rule.clickSelectors.join('\n') : '';
+        settings.ruleHideSelectors.value = rule ? rule.hideSelectors.join('\n') : '';
+        settings.ruleUserAgent.value = rule ? rule.userAgent : '';
+        settings.ruleSkipScreenshot.checked = rule ? rule.skipScreenshot : false;
+        settings.scrapingRuleForm.hidden = false;
+        settings.ruleHostPattern.focus();
+    }
+
+    function closeRuleForm() {
+        editingRuleId = null;
+        settings.scrapingRuleForm.hidden = true;
+    }
+
+    async function saveScrapingRule() {
+        try {
+            const result = await window.api.saveScrapingRule({
+                id: editingRuleId,
+                hostPattern: settings.ruleHostPattern.value,
+                waitForSelector: settings.ruleWaitForSelector.value,
+                clickSelectors: settings.ruleClickSelectors.value,
+                hideSelectors: settings.ruleHideSelectors.value,
+                userAgent: settings.ruleUserAgent.value,
+                skipScreenshot: settings.ruleSkipScreenshot.checked,
+            });
+            closeRuleForm();
+            renderScrapingRules(result.data);
+            showStatus(`Rule for ${result.rule.hostPattern} saved`);
+        } catch (error) {
+            console.error('Error saving scraping rule:', error);
+            showStatus(`Could not save rule: ${error.message}`, true, 5000);
+        }
+    }
+
+    async function deleteScrapingRule(rule) {
+        if (!confirm(`Delete the scraping rule for ${rule.hostPattern}?`)) return;
+        try {
+            const result = await window.api.deleteScrapingRule(rule.id);
+            if (editingRuleId === rule.id) closeRuleForm();
+            renderScrapingRules(result.data);
+            showStatus(`Rule for ${rule.hostPattern} deleted`);
+        } catch (error) {
+            console.error('Error deleting scraping rule:', error);
+            showStatus(`Could not delete rule: ${error.message}`, true, 5000);
+        }
+    }
+
     function applyTheme(isDarkMode) {
          document.body.classList.toggle('dark-mode', isDarkMode);
     }
@@ -101,6 +330,37 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    settings.archiveFormatRadios.forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            if (e.target.checked) saveSetting('archiveFormat', e.target.value);
+        });
+    });
+
+    settings.screenshotFormatRadios.forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            if (!e.target.checked) return;
+            settings.screenshotQuality.disabled = e.target.value === 'png';
+            saveSetting('screenshotFormat', e.target.value);
+        });
+    });
+
+    settings.screenshotFullPage.addEventListener('change', (e) => {
+        saveSetting('screenshotFullPage', e.target.checked);
+    });
+
+    settings.screenshotDevice.addEventListener('change', (e) => {
+        saveSetting('screenshotDevice', e.target.value);
+    });
+
+    [settings.storageCsv, settings.storageSqlite].forEach(radio => {
+        radio.addEventListener('change', async (e) => {
+            if (e.target.checked) {
+                await saveSetting('storageBackend', e.target.value);
+                showStatus('Storage backend saved. Restart the app to apply.', false, 5000);
+            }
+        });
+    });
+
     // Save LLM settings on input blur (when user clicks away)
     settings.llmApiUrl.addEventListener('blur', (e) => {
         saveSetting('llmApiUrl', e.target.value.trim());
@@ -114,6 +374,42 @@ document.addEventListener('DOMContentLoaded', () => {
         saveSetting('llmApiKey', e.target.value); // Don't trim API keys
     });
 
+    [['trashRetentionDays', 0], ['linkCheckIntervalDays', 0], ['watchIntervalHours', 0], ['backupIntervalHours', 0], ['backupMaxSnapshots', 1], ['backupMaxAgeDays', 0],
+     ['browserMaxPages', 1, 10], ['browserIdleSeconds', 0],
+     ['queueConcurrency', 1, 10],
+     ['screenshotWidth', 320, 3840], ['screenshotHeight', 240, 2160], ['screenshotDelayMs', 0, 30000], ['screenshotQuality', 10, 100]].forEach(([key, min, max = Infinity]) => {
+        settings[key].addEventListener('change', (e) => {
+            const value = Math.min(max, Math.max(min, parseInt(e.target.value, 10) || 0));
+            e.target.value = value;
+            saveSetting(key, value);
+        });
+    });
+
+    settings.backupIncludeScreenshots.addEventListener('change', (e) => {
+        saveSetting('backupIncludeScreenshots', e.target.checked);
+    });
+
+    settings.addScrapingRuleButton.addEventListener('click', () => openRuleForm());
+    settings.cancelScrapingRuleButton.addEventListener('click', closeRuleForm);
+    settings.scrapingRuleForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveScrapingRule();
+    });
+
+    settings.createBackupButton.addEventListener('click', async () => {
+        settings.createBackupButton.disabled = true;
+        try {
+            await window.api.createBackup();
+            showStatus('Snapshot created');
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            showStatus(`Backup failed: ${error.message}`, true, 5000);
+        } finally {
+            settings.createBackupButton.disabled = false;
+            loadBackups();
+        }
+    });
+
     settings.toggleApiKeyVisibility.addEventListener('click', () => {
         const isPassword = settings.llmApiKey.type === 'password';
         settings.llmApiKey.type = isPassword ? 'text' : 'password';
@@ -122,4 +418,6 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Initialization ---
     loadSettings();
+    loadScrapingRules();
+    loadBackups();
 });
\ No newline at end of file
@@ -0,0 +1,130 @@
+// utils/article_extractor.js
+// Readability-style extraction of a page's main text, author and publish date.
+
+const WORDS_PER_MINUTE = 230;
+const MIN_ARTICLE_WORDS = 30; // Less than this is navigation or a landing page, not an article
+
+// Runs inside the page (page.evaluate) and doesn't change the DOM.
+// Returns { text, author, published } where text is paragraphs separated by blank lines.
+function extractArticle() {
+  const UNLIKELY = /comment|sidebar|footer|header|masthead|menu|nav|related|share|social|promo|advert|\bads?\b|sponsor|banner|cookie|consent|popup|modal|subscribe|newsletter|breadcrumb|pagination|widget/i;
+  const LIKELY = /article|body|content|entry|main|post|story|text|prose/i;
+  const BLOCKS = 'p, pre, blockquote, h1, h2, h3, h4, h5, h6, li';
+  const clean = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+  const hintsOf = (el) => `${el.id || ''} ${typeof el.className === 'string' ? el.className : ''} ${el.getAttribute('role') || ''}`;
+  const isHidden = (el) => {
+    const style = window.getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  };
+  const linkDensity = (el) => {
+    const total = clean(el.textContent).length || 1;
+    const linked = [...el.querySelectorAll('a')].reduce((sum, a) => sum + clean(a.textContent).length, 0);
+    return linked / total;
+  };
+
+  // --- Metadata: JSON-LD first, then meta tags, then common markup ---
+  const meta = (...names) => {
+    for (const name of names) {
+      const el = document.querySelector(`meta[name="${name}" i], meta[property="${name}" i], meta[itemprop="${name}" i]`);
+      if (el && clean(el.content)) return clean(el.content);
+    }
+    return '';
+  };
+  let linkedData = null;
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    if (linkedData) return;
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = [].concat(data).flatMap(item => [item, ...[].concat(item && item['@graph'] || [])]);
+      linkedData = items.find(item => item && /Article|BlogPosting|Report|Posting/.test([].concat(item['@type']).join(' '))) || null;
+    } catch (_) {}
+  });
+  const nameOf = (author) => [].concat(author || [])
+    .map(person => clean(typeof person === 'string' ? person : person && person.name))
+    .filter(name => name && !/^https?:/.test(name)).join(', ');
+  const bylineEl = document.querySelector('[itemprop="author"], [rel="author"], .byline, .author-name, .author');
+  const author = nameOf(linkedData && linkedData.author) ||
+    meta('author', 'article:author', 'parsely-author', 'sailthru.author', 'dc.creator') ||
+    clean(bylineEl && bylineEl.textContent).replace(/^by\s+/i, '').slice(0, 100);
+  const timeEl = document.querySelector('article time[datetime], time[itemprop="datePublished"], time[datetime]');
+  const published = clean(linkedData && linkedData.datePublished) ||
+    meta('article:published_time', 'datePublished', 'pubdate', 'publish-date', 'parsely-pub-date', 'dc.date.issued', 'date') ||
+    clean(timeEl && timeEl.getAttribute('datetime'));
+
+  // --- Main content: score containers by the paragraphs in them ---
+  const scores = new Map();
+  document.querySelectorAll('p, pre, td, blockquote').forEach(paragraph => {
+    const text = clean(paragraph.textContent);
+    if (text.length < 25) return;
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    [paragraph.parentElement, paragraph.parentElement && paragraph.parentElement.parentElement].forEach((container, level) => {
+      if (!container || container === document.documentElement) return;
+      if (!scores.has(container)) {
+        const hints = hintsOf(container);
+        let initial = /^(ARTICLE|MAIN)$/.test(container.tagName) ? 10 : 0;
+        if (LIKELY.test(hints)) initial += 25;
+        if (UNLIKELY.test(hints)) initial -= 25;
+        scores.set(container, initial);
+      }
+      scores.set(container, scores.get(container) + (level === 0 ? score : score / 2));
+    });
+  });
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, container) => {
+    const adjusted = score * (1 - linkDensity(container));
+    if (adjusted > bestScore) {
+      best = container;
+      bestScore = adjusted;
+    }
+  });
+  best = best || document.querySelector('article, [itemprop="articleBody"], main, [role="main"]') || document.body;
+
+  // --- Text: the readable blocks of the winner, skipping boilerplate inside it ---
+  const blocks = [];
+  best.querySelectorAll(BLOCKS).forEach(el => {
+    // Nested blocks (a <p> inside an <li>) are covered by the outer one
+    const outer = el.parentElement && el.parentElement.closest(BLOCKS);
+    if (outer && best.contains(outer)) return;
+    for (let node = el; node && node !== best; node = node.parentElement) {
+      if (UNLIKELY.test(hintsOf(node)) && !LIKELY.test(hintsOf(node))) return;
+    }
+    if (isHidden(el)) return;
+    const text = clean(el.innerText || el.textContent);
+    if (!text) return;
+    if (/^H\d$/.test(el.tagName)) {
+      blocks.push(text);
+    } else if (el.tagName === 'LI') {
+      if (linkDensity(el) < 0.5) blocks.push(`• ${text}`);
+    } else if (text.length >= 20 || el.tagName === 'PRE') {
+      if (linkDensity(el) < 0.5) blocks.push(el.tagName === 'PRE' ? (el.innerText || el.textContent).trim() : text);
+    }
+  });
+  return { text: blocks.join('\n\n'), author, published };
+}
+
+function countWords(text) {
+  return (String(text || '').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+}
+
+function readingMinutes(wordCount) {
+  const words = Number(wordCount) || 0;
+  return words > 0 ? Math.max(1, Math.round(words / WORDS_PER_MINUTE)) : 0;
+}
+
+// Publish dates come in many shapes; keep an ISO string when it parses, '' otherwise
+function normalizePublished(value) {
+  const text = String(value || '').trim();
+  if (!text) return '';
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+module.exports = {
+  WORDS_PER_MINUTE,
+  MIN_ARTICLE_WORDS,
+  extractArticle,
+  countWords,
+  readingMinutes,
+  normalizePublished,
+};
@@ -0,0 +1,146 @@
+// utils/backup_manager.js
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { SCHEMA_VERSION, assertSupportedVersion } = require('./migrations');
+
+const MANIFEST_FILE = 'manifest.json';
+const SCREENSHOTS_FOLDER = 'screenshots';
+
+// Timestamped snapshots of the bookmark store, one folder per snapshot:
+//   backups/2025-01-31T10-15-00-000Z_scheduled/{manifest.json, bookmarks.csv|bookmarks.db, screenshots/}
+class BackupManager {
+  constructor(backupDir, options = {}) {
+    this.backupDir = path.resolve(backupDir);
+    this.getStore = options.getStore; // Returns the active storage backend
+    this.screenshotDir = options.screenshotDir || null;
+    this.ensureDirectoryExists();
+  }
+
+  ensureDirectoryExists() {
+    try {
+      if (!fs.existsSync(this.backupDir)) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+      }
+    } catch (error) {
+      console.error(`Error creating backup directory ${this.backupDir}:`, error);
+      throw new Error(`Failed to create backup directory: ${error.message}`);
+    }
+  }
+
+  // Take a snapshot of the current library. `reason` is a short label (e.g. 'scheduled', 'before-delete').
+  async createSnapshot(reason = 'manual', { includeScreenshots = false } = {}) {
+    const store = this.getStore();
+    const createdAt = new Date().toISOString();
+    const safeReason = String(reason).replace(/[^a-z0-9-]/gi, '-').toLowerCase();
+    const id = `${createdAt.replace(/[:.]/g, '-')}_${safeReason}`;
+    const snapshotDir = path.join(this.backupDir, id);
+    const dataFile = path.basename(store.filePath);
+
+    try {
+      await fsp.mkdir(snapshotDir, { recursive: true });
+      await store.snapshotTo(path.join(snapshotDir, dataFile));
+
+      let screenshotCount = 0;
+      if (includeScreenshots && this.screenshotDir && fs.existsSync(this.screenshotDir)) {
+        await fsp.cp(this.screenshotDir, path.join(snapshotDir, SCREENSHOTS_FOLDER), { recursive: true });
+        screenshotCount = (await fsp.readdir(path.join(snapshotDir, SCREENSHOTS_FOLDER))).length;
+      }
+
+      const bookmarks = await store.getBookmarks();
+      const manifest = {
+        id,
+        createdAt,
+        reason: safeReason,
+        dataFile,
+        schemaVersion: store.getSchemaVersion() || SCHEMA_VERSION,
+        bookmarkCount: bookmarks.length,
+        screenshotCount,
+        includesScreenshots: includeScreenshots && screenshotCount > 0,
+      };
+      await fsp.writeFile(path.join(snapshotDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+      console.log(`Created backup snapshot ${id} (${manifest.bookmarkCount} bookmarks)`);
+      return manifest;
+    } catch (error) {
+      console.error(`Error creating backup snapshot ${id}:`, error);
+      try { await fsp.rm(snapshotDir, { recursive: true, force: true }); } catch (_) {}
+      throw new Error(`Failed to create backup: ${error.message}`);
+    }
+  }
+
+  // All readable snapshots, newest first
+  async listSnapshots() {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.backupDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const entry of entries.filter(e => e.isDirectory())) {
+      try {
+        const manifestPath = path.join(this.backupDir, entry.name, MANIFEST_FILE);
+        const manifest = JSON.parse(await fsp.readFile(manifestPath, 'utf8'));
+        snapshots.push({ ...manifest, id: entry.name });
+      } catch (error) {
+        console.warn(`Skipping unreadable backup folder ${entry.name}: ${error.message}`);
+      }
+    }
+    return snapshots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getLatestSnapshot() {
+    const snapshots = await this.listSnapshots();
+    return snapshots[0] || null;
+  }
+
+  // Replace the current library with a snapshot. Screenshots from the snapshot are copied back
+  // without removing newer screenshot files.
+  async restoreSnapshot(id) {
+    const snapshot = (await this.listSnapshots()).find(s => s.id === id);
+    if (!snapshot) {
+      throw new Error(`Backup not found: ${id}`);
+    }
+    const store = this.getStore();
+    if (snapshot.dataFile !== path.basename(store.filePath)) {
+      throw new Error(`Backup ${id} was made with a different storage backend (${snapshot.dataFile}).`);
+    }
+
+    // Snapshots from before versioning have no schemaVersion; the store detects it from the file
+    if (snapshot.schemaVersion) assertSupportedVersion(snapshot.schemaVersion, `Backup ${id}`);
+
+    const snapshotDir = path.join(this.backupDir, id);
+    await store.restoreFrom(path.join(snapshotDir, snapshot.dataFile), { schemaVersion: snapshot.schemaVersion || null });
+
+    const screenshotBackup = path.join(snapshotDir, SCREENSHOTS_FOLDER);
+    if (snapshot.includesScreenshots && this.screenshotDir && fs.existsSync(screenshotBackup)) {
+      await fsp.cp(screenshotBackup, this.screenshotDir, { recursive: true, force: false });
+    }
+    console.log(`Restored backup snapshot ${id}`);
+    return snapshot;
+  }
+
+  // Delete snapshots beyond `maxSnapshots` or older than `maxAgeDays`. The newest one is always kept.
+  async pruneSnapshots({ maxSnapshots = 20, maxAgeDays = 30 } = {}) {
+    const snapshots = await this.listSnapshots();
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const toDelete = snapshots.slice(1).filter((snapshot, index) =>
+      (maxSnapshots > 0 && index + 1 >= maxSnapshots) ||
+      (cutoff !== null && new Date(snapshot.createdAt).getTime() < cutoff)
+    );
+
+    for (const snapshot of toDelete) {
+      try {
+        await fsp.rm(path.join(this.backupDir, snapshot.id), { recursive: true, force: true });
+        console.log(`Pruned backup snapshot ${snapshot.id}`);
+      } catch (error) {
+        console.warn(`Failed to prune backup snapshot ${snapshot.id}:`, error);
+      }
+    }
+    return toDelete.length;
+  }
+}
+
+module.exports = BackupManager;
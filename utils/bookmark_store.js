@@ -0,0 +1,64 @@
+// utils/bookmark_store.js
+const fs = require('fs');
+const BookmarkManager = require('./csv_manager');
+
+// Storage backends main.js can talk to. Every backend implements the same interface:
+//   getBookmarks()              -> Promise<bookmark[]>
+//   getBookmark(id)             -> Promise<bookmark|null>
+//   findByURL(url)              -> Promise<bookmark|null> (same page, see normalizeURL)
+//   saveBookmark(bookmark)      -> Promise<bookmark> (insert or update by ID, then by page)
+//   updateBookmark(id, fn)      -> Promise<bookmark|null> (atomic read-modify-write)
+//   updateBookmarks(match, fn)  -> Promise<bookmark[]> (atomic update of every bookmark where match(b) is true)
+//   saveBookmarks(bookmarks)    -> Promise (replace the whole library)
+//   deleteBookmark(id)          -> Promise<boolean> (true if a row was removed)
+//   ensureIds()                 -> Promise<number> (backfill IDs for older libraries)
+//   searchBookmarks(query)      -> Promise<bookmark[]>
+//   filterByTags(tags)          -> Promise<bookmark[]>
+//   exportToCSV(targetPath)     -> Promise<number>
+//   importFromCSV(sourcePath)   -> Promise<number>
+//   importBookmarks(rows)       -> Promise<number> (merge by ID/page; missing fields keep current values)
+//   snapshotTo(targetPath)      -> Promise (consistent copy of the data file, for backups)
+//   restoreFrom(sourcePath, { schemaVersion }) -> Promise (replace the library with a snapshot, upgrading it)
+//   getSchemaVersion()          -> number|null (see utils/migrations.js)
+//   migrate()                   -> upgrade the library to SCHEMA_VERSION, throws for newer libraries
+//   close()
+const STORAGE_BACKENDS = ['csv', 'sqlite'];
+
+// Create the configured backend. The SQLite backend migrates an existing CSV on first use.
+async function createBookmarkStore(backend, { csvPath, dbPath }) {
+  if (backend === 'sqlite') {
+    // Required lazily so the CSV backend keeps working if the native module is unavailable
+    const SQLiteBookmarkManager = require('./sqlite_manager');
+    const store = new SQLiteBookmarkManager(dbPath, { legacyCsvPath: csvPath });
+    await store.migrateFromCSV();
+    return store;
+  }
+  if (backend && backend !== 'csv') {
+    console.warn(`Unknown storage backend "${backend}", falling back to CSV.`);
+  }
+  const store = new BookmarkManager(csvPath);
+  await store.ensureIds();
+  return store;
+}
+
+// Upgrade the backend's library file to the current schema before it is opened for use.
+// Throws if the file was written by a newer version of the app.
+async function migrateLibrary(backend, { csvPath, dbPath }) {
+  if (backend === 'sqlite') {
+    if (!fs.existsSync(dbPath)) return;
+    let SQLiteBookmarkManager;
+    try {
+      SQLiteBookmarkManager = require('./sqlite_manager');
+    } catch (error) {
+      console.warn(`Skipping database migration, SQLite is unavailable: ${error.message}`);
+      return;
+    }
+    new SQLiteBookmarkManager(dbPath).close(); // Opening the database runs its migrations
+    return;
+  }
+  if (fs.existsSync(csvPath)) {
+    await new BookmarkManager(csvPath).migrate();
+  }
+}
+
+module.exports = { STORAGE_BACKENDS, createBookmarkStore, migrateLibrary };
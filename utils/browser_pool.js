@@ -0,0 +1,162 @@
+// utils/browser_pool.js
+const puppeteer = require('puppeteer');
+
+const LAUNCH_ARGS = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-features=site-per-process'];
+
+// One shared Puppeteer browser for all page work. It is launched on first use, kept open between
+// requests, closed after `idleTimeoutMs` without work, and relaunched if it crashes or if a request
+// asks for a different headless mode. At most `maxPages` pages are open at once; extra requests wait.
+class BrowserPool {
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || 2;
+    this.idleTimeoutMs = options.idleTimeoutMs ?? 60 * 1000;
+    this.launch = options.launch || ((launchOptions) => puppeteer.launch(launchOptions));
+    this.browser = null;
+    this.browserHeadless = null; // Headless mode the current browser was launched with
+    this.launching = null; // Promise while a launch is in progress
+    this.activePages = 0;
+    this.waiting = []; // Resolvers for requests waiting for a free page slot
+    this.idleTimer = null;
+    this.pagesByBrowser = new Map(); // browser -> open page count, so a replaced browser closes once drained
+  }
+
+  // Change limits at runtime (from settings); waiting requests get the new slots right away
+  configure({ maxPages, idleTimeoutMs } = {}) {
+    if (Number.isInteger(maxPages) && maxPages > 0) this.maxPages = maxPages;
+    if (Number.isFinite(idleTimeoutMs) && idleTimeoutMs >= 0) this.idleTimeoutMs = idleTimeoutMs;
+    this.releaseWaiting();
+    if (this.activePages === 0) this.scheduleIdleClose();
+  }
+
+  // Run `task(page)` on a fresh page and close the page afterwards. If the browser dies mid-task,
+  // the task is retried once on a relaunched browser.
+  async withPage(task, { headless = true } = {}) {
+    await this.acquireSlot();
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const browser = await this.getBrowser(headless);
+        let page = null;
+        this.pagesByBrowser.set(browser, (this.pagesByBrowser.get(browser) || 0) + 1);
+        try {
+          page = await browser.newPage();
+          return await task(page);
+        } catch (error) {
+          if (attempt === 1 && !browser.isConnected()) {
+            console.warn(`Browser disconnected during a task (${error.message}); retrying with a new browser.`);
+            continue;
+          }
+          throw error;
+        } finally {
+          if (page && browser.isConnected()) {
+            await page.close().catch(closeError => console.warn('Error closing page:', closeError.message));
+          }
+          this.releaseBrowser(browser);
+        }
+      }
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  acquireSlot() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    if (this.activePages < this.maxPages) {
+      this.activePages++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    this.activePages--;
+    this.releaseWaiting();
+    if (this.activePages === 0) this.scheduleIdleClose();
+  }
+
+  releaseWaiting() {
+    while (this.waiting.length > 0 && this.activePages < this.maxPages) {
+      this.activePages++;
+      this.waiting.shift()();
+    }
+  }
+
+  scheduleIdleClose() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    if (!this.browser || this.idleTimeoutMs === 0) return;
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      if (this.activePages === 0) {
+        console.log('Closing idle browser.');
+        this.close();
+      }
+    }, this.idleTimeoutMs);
+  }
+
+  // The shared browser in the requested mode, launching (or relaunching) it when needed
+  async getBrowser(headless) {
+    if (this.launching) await this.launching.catch(() => {});
+    if (this.browser && this.browser.isConnected() && this.browserHeadless === headless) {
+      return this.browser;
+    }
+    if (this.browser) {
+      // Headless setting changed (or the browser died): pages still open on it finish first
+      console.log(`Replacing browser (headless ${this.browserHeadless} -> ${headless}).`);
+      this.retireBrowser(this.browser);
+    }
+
+    this.launching = (async () => {
+      console.log(`Launching shared Puppeteer browser with headless: ${headless}`);
+      const browser = await this.launch({ headless, args: LAUNCH_ARGS });
+      browser.on('disconnected', () => {
+        this.pagesByBrowser.delete(browser);
+        if (this.browser === browser) {
+          console.warn('Shared browser disconnected; it will be relaunched on the next request.');
+          this.browser = null;
+        }
+      });
+      this.browser = browser;
+      this.browserHeadless = headless;
+      return browser;
+    })();
+    try {
+      return await this.launching;
+    } finally {
+      this.launching = null;
+    }
+  }
+
+  releaseBrowser(browser) {
+    const remaining = (this.pagesByBrowser.get(browser) || 1) - 1;
+    this.pagesByBrowser.set(browser, remaining);
+    if (remaining === 0 && browser !== this.browser) this.closeBrowser(browser);
+  }
+
+  // Stop handing out a browser; it closes as soon as its last page is done
+  retireBrowser(browser) {
+    if (this.browser === browser) this.browser = null;
+    if (!this.pagesByBrowser.get(browser)) this.closeBrowser(browser);
+  }
+
+  closeBrowser(browser) {
+    this.pagesByBrowser.delete(browser);
+    if (browser.isConnected()) {
+      browser.close().catch(error => console.warn('Error closing browser:', error.message));
+    }
+  }
+
+  // Close the shared browser (pages in use are closed with it)
+  async close() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) {
+      this.pagesByBrowser.delete(browser);
+      if (browser.isConnected()) await browser.close().catch(error => console.warn('Error closing browser:', error.message));
+    }
+  }
+}
+
+module.exports = BrowserPool;
@@ -0,0 +1,162 @@
+// utils/column_mapping.js
+// Map the columns of someone else's CSV (Pocket, Pinboard, Raindrop, a spreadsheet...) onto bookmark fields.
+const { CSV_HEADERS, normalizeSuppliedFields, mergeTags } = require('./csv_manager');
+
+// Fields a column can be mapped to. ID, the file fields (Screenshot, Archive, Article, Favicon, Thumbnail) and Deleted
+// belong to this library.
+const MAPPABLE_FIELDS = ['URL', 'Title', 'Description', 'Tags', 'Date', 'Favorite', 'Folder'];
+
+// Header names other apps use for each field (compared lowercased, ignoring spaces, _ and -)
+const FIELD_ALIASES = {
+  URL: ['url', 'href', 'link', 'uri', 'address', 'resolvedurl', 'givenurl'],
+  Title: ['title', 'name', 'resolvedtitle', 'giventitle', 'pagetitle'],
+  Description: ['description', 'excerpt', 'extended', 'note', 'notes', 'summary', 'comment', 'highlights'],
+  Tags: ['tags', 'tag', 'labels', 'label', 'keywords', 'categories', 'category'],
+  Date: ['date', 'timeadded', 'created', 'createdat', 'added', 'dateadded', 'adddate', 'time', 'timestamp', 'savedat'],
+  Favorite: ['favorite', 'favourite', 'favorited', 'starred', 'star', 'important'],
+  Folder: ['folder', 'collection', 'group', 'list', 'path'],
+};
+
+const DATE_FORMATS = ['auto', 'epoch-seconds', 'epoch-ms', 'iso', 'dmy', 'mdy'];
+const TAG_SEPARATORS = ['auto', ',', ';', '|', ' '];
+
+function headerKey(header) {
+  return String(header || '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+// Identifies a file layout so a mapping chosen once is offered again for the next export from the same app
+function headerSignature(headers) {
+  return headers.map(headerKey).filter(key => key).sort().join('|');
+}
+
+// True for a file in our own layout, which needs no mapping
+function isNativeLayout(headers) {
+  return headers.includes('URL') && headers.every(header => CSV_HEADERS.includes(header));
+}
+
+// Best guess at { header: field } ('' for columns to ignore). Each field is used once, exact names first.
+function suggestMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  headers.forEach(header => { mapping[header] = ''; });
+  [true, false].forEach(exactOnly => {
+    headers.forEach(header => {
+      if (mapping[header]) return;
+      const key = headerKey(header);
+      const field = MAPPABLE_FIELDS.find(candidate => !used.has(candidate) && (exactOnly
+        ? key === candidate.toLowerCase()
+        : FIELD_ALIASES[candidate].includes(key)));
+      if (field) {
+        mapping[header] = field;
+        used.add(field);
+      }
+    });
+  });
+  return mapping;
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// Convert a date cell to an ISO string ('' when it can't be read)
+function parseDateValue(value, format = 'auto') {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  const fromTime = (time) => {
+    const date = new Date(time);
+    return isNaN(date.getTime()) ? '' : date.toISOString();
+  };
+
+  if (format === 'epoch-seconds') return fromTime(Number(text) * 1000);
+  if (format === 'epoch-ms') return fromTime(Number(text));
+  if (format === 'dmy' || format === 'mdy') {
+    const match = /^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (!match) return '';
+    const [day, month] = format === 'dmy' ? [match[1], match[2]] : [match[2], match[1]];
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    const date = new Date(`${year}-${pad(month)}-${pad(day)}T${pad(match[4] || 0)}:${match[5] || '00'}:${match[6] || '00'}`);
+    // Reject rollovers such as 31/02
+    return isNaN(date.getTime()) || date.getMonth() !== Number(month) - 1 ? '' : date.toISOString();
+  }
+  if (format === 'iso') return fromTime(text);
+
+  // auto: Unix timestamps by size (seconds, milliseconds), otherwise whatever Date understands
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    if (number > 1e11) return fromTime(number);
+    if (number > 1e8) return fromTime(number * 1000);
+    return '';
+  }
+  return fromTime(text);
+}
+
+// Split a tag cell into our comma-separated format
+function splitTagValue(value, separator = 'auto') {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  let chosen = separator;
+  if (separator === 'auto') {
+    chosen = [',', ';', '|'].find(candidate => text.includes(candidate)) || ' ';
+  }
+  return mergeTags(text.split(chosen).map(tag => tag.trim().replace(/^#/, '')).join(','));
+}
+
+function parseFavorite(value) {
+  return ['true', '1', 'yes', 'y', 'x', 'starred', 'favorite'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+// Build bookmark rows from raw CSV rows.
+// options: { columns: { header: field }, dateFormat, tagSeparator }
+// Returns { bookmarks, skipped } where skipped counts rows without a usable URL.
+function applyMapping(rawRows, { columns = {}, dateFormat = 'auto', tagSeparator = 'auto' } = {}) {
+  const fieldsMapped = Object.values(columns);
+  if (!fieldsMapped.includes('URL')) {
+    throw new Error('Choose the column that holds the URL.');
+  }
+  if (!DATE_FORMATS.includes(dateFormat)) throw new Error(`Unknown date format "${dateFormat}".`);
+  if (!TAG_SEPARATORS.includes(tagSeparator)) throw new Error(`Unknown tag separator "${tagSeparator}".`);
+
+  const bookmarks = [];
+  let skipped = 0;
+  rawRows.forEach(raw => {
+    const row = {};
+    Object.entries(columns).forEach(([header, field]) => {
+      if (!MAPPABLE_FIELDS.includes(field)) return;
+      const value = raw[header];
+      if (field === 'Tags') {
+        // Several columns can feed the tags (e.g. "tags" and "folder")
+        row.Tags = mergeTags(row.Tags, splitTagValue(value, tagSeparator));
+      } else if (field === 'Date') {
+        row.Date = parseDateValue(value, dateFormat);
+      } else if (field === 'Favorite') {
+        row.Favorite = parseFavorite(value);
+      } else if (field === 'Folder') {
+        row.Folder = String(value ?? '').split(/[/\\>]/).map(part => part.trim()).filter(part => part).join('/');
+      } else {
+        row[field] = String(value ?? '').trim();
+      }
+    });
+    if (row.URL && !/^[a-z][a-z0-9+.-]*:\/\//i.test(row.URL) && /^[\w.-]+\.[a-z]{2,}(\/|$)/i.test(row.URL)) {
+      row.URL = 'https://' + row.URL;
+    }
+    if (!row.URL || !/^https?:\/\//i.test(row.URL)) {
+      skipped++;
+      return;
+    }
+    bookmarks.push(normalizeSuppliedFields(row));
+  });
+  return { bookmarks, skipped };
+}
+
+module.exports = {
+  MAPPABLE_FIELDS,
+  DATE_FORMATS,
+  TAG_SEPARATORS,
+  headerSignature,
+  isNativeLayout,
+  suggestMapping,
+  parseDateValue,
+  splitTagValue,
+  applyMapping,
+};
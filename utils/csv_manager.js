@@ -1,19 +1,51 @@
 // utils/csv_manager.js
 const fs = require('fs');
+const crypto = require('crypto');
 const fsp = require('fs').promises; // Use promises for async operations
 const path = require('path');
 const { parse } = require('csv-parse');
 const { stringify } = require('csv-stringify/sync'); // Keep sync for initial write/export? Or change later.
+const { SCHEMA_VERSION, detectSchemaVersion, assertSupportedVersion, migrateRows } = require('./migrations');
+const { parseQuery, matchesQuery } = require('./search_query');
 
-const CSV_HEADERS = ['URL', 'Title', 'Description', 'Tags', 'Date', 'Favorite', 'Screenshot'];
+// Deleted holds the ISO time a bookmark was moved to the trash ('' when it isn't trashed).
+// Folder is the full folder path, e.g. "Projects/Client A" ('' when not filed in a folder).
+// Archive is the path of the page's offline copy (.mhtml or .html), '' when none was saved.
+// Article is the path of the extracted article text (.txt); Author, Published (ISO) and WordCount come with it.
+// SiteName, Canonical, Image (og:image URL) and PageDescription are what the page says about itself;
+// Favicon is the path of its downloaded icon.
+// LinkStatus (HTTP status, or 'unreachable'), FinalURL (after redirects) and LastChecked (ISO) record the last link check.
+// Watched ('true'/'') pages are re-fetched for changes: WatchChecked and LastChanged are ISO times, NewChanges is
+// 'true' until the change history has been looked at (the history itself is kept by utils/page_monitor.js).
+// Thumbnail is the path of a small JPEG of the screenshot for the grid (or of a video's own thumbnail).
+// MediaType is 'pdf', 'image' or 'video' for links that aren't ordinary web pages (utils/media_types.js).
+// Changing these columns needs a new step in utils/migrations.js.
+const CSV_HEADERS = ['ID', 'URL', 'Title', 'Description', 'Tags', 'Date', 'Favorite', 'Screenshot', 'Deleted', 'Folder', 'Archive',
+  'Article', 'Author', 'Published', 'WordCount',
+  'SiteName', 'Canonical', 'Image', 'PageDescription', 'Favicon',
+  'LinkStatus', 'FinalURL', 'LastChecked',
+  'Watched', 'WatchChecked', 'LastChanged', 'NewChanges', 'Thumbnail', 'MediaType'];
+const RENAME_RETRY_CODES = new Set(['EPERM', 'EBUSY', 'EACCES']); // Windows: file briefly locked by a reader
 
 class BookmarkManager {
   constructor(filePath) {
     // Ensure filePath is absolute
     this.filePath = path.resolve(filePath || path.join(__dirname, '../data/bookmarks.csv'));
+    // CSV has nowhere to keep a version, so it lives next to the file: bookmarks.csv -> bookmarks.meta.json
+    this.metaPath = path.join(path.dirname(this.filePath), `${path.basename(this.filePath, path.extname(this.filePath))}.meta.json`);
+    // Every read-modify-write runs through this queue so concurrent IPC calls can't lose updates
+    this.writeQueue = Promise.resolve();
+    this.tempCounter = 0;
     this.ensureFileExists(); // Run synchronously during setup
   }
 
+  // Run a task after all previously queued writes have finished
+  enqueueWrite(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {}); // Keep the queue alive after a failed write
+    return run;
+  }
+
   ensureFileExists() {
     try {
       const dir = path.dirname(this.filePath);
@@ -24,6 +56,7 @@ class BookmarkManager {
       if (!fs.existsSync(this.filePath)) {
         // Create with headers
         fs.writeFileSync(this.filePath, CSV_HEADERS.join(',') + '\n');
+        fs.writeFileSync(this.metaPath, JSON.stringify({ schemaVersion: SCHEMA_VERSION }, null, 2));
         console.log(`Created bookmarks file at: ${this.filePath}`);
       }
     } catch (error) {
@@ -79,67 +112,165 @@ class BookmarkManager {
     });
   }
 
+  // Schema version from the sidecar file, or null for libraries written before versioning
+  getSchemaVersion() {
+    try {
+      const meta = JSON.parse(fs.readFileSync(this.metaPath, 'utf8'));
+      return Number.isInteger(meta.schemaVersion) ? meta.schemaVersion : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable schema file ${this.metaPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async setSchemaVersion(version) {
+    if (version === null) {
+      await fsp.rm(this.metaPath, { force: true });
+      return;
+    }
+    await fsp.writeFile(this.metaPath, JSON.stringify({ schemaVersion: version }, null, 2));
+  }
+
+  // Upgrade the file to SCHEMA_VERSION (keeping a copy of the original as bookmarks.csv.v<N>.bak).
+  // Throws if the file comes from a newer version of the app. Resolves with the version found.
+  async migrate() {
+    const storedVersion = this.getSchemaVersion();
+    if (storedVersion === SCHEMA_VERSION) return storedVersion;
+
+    return this.enqueueWrite(async () => {
+      const { columns, rows } = await readRawCSVFile(this.filePath);
+      // A file with no header row at all is treated as a new, empty library
+      const version = storedVersion ?? (columns.length > 0 ? detectSchemaVersion(columns) : SCHEMA_VERSION);
+      assertSupportedVersion(version, this.filePath);
+
+      if (version < SCHEMA_VERSION) {
+        const backupPath = `${this.filePath}.v${version}.bak`;
+        await fsp.copyFile(this.filePath, backupPath);
+        await this.writeBookmarks(migrateRows(rows, version));
+        console.log(`Upgraded ${this.filePath} from schema v${version} to v${SCHEMA_VERSION} (original kept at ${backupPath}).`);
+      }
+      await this.setSchemaVersion(SCHEMA_VERSION);
+      return version;
+    });
+  }
+
+  async getBookmark(id) {
+    if (!id) return null;
+    const bookmarks = await this.getBookmarks();
+    return bookmarks.find(b => b.ID === id) || null;
+  }
+
+  // Find a bookmark pointing at the same page (ignores scheme, www., trailing slash, #hash)
+  async findByURL(url) {
+    if (!url) return null;
+    const bookmarks = await this.getBookmarks();
+    const index = findBookmarkIndex(bookmarks, { URL: url });
+    return index >= 0 ? bookmarks[index] : null;
+  }
+
+  // Insert or update by ID. Without an ID, a bookmark for the same page is updated
+  // instead of creating a duplicate. Resolves with the saved bookmark.
   async saveBookmark(bookmark) {
     if (!bookmark || !bookmark.URL) {
         throw new Error("Cannot save bookmark without a URL.");
     }
     try {
-      const bookmarks = await this.getBookmarks();
-      const index = bookmarks.findIndex(b => b.URL === bookmark.URL);
-
-      // Ensure standard fields exist before saving
-      const newBookmarkData = {
-          URL: bookmark.URL,
-          Title: bookmark.Title || '',
-          Description: bookmark.Description || '',
-          Tags: bookmark.Tags || '',
-          Date: bookmark.Date || new Date().toISOString(),
-          Favorite: String(bookmark.Favorite === 'true' || bookmark.Favorite === true), // Ensure 'true' or 'false' string
-          Screenshot: bookmark.Screenshot || ''
-      };
-
-
-      if (index >= 0) {
-        // Update existing: merge new data over old, but keep existing URL
-        bookmarks[index] = { ...bookmarks[index], ...newBookmarkData };
-        console.log(`Updated bookmark: ${bookmark.URL}`);
-      } else {
-        // Add new
-        bookmarks.push(newBookmarkData);
-        console.log(`Added new bookmark: ${bookmark.URL}`);
-      }
+      return await this.enqueueWrite(async () => {
+        const bookmarks = await this.getBookmarks();
+        const index = findBookmarkIndex(bookmarks, bookmark);
+
+        // Ensure standard fields exist before saving
+        const newBookmarkData = normalizeBookmark({
+            ...bookmark,
+            ID: index >= 0 ? bookmarks[index].ID : (bookmark.ID || generateId()),
+            Date: bookmark.Date || new Date().toISOString()
+        });
+
+        if (index >= 0) {
+          // Update existing: merge new data over old, keeping the existing ID
+          bookmarks[index] = { ...bookmarks[index], ...newBookmarkData };
+          console.log(`Updated bookmark ${newBookmarkData.ID}: ${bookmark.URL}`);
+        } else {
+          // Add new
+          bookmarks.push(newBookmarkData);
+          console.log(`Added new bookmark ${newBookmarkData.ID}: ${bookmark.URL}`);
+        }
 
-      // Write back to CSV using the saveBookmarks method
-      return await this.saveBookmarks(bookmarks); // saveBookmarks now returns the saved array
+        // Write back to CSV (already inside the write queue)
+        await this.writeBookmarks(bookmarks);
+        return newBookmarkData;
+      });
     } catch (error) {
       console.error(`Error saving bookmark ${bookmark.URL}:`, error);
       throw error; // Re-throw to be handled by caller
     }
   }
 
+  // Apply `updater` to the stored bookmark atomically. Resolves with the saved bookmark,
+  // or null if no bookmark with that ID exists.
+  async updateBookmark(id, updater) {
+    if (!id || typeof updater !== 'function') {
+        throw new Error("updateBookmark requires an ID and an updater function.");
+    }
+    return this.enqueueWrite(async () => {
+      const bookmarks = await this.getBookmarks();
+      const index = bookmarks.findIndex(b => b.ID === id);
+      if (index === -1) return null;
+
+      const updated = normalizeBookmark({ ...bookmarks[index], ...updater({ ...bookmarks[index] }), ID: id });
+      bookmarks[index] = updated;
+      await this.writeBookmarks(bookmarks);
+      return updated;
+    });
+  }
+
+  // Apply `updater` to every bookmark matching `predicate` in one write. Resolves with the updated bookmarks.
+  async updateBookmarks(predicate, updater) {
+    if (typeof predicate !== 'function' || typeof updater !== 'function') {
+        throw new Error("updateBookmarks requires a predicate and an updater function.");
+    }
+    return this.enqueueWrite(async () => {
+      const bookmarks = await this.getBookmarks();
+      const updated = [];
+      bookmarks.forEach((bookmark, index) => {
+        if (!predicate(bookmark)) return;
+        bookmarks[index] = normalizeBookmark({ ...bookmark, ...updater({ ...bookmark }), ID: bookmark.ID });
+        updated.push(bookmarks[index]);
+      });
+      if (updated.length > 0) await this.writeBookmarks(bookmarks);
+      return updated;
+    });
+  }
+
+  // Give every row a unique ID (backfills libraries created before IDs existed)
+  async ensureIds() {
+    return this.enqueueWrite(async () => {
+      const bookmarks = await this.getBookmarks();
+      const assigned = assignMissingIds(bookmarks);
+      if (assigned > 0) {
+        await this.writeBookmarks(bookmarks);
+        console.log(`Assigned IDs to ${assigned} bookmarks.`);
+      }
+      return assigned;
+    });
+  }
+
   async saveBookmarks(bookmarks) {
     if (!Array.isArray(bookmarks)) {
         throw new Error("Invalid data provided to saveBookmarks: Expected an array.");
     }
+    return this.enqueueWrite(() => this.writeBookmarks(bookmarks));
+  }
+
+  // Write the full list to disk. Callers must already hold the write queue.
+  async writeBookmarks(bookmarks) {
     try {
       // Ensure all bookmarks have the standard fields in the correct order
-      const processedBookmarks = bookmarks.map(bookmark => {
-          const record = {};
-          CSV_HEADERS.forEach(header => {
-             // Handle boolean 'Favorite' explicitly to ensure 'true'/'false' string
-             if (header === 'Favorite') {
-                 record[header] = String(bookmark[header] === 'true' || bookmark[header] === true);
-             } else {
-                 record[header] = bookmark[header] !== undefined ? bookmark[header] : '';
-             }
-          });
-          return record;
-      });
+      const processedBookmarks = bookmarks.map(normalizeBookmark);
 
-      // Write to CSV using async file operation
       // Pass headers explicitly to stringify to ensure order and inclusion
       const csvString = stringify(processedBookmarks, { header: true, columns: CSV_HEADERS });
-      await fsp.writeFile(this.filePath, csvString);
+      await this.writeFileAtomic(csvString);
 
       // console.log(`Successfully saved ${processedBookmarks.length} bookmarks.`);
       return processedBookmarks; // Return the data that was actually saved
@@ -149,20 +280,55 @@ class BookmarkManager {
     }
   }
 
-  async searchBookmarks(query) {
+  // Write to a temp file next to the target, flush it, then rename over the original.
+  // A crash mid-write leaves the previous bookmarks.csv intact.
+  async writeFileAtomic(contents) {
+    const tempPath = `${this.filePath}.${process.pid}.${++this.tempCounter}.tmp`;
+    let handle;
     try {
-      const bookmarks = await this.getBookmarks();
-      if (!query) return bookmarks;
+      handle = await fsp.open(tempPath, 'w');
+      await handle.writeFile(contents);
+      await handle.sync();
+      await handle.close();
+      handle = null;
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await fsp.rename(tempPath, this.filePath);
+          return;
+        } catch (renameError) {
+          if (!RENAME_RETRY_CODES.has(renameError.code) || attempt >= 5) throw renameError;
+          await new Promise(resolve => setTimeout(resolve, 50 * attempt));
+        }
+      }
+    } catch (error) {
+      if (handle) {
+        try { await handle.close(); } catch (_) {}
+      }
+      try { await fsp.unlink(tempPath); } catch (_) {} // Don't leave partial temp files behind
+      throw error;
+    }
+  }
 
-      const searchTerm = query.toLowerCase().trim();
-      if (!searchTerm) return bookmarks;
+  async deleteBookmark(id) {
+    if (!id) {
+        throw new Error("Cannot delete bookmark without an ID.");
+    }
+    return this.enqueueWrite(async () => {
+      const bookmarks = await this.getBookmarks();
+      const filteredBookmarks = bookmarks.filter(b => b.ID !== id);
+      const removed = filteredBookmarks.length !== bookmarks.length;
+      // Save the filtered list regardless of whether the item was found (handles cleanup)
+      await this.writeBookmarks(filteredBookmarks);
+      return removed;
+    });
+  }
 
-      return bookmarks.filter(b =>
-        (b.URL && b.URL.toLowerCase().includes(searchTerm)) ||
-        (b.Title && b.Title.toLowerCase().includes(searchTerm)) ||
-        (b.Description && b.Description.toLowerCase().includes(searchTerm)) ||
-        (b.Tags && b.Tags.toLowerCase().includes(searchTerm))
-      );
+  // `query` uses the syntax in utils/search_query.js; malformed queries are rejected
+  async searchBookmarks(query) {
+    try {
+      const bookmarks = await this.getBookmarks();
+      return filterByQuery(bookmarks, query);
     } catch (error) {
       console.error('Error searching bookmarks:', error);
       throw error;
@@ -198,9 +364,7 @@ class BookmarkManager {
     }
     try {
       const bookmarks = await this.getBookmarks();
-      // Ensure consistent headers and order for export
-      const csvString = stringify(bookmarks, { header: true, columns: CSV_HEADERS });
-      await fsp.writeFile(targetPath, csvString);
+      await writeCSVFile(targetPath, bookmarks);
       console.log(`Exported ${bookmarks.length} bookmarks to ${targetPath}`);
       return bookmarks.length;
     } catch (error) {
@@ -210,84 +374,249 @@ class BookmarkManager {
   }
 
   async importFromCSV(sourcePath) {
-    return new Promise((resolve, reject) => {
-      if (!fs.existsSync(sourcePath)) {
-        return reject(new Error(`Import file not found: ${sourcePath}`));
+    try {
+      const importedBookmarks = await readCSVFile(sourcePath);
+      if (importedBookmarks.length === 0) {
+          console.log("Import file contained no valid bookmarks.");
+          return 0;
       }
 
-      const importedBookmarks = [];
-      fs.createReadStream(sourcePath)
-        .on('error', error => {
-          console.error('Error reading import file:', error);
-          reject(new Error(`Failed to read import file: ${error.message}`));
-        })
-        // *** CRITICAL FIX: Use columns: true for import too ***
-        .pipe(parse({
-            columns: true,
-            skip_empty_lines: true,
-            trim: true
-        }))
-        .on('data', (row) => {
-            // Basic validation for imported row
-            if (row.URL) {
-                 // Ensure all header fields exist, default to empty string or 'false'
-                 const bookmark = {};
-                 CSV_HEADERS.forEach(header => {
-                     bookmark[header] = row[header] !== undefined ? row[header] : (header === 'Favorite' ? 'false' : '');
-                     // Ensure Favorite is strictly 'true' or 'false' string
-                     if (header === 'Favorite') {
-                         bookmark[header] = String(bookmark[header] === 'true' || bookmark[header] === true);
-                     }
-                 });
-                 importedBookmarks.push(bookmark);
-            } else {
-                 console.warn('Skipping import row due to missing URL:', row);
-            }
-        })
-        .on('end', async () => {
-          try {
-            if (importedBookmarks.length === 0) {
-                console.log("Import file contained no valid bookmarks.");
-                return resolve(0);
-            }
-
-            console.log(`Read ${importedBookmarks.length} bookmarks from import file.`);
-            const currentBookmarks = await this.getBookmarks();
-            const currentUrls = new Map(currentBookmarks.map(b => [b.URL, b]));
-
-            let addedCount = 0;
-            let updatedCount = 0;
-
-            importedBookmarks.forEach(imported => {
-                const existing = currentUrls.get(imported.URL);
-                if (existing) {
-                    // Update existing: merge imported data over current
-                    Object.assign(existing, imported);
-                    updatedCount++;
-                } else {
-                    // Add new
-                    currentUrls.set(imported.URL, imported);
-                    addedCount++;
-                }
-            });
-
-            const mergedBookmarks = Array.from(currentUrls.values());
-            await this.saveBookmarks(mergedBookmarks);
-
-            console.log(`Import complete. Added: ${addedCount}, Updated: ${updatedCount}. Total: ${mergedBookmarks.length}`);
-            resolve(importedBookmarks.length); // Report number of processed rows from file
-
-          } catch (innerError) {
-            console.error('Error merging/saving imported bookmarks:', innerError);
-            reject(new Error(`Failed to process imported bookmarks: ${innerError.message}`));
+      console.log(`Read ${importedBookmarks.length} bookmarks from import file.`);
+      return await this.importBookmarks(importedBookmarks); // Report number of processed rows from file
+    } catch (error) {
+      console.error('Error importing bookmarks:', error);
+      throw error;
+    }
+  }
+
+  // Merge bookmarks in by ID or page. Fields missing from an imported row keep their current value.
+  async importBookmarks(importedBookmarks) {
+    if (!Array.isArray(importedBookmarks)) {
+        throw new Error("Invalid data provided to importBookmarks: Expected an array.");
+    }
+    await this.enqueueWrite(async () => {
+      const mergedBookmarks = await this.getBookmarks();
+
+      let addedCount = 0;
+      let updatedCount = 0;
+
+      importedBookmarks.forEach(imported => {
+          const index = findBookmarkIndex(mergedBookmarks, imported);
+          if (index >= 0) {
+              // Update existing: merge imported data over current, keeping our ID
+              Object.assign(mergedBookmarks[index], imported, { ID: mergedBookmarks[index].ID });
+              updatedCount++;
+          } else {
+              // Add new
+              mergedBookmarks.push({ ...imported, ID: imported.ID || generateId() });
+              addedCount++;
           }
-        })
-        .on('error', error => {
-          console.error('Error parsing import file:', error);
-          reject(new Error(`Failed to parse import file: ${error.message}`));
-        });
+      });
+
+      assignMissingIds(mergedBookmarks);
+      await this.writeBookmarks(mergedBookmarks);
+
+      console.log(`Import complete. Added: ${addedCount}, Updated: ${updatedCount}. Total: ${mergedBookmarks.length}`);
+    });
+    return importedBookmarks.length;
+  }
+
+  // Copy the file once pending writes have landed (used for backups)
+  async snapshotTo(targetPath) {
+    return this.enqueueWrite(() => fsp.copyFile(this.filePath, targetPath));
+  }
+
+  // Replace the library with a previously snapshotted bookmarks file. `schemaVersion` is the
+  // version the snapshot was taken at (unknown for older backups); older files are upgraded.
+  async restoreFrom(sourcePath, { schemaVersion = null } = {}) {
+    if (schemaVersion !== null) assertSupportedVersion(schemaVersion, sourcePath);
+    await readCSVFile(sourcePath); // Refuse to restore a file we can't parse
+    const contents = await fsp.readFile(sourcePath);
+    await this.enqueueWrite(async () => {
+      await this.writeFileAtomic(contents);
+      await this.setSchemaVersion(schemaVersion);
     });
+    await this.migrate();
+    return this.ensureIds();
+  }
+
+  // Nothing to release for the CSV backend; part of the storage interface
+  close() {}
+}
+
+// --- Shared CSV helpers (also used by the SQLite backend for import/export) ---
+
+function generateId() {
+  return crypto.randomUUID();
+}
+
+// Identity key for a URL so http/https, www., trailing slashes and #fragments don't create duplicates
+function normalizeURL(url) {
+  if (!url || typeof url !== 'string') return '';
+  let candidate = url.trim();
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate)) {
+    candidate = 'https://' + candidate;
   }
+  try {
+    const parsed = new URL(candidate);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const port = parsed.port ? `:${parsed.port}` : '';
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    return `${host}${port}${pathname}${parsed.search}`;
+  } catch {
+    return candidate.toLowerCase();
+  }
+}
+
+// Index of the stored bookmark matching `bookmark` by ID, falling back to its normalized URL
+function findBookmarkIndex(bookmarks, bookmark) {
+  if (bookmark.ID) {
+    const byId = bookmarks.findIndex(b => b.ID === bookmark.ID);
+    if (byId >= 0) return byId;
+  }
+  const key = normalizeURL(bookmark.URL);
+  return key ? bookmarks.findIndex(b => normalizeURL(b.URL) === key) : -1;
+}
+
+// Fill in missing or duplicate IDs in place; returns how many were assigned
+function assignMissingIds(bookmarks) {
+  const seen = new Set();
+  let assigned = 0;
+  bookmarks.forEach(bookmark => {
+    if (!bookmark.ID || seen.has(bookmark.ID)) {
+      bookmark.ID = generateId();
+      assigned++;
+    }
+    seen.add(bookmark.ID);
+  });
+  return assigned;
+}
+
+// Combine comma-separated tag lists, dropping case-insensitive duplicates
+function mergeTags(...tagLists) {
+  const merged = new Map();
+  tagLists.forEach(list => {
+    String(list || '').split(',').map(t => t.trim()).filter(t => t).forEach(tag => {
+      if (!merged.has(tag.toLowerCase())) merged.set(tag.toLowerCase(), tag);
+    });
+  });
+  return [...merged.values()].join(', ');
+}
+
+// Ensure all header fields exist, default to empty string or 'false'
+function normalizeBookmark(row) {
+  const bookmark = {};
+  CSV_HEADERS.forEach(header => {
+      bookmark[header] = row[header] !== undefined && row[header] !== null ? row[header] : (header === 'Favorite' ? 'false' : '');
+      // Ensure Favorite is strictly 'true' or 'false' string
+      if (header === 'Favorite') {
+          bookmark[header] = String(bookmark[header] === 'true' || bookmark[header] === true);
+      }
+  });
+  return bookmark;
+}
+
+// normalizeBookmark limited to the fields `row` has. Imports compare and merge these, so a column
+// the file doesn't have (e.g. no Favorite) isn't read as 'false' and doesn't overwrite ours.
+function normalizeSuppliedFields(row) {
+  const normalized = normalizeBookmark(row);
+  const bookmark = {};
+  CSV_HEADERS.forEach(header => {
+    if (row[header] !== undefined && row[header] !== null) bookmark[header] = normalized[header];
+  });
+  return bookmark;
+}
+
+// Read a CSV file in our layout and return normalized bookmark objects
+function readCSVFile(sourcePath) {
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(sourcePath)) {
+      return reject(new Error(`Import file not found: ${sourcePath}`));
+    }
+
+    const rows = [];
+    fs.createReadStream(sourcePath)
+      .on('error', error => {
+        console.error('Error reading import file:', error);
+        reject(new Error(`Failed to read import file: ${error.message}`));
+      })
+      .pipe(parse({
+          columns: true,
+          skip_empty_lines: true,
+          trim: true
+      }))
+      .on('data', (row) => {
+          // Basic validation for imported row
+          if (row.URL) {
+               rows.push(normalizeBookmark(row));
+          } else {
+               console.warn('Skipping import row due to missing URL:', row);
+          }
+      })
+      .on('end', () => resolve(rows))
+      .on('error', error => {
+        console.error('Error parsing import file:', error);
+        reject(new Error(`Failed to parse import file: ${error.message}`));
+      });
+  });
+}
+
+// Apply a search query to a list of bookmarks (shared with the SQLite backend)
+function filterByQuery(bookmarks, query) {
+  if (!query || !String(query).trim()) return bookmarks;
+  const { clauses, errors } = parseQuery(query);
+  if (errors.length > 0) {
+    throw new Error(`Invalid search query: ${errors.map(e => e.message).join('; ')}`);
+  }
+  return bookmarks.filter(bookmark => matchesQuery(bookmark, clauses));
+}
+
+// Read a CSV file as-is: the header row and unnormalized rows (used when migrating old layouts)
+function readRawCSVFile(sourcePath) {
+  return readCSVTable(sourcePath).then(({ columns, rows }) => ({ columns, rows: rows.filter(row => row.URL) }));
+}
+
+// Read any CSV with a header row (ours or another app's): { columns, rows } with rows keyed by
+// header and nothing dropped. Spreadsheet exports often start with a BOM or have ragged rows.
+function readCSVTable(sourcePath) {
+  return new Promise((resolve, reject) => {
+    let columns = [];
+    const rows = [];
+    fs.createReadStream(sourcePath)
+      .on('error', error => reject(new Error(`Failed to read ${path.basename(sourcePath)}: ${error.message}`)))
+      .pipe(parse({
+          columns: header => (columns = header.map(h => String(h).trim())),
+          bom: true,
+          relax_column_count: true,
+          skip_empty_lines: true,
+          trim: true
+      }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve({ columns, rows }))
+      .on('error', error => reject(new Error(`Failed to parse ${path.basename(sourcePath)}: ${error.message}`)));
+  });
+}
+
+// Write bookmarks to a CSV file with consistent headers and order
+function toCSVString(bookmarks) {
+  return stringify(bookmarks.map(normalizeBookmark), { header: true, columns: CSV_HEADERS });
+}
+
+async function writeCSVFile(targetPath, bookmarks) {
+  await fsp.writeFile(targetPath, toCSVString(bookmarks));
 }
 
-module.exports = BookmarkManager;
\ No newline at end of file
+module.exports = BookmarkManager;
+module.exports.CSV_HEADERS = CSV_HEADERS;
+module.exports.normalizeBookmark = normalizeBookmark;
+module.exports.normalizeSuppliedFields = normalizeSuppliedFields;
+module.exports.normalizeURL = normalizeURL;
+module.exports.generateId = generateId;
+module.exports.findBookmarkIndex = findBookmarkIndex;
+module.exports.assignMissingIds = assignMissingIds;
+module.exports.readCSVFile = readCSVFile;
+module.exports.readCSVTable = readCSVTable;
+module.exports.writeCSVFile = writeCSVFile;
+module.exports.toCSVString = toCSVString;
+module.exports.filterByQuery = filterByQuery;
+module.exports.mergeTags = mergeTags;
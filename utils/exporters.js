@@ -0,0 +1,156 @@
+// utils/exporters.js
+const fsp = require('fs').promises;
+const { toCSVString, normalizeBookmark } = require('./csv_manager');
+const { toNetscapeHTML, escapeHTML } = require('./netscape_bookmarks');
+const { SCHEMA_VERSION } = require('./migrations');
+const { exportArchive } = require('./library_archive');
+
+function splitTags(tags) {
+  return String(tags || '').split(',').map(t => t.trim()).filter(t => t);
+}
+
+// Markdown link text can't contain unbalanced brackets, raw HTML or newlines
+function markdownText(text) {
+  return String(text || '').replace(/\s+/g, ' ').replace(/([\[\]\\])/g, '\\$1').replace(/</g, '&lt;').trim();
+}
+
+function toMarkdown(bookmarks) {
+  const byTag = new Map();
+  const untagged = [];
+  bookmarks.forEach(bookmark => {
+    const tags = splitTags(bookmark.Tags);
+    if (tags.length === 0) untagged.push(bookmark);
+    tags.forEach(tag => {
+      const key = tag.toLowerCase();
+      if (!byTag.has(key)) byTag.set(key, { tag, bookmarks: [] });
+      byTag.get(key).bookmarks.push(bookmark);
+    });
+  });
+
+  const item = (bookmark) => {
+    const line = `- [${markdownText(bookmark.Title || bookmark.URL)}](<${bookmark.URL}>)`;
+    return bookmark.Description ? `${line} — ${markdownText(bookmark.Description)}` : line;
+  };
+  const sections = [...byTag.values()]
+    .sort((a, b) => a.tag.localeCompare(b.tag))
+    .map(({ tag, bookmarks: tagged }) => [`## ${tag}`, '', ...tagged.map(item)].join('\n'));
+  if (untagged.length > 0) sections.push(['## Untagged', '', ...untagged.map(item)].join('\n'));
+  return ['# Reading List', '', ...sections.map(section => section + '\n')].join('\n');
+}
+
+// Everything we store, so a JSON export can be read back without losing anything
+function toJSON(bookmarks) {
+  return JSON.stringify({
+    format: 'bookmark-manager',
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    bookmarks: bookmarks.map(normalizeBookmark),
+  }, null, 2) + '\n';
+}
+
+// OPML outline: folders are nested outlines, bookmarks are type="link" outlines
+function toOPML(bookmarks) {
+  const root = { folders: new Map(), bookmarks: [] };
+  bookmarks.forEach(bookmark => {
+    let node = root;
+    String(bookmark.Folder || '').split('/').filter(part => part).forEach(name => {
+      if (!node.folders.has(name)) node.folders.set(name, { folders: new Map(), bookmarks: [] });
+      node = node.folders.get(name);
+    });
+    node.bookmarks.push(bookmark);
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    '    <title>Bookmarks</title>',
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+  ];
+  const writeNode = (node, indent) => {
+    [...node.folders.keys()].sort((a, b) => a.localeCompare(b)).forEach(name => {
+      lines.push(`${indent}<outline text="${escapeHTML(name)}">`);
+      writeNode(node.folders.get(name), indent + '  ');
+      lines.push(`${indent}</outline>`);
+    });
+    node.bookmarks.forEach(bookmark => {
+      const attributes = [
+        `text="${escapeHTML(bookmark.Title || bookmark.URL)}"`,
+        'type="link"',
+        `url="${escapeHTML(bookmark.URL)}"`,
+      ];
+      const created = new Date(bookmark.Date);
+      if (!isNaN(created.getTime())) attributes.push(`created="${created.toUTCString()}"`);
+      if (bookmark.Tags) attributes.push(`category="${escapeHTML(splitTags(bookmark.Tags).join(','))}"`);
+      if (bookmark.Description) attributes.push(`description="${escapeHTML(bookmark.Description)}"`);
+      lines.push(`${indent}<outline ${attributes.join(' ')}/>`);
+    });
+  };
+  writeNode(root, '    ');
+  lines.push('  </body>', '</opml>');
+  return lines.join('\n') + '\n';
+}
+
+// Export formats offered in the save dialog. `fullFidelity` formats keep every field (including
+// trashed bookmarks) so they can be imported back; the others only carry the live library.
+// Text formats provide serialize(bookmarks); formats that need more than a string provide write(targetPath, bookmarks).
+const EXPORTERS = {
+  csv: { label: 'CSV', extensions: ['csv'], fullFidelity: true, serialize: toCSVString },
+  html: { label: 'Browser Bookmarks (HTML)', extensions: ['html', 'htm'], serialize: toNetscapeHTML },
+  markdown: { label: 'Markdown Reading List', extensions: ['md', 'markdown'], serialize: toMarkdown },
+  json: { label: 'JSON', extensions: ['json'], fullFidelity: true, serialize: toJSON },
+  opml: { label: 'OPML', extensions: ['opml'], serialize: toOPML },
+  archive: { label: 'Library Archive with Screenshots and Offline Copies (zip)', extensions: ['zip'], fullFidelity: true, write: exportArchive },
+};
+
+// Add another format; `serialize(bookmarks)` returns the file contents as a string
+function registerExporter(format, exporter) {
+  const writes = exporter && (typeof exporter.serialize === 'function' || typeof exporter.write === 'function');
+  if (!format || !writes || !Array.isArray(exporter.extensions)) {
+    throw new Error('An exporter needs a format name, a list of extensions and a serialize or write function.');
+  }
+  EXPORTERS[format] = { label: format, ...exporter };
+}
+
+function getExporter(format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format "${format}" (supported: ${Object.keys(EXPORTERS).join(', ')}).`);
+  }
+  return exporter;
+}
+
+// The format a file name asks for, if its extension belongs to one
+function formatForPath(filePath) {
+  const extension = String(filePath || '').split('.').pop().toLowerCase();
+  return Object.keys(EXPORTERS).find(format => EXPORTERS[format].extensions.includes(extension)) || null;
+}
+
+// Write `bookmarks` to `targetPath` in the given format. Resolves with the number exported.
+async function exportBookmarks(format, targetPath, bookmarks) {
+  if (!targetPath) {
+      throw new Error("Export path must be provided.");
+  }
+  const exporter = getExporter(format);
+  const selected = exporter.fullFidelity ? bookmarks : bookmarks.filter(b => !b.Deleted);
+  if (exporter.write) {
+    await exporter.write(targetPath, selected);
+  } else {
+    await fsp.writeFile(targetPath, exporter.serialize(selected), 'utf8');
+  }
+  console.log(`Exported ${selected.length} bookmarks as ${format} to ${targetPath}`);
+  return selected.length;
+}
+
+module.exports = {
+  EXPORTERS,
+  registerExporter,
+  getExporter,
+  formatForPath,
+  exportBookmarks,
+  toMarkdown,
+  toJSON,
+  toOPML,
+};
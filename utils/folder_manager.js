@@ -0,0 +1,129 @@
+// utils/folder_manager.js
+
+const SEPARATOR = '/';
+
+// Clean up a folder path: "Projects / Client A/" -> "Projects/Client A" ('' is the top level)
+function normalizeFolderPath(folderPath) {
+  return String(folderPath || '').split(SEPARATOR).map(part => part.trim()).filter(part => part).join(SEPARATOR);
+}
+
+// True if `folderPath` is `ancestor` itself or somewhere below it
+function isWithinFolder(folderPath, ancestor) {
+  return folderPath === ancestor || folderPath.startsWith(ancestor + SEPARATOR);
+}
+
+function joinFolderPath(parent, name) {
+  return parent ? `${parent}${SEPARATOR}${name}` : name;
+}
+
+function parentFolderPath(folderPath) {
+  const index = folderPath.lastIndexOf(SEPARATOR);
+  return index === -1 ? '' : folderPath.slice(0, index);
+}
+
+// Nested folders a bookmark can be filed in. A bookmark's Folder column holds its full path
+// (e.g. "Projects/Client A/Research"); the settings store remembers folders so empty ones survive.
+class FolderManager {
+  constructor(options = {}) {
+    this.settings = options.settings; // electron-store instance, key 'folders'
+    this.getStore = options.getStore; // Returns the active bookmark storage backend
+  }
+
+  getSavedFolders() {
+    return this.settings.get('folders', []).map(normalizeFolderPath).filter(path => path);
+  }
+
+  saveFolders(paths) {
+    this.settings.set('folders', [...new Set(paths)].sort((a, b) => a.localeCompare(b)));
+  }
+
+  // Every folder path, including parents and folders only referenced by bookmarks, sorted
+  async listFolders() {
+    const bookmarks = await this.getStore().getBookmarks();
+    const paths = new Set();
+    [...this.getSavedFolders(), ...bookmarks.map(b => normalizeFolderPath(b.Folder))].forEach(folderPath => {
+      let current = folderPath;
+      while (current) {
+        paths.add(current);
+        current = parentFolderPath(current);
+      }
+    });
+    return [...paths].sort((a, b) => a.localeCompare(b));
+  }
+
+  validateName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Folder name cannot be empty.');
+    if (trimmed.includes(SEPARATOR)) throw new Error(`Folder names cannot contain "${SEPARATOR}".`);
+    return trimmed;
+  }
+
+  async createFolder(parentPath, name) {
+    const parent = normalizeFolderPath(parentPath);
+    const folderPath = joinFolderPath(parent, this.validateName(name));
+    const existing = await this.listFolders();
+    if (existing.includes(folderPath)) throw new Error(`Folder "${folderPath}" already exists.`);
+    if (parent && !existing.includes(parent)) throw new Error(`Parent folder "${parent}" does not exist.`);
+    this.saveFolders([...this.getSavedFolders(), folderPath]);
+    return folderPath;
+  }
+
+  async renameFolder(folderPath, newName) {
+    const from = normalizeFolderPath(folderPath);
+    return this.relocateFolder(from, joinFolderPath(parentFolderPath(from), this.validateName(newName)));
+  }
+
+  async moveFolder(folderPath, newParentPath) {
+    const from = normalizeFolderPath(folderPath);
+    const parent = normalizeFolderPath(newParentPath);
+    if (parent && isWithinFolder(parent, from)) throw new Error('A folder cannot be moved into itself.');
+    const name = from.slice(from.lastIndexOf(SEPARATOR) + 1);
+    return this.relocateFolder(from, joinFolderPath(parent, name));
+  }
+
+  // Move a folder with its subfolders and bookmarks to a new path. Resolves with the new path.
+  async relocateFolder(from, to) {
+    if (!from) throw new Error('Folder not found.');
+    if (from === to) return to;
+    const existing = await this.listFolders();
+    if (!existing.includes(from)) throw new Error(`Folder "${from}" does not exist.`);
+    if (existing.includes(to)) throw new Error(`Folder "${to}" already exists.`);
+
+    const reparent = (path) => to + path.slice(from.length);
+    this.saveFolders(this.getSavedFolders().map(path => isWithinFolder(path, from) ? reparent(path) : path).concat(to));
+    await this.getStore().updateBookmarks(
+      bookmark => isWithinFolder(normalizeFolderPath(bookmark.Folder), from),
+      bookmark => ({ Folder: reparent(normalizeFolderPath(bookmark.Folder)) })
+    );
+    console.log(`Moved folder "${from}" to "${to}"`);
+    return to;
+  }
+
+  // Delete a folder and its subfolders. Their bookmarks move up to the deleted folder's parent.
+  async deleteFolder(folderPath) {
+    const target = normalizeFolderPath(folderPath);
+    if (!target) throw new Error('Folder not found.');
+    const parent = parentFolderPath(target);
+    this.saveFolders(this.getSavedFolders().filter(path => !isWithinFolder(path, target)));
+    const moved = await this.getStore().updateBookmarks(
+      bookmark => isWithinFolder(normalizeFolderPath(bookmark.Folder), target),
+      () => ({ Folder: parent })
+    );
+    console.log(`Deleted folder "${target}", moved ${moved.length} bookmarks to "${parent || 'top level'}"`);
+    return moved.length;
+  }
+
+  // File bookmarks in a folder ('' removes them from any folder). Resolves with the updated bookmarks.
+  async moveBookmarks(ids, folderPath) {
+    const target = normalizeFolderPath(folderPath);
+    if (target && !(await this.listFolders()).includes(target)) {
+      throw new Error(`Folder "${target}" does not exist.`);
+    }
+    const idSet = new Set(ids);
+    return this.getStore().updateBookmarks(bookmark => idSet.has(bookmark.ID), () => ({ Folder: target }));
+  }
+}
+
+module.exports = FolderManager;
+module.exports.normalizeFolderPath = normalizeFolderPath;
+module.exports.isWithinFolder = isWithinFolder;
@@ -0,0 +1,110 @@
+// utils/import_preview.js
+const { findBookmarkIndex, normalizeURL, mergeTags } = require('./csv_manager');
+
+// Fields compared between a library bookmark and an imported row. ID, the file fields (Screenshot,
+// Archive, Article, Favicon, Thumbnail) and Deleted belong to this library, so an import never changes them.
+const DIFF_FIELDS = ['URL', 'Title', 'Description', 'Tags', 'Date', 'Favorite', 'Folder'];
+
+// What to do with an imported row that differs from the bookmark we already have:
+//   keep-mine   - keep our values, only fill fields we left empty
+//   take-theirs - overwrite ours with every non-empty imported value
+//   merge-tags  - keep our values but add the imported tags to ours
+//   skip        - leave our bookmark untouched
+const STRATEGIES = ['keep-mine', 'take-theirs', 'merge-tags', 'skip'];
+
+function sameTags(a, b) {
+  const normalize = (tags) => String(tags || '').split(',').map(t => t.trim().toLowerCase()).filter(t => t).sort().join(',');
+  return normalize(a) === normalize(b);
+}
+
+function sameValue(field, mine, theirs) {
+  if (field === 'Tags') return sameTags(mine, theirs);
+  if (field === 'URL') return normalizeURL(mine) === normalizeURL(theirs);
+  return String(mine ?? '') === String(theirs ?? '');
+}
+
+// Fields where the imported row says something different from ours. An empty imported
+// value isn't a change: the file just doesn't know it.
+function diffBookmark(mine, theirs) {
+  return DIFF_FIELDS
+    .filter(field => String(theirs[field] ?? '') !== '' && !sameValue(field, mine[field], theirs[field]))
+    .map(field => ({ field, mine: mine[field] ?? '', theirs: theirs[field] }));
+}
+
+// Sort imported rows into new, changed and identical against the library, without writing anything.
+// Later rows for the same page replace earlier ones, as they would on import.
+function previewImport(library, incoming) {
+  const byPage = new Map();
+  incoming.forEach(row => byPage.set(normalizeURL(row.URL) || row.ID, row));
+
+  const rows = [...byPage.values()].map((row, index) => {
+    const match = findBookmarkIndex(library, row);
+    if (match === -1) {
+      return { index, status: 'new', incoming: row, existing: null, diffs: [] };
+    }
+    const existing = library[match];
+    const diffs = diffBookmark(existing, row);
+    return { index, status: diffs.length > 0 ? 'changed' : 'identical', incoming: row, existing, diffs };
+  });
+
+  const counts = { new: 0, changed: 0, identical: 0 };
+  rows.forEach(row => { counts[row.status]++; });
+  return { rows, counts, duplicatesInFile: incoming.length - rows.length };
+}
+
+// The row to write for a changed bookmark under `strategy`, or null to leave it alone
+function resolveConflict(existing, incoming, strategy) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown import strategy "${strategy}" (use ${STRATEGIES.join(', ')}).`);
+  }
+  if (strategy === 'skip') return null;
+  const resolved = { ID: existing.ID };
+  DIFF_FIELDS.forEach(field => {
+    const mine = existing[field] ?? '';
+    const theirs = incoming[field] ?? '';
+    if (strategy === 'take-theirs') {
+      resolved[field] = theirs !== '' && !sameValue(field, mine, theirs) ? theirs : mine;
+    } else {
+      resolved[field] = mine !== '' ? mine : theirs;
+    }
+  });
+  if (strategy === 'merge-tags') resolved.Tags = mergeTags(existing.Tags, incoming.Tags);
+  return resolved;
+}
+
+// Turn a preview into the rows to import. `overrides` maps a preview row index to the strategy
+// for that row; every other changed row uses `strategy`.
+// Returns { rows, added, updated, skipped } where skipped counts identical rows and conflicts left alone.
+function planImport(preview, { strategy = 'keep-mine', overrides = {} } = {}) {
+  const rows = [];
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+  preview.rows.forEach(row => {
+    if (row.status === 'new') {
+      rows.push(row.incoming);
+      added++;
+    } else if (row.status === 'identical') {
+      skipped++;
+    } else {
+      const resolved = resolveConflict(row.existing, row.incoming, overrides[row.index] || strategy);
+      // keep-mine can end up with nothing new to write
+      if (resolved && diffBookmark(row.existing, resolved).length > 0) {
+        rows.push(resolved);
+        updated++;
+      } else {
+        skipped++;
+      }
+    }
+  });
+  return { rows, added, updated, skipped };
+}
+
+module.exports = {
+  DIFF_FIELDS,
+  STRATEGIES,
+  diffBookmark,
+  previewImport,
+  resolveConflict,
+  planImport,
+};
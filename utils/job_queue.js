@@ -0,0 +1,151 @@
+// utils/job_queue.js
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Job states. A job moves queued -> (worker stages, e.g. scraping -> tagging) -> done | failed | cancelled.
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+// Finished background jobs kept for the progress panel; older ones are dropped as new ones finish,
+// since the scheduled checks that queue them keep running for as long as the app does
+const MAX_FINISHED_BACKGROUND = 20;
+
+// Background work queue in the main process. Each job is handed to `worker(job, control)` with at most
+// `concurrency` running at once, where control = { setStatus(status), isCancelled() }.
+// Emits 'change' with the job list whenever a job changes. Background jobs (scheduled checks) only
+// start when no other job is waiting, so they never hold up work the user asked for.
+class JobQueue extends EventEmitter {
+  constructor({ worker, concurrency = 2 } = {}) {
+    super();
+    this.worker = worker;
+    this.concurrency = concurrency;
+    this.jobs = []; // In submission order
+    this.running = 0;
+  }
+
+  setConcurrency(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) return;
+    this.concurrency = concurrency;
+    this.pump();
+  }
+
+  // Queue jobs; `items` are objects like { type: 'add', url }. options: { background }.
+  // Returns the created jobs.
+  add(items, { background = false } = {}) {
+    const jobs = items.map(item => ({
+      ...item,
+      background,
+      id: crypto.randomUUID(),
+      status: 'queued',
+      error: '',
+      result: null,
+      createdAt: new Date().toISOString(),
+      cancelled: false,
+    }));
+    this.jobs.push(...jobs);
+    this.changed();
+    this.pump();
+    return jobs;
+  }
+
+  // Plain copies for IPC
+  list() {
+    return this.jobs.map(({ cancelled, ...job }) => job);
+  }
+
+  // Cancel jobs by ID (all unfinished jobs when `ids` is empty). Queued jobs stop right away;
+  // running ones are told to stop and discard their work at the next step.
+  cancel(ids = []) {
+    const idSet = new Set(ids);
+    let count = 0;
+    this.jobs.forEach(job => {
+      if (FINISHED_STATES.includes(job.status) || (idSet.size > 0 && !idSet.has(job.id))) return;
+      job.cancelled = true;
+      if (job.status === 'queued') job.status = 'cancelled';
+      count++;
+    });
+    if (count > 0) {
+      this.pruneBackground();
+      this.changed();
+    }
+    return count;
+  }
+
+  // Queue failed or cancelled jobs again (all of them when `ids` is empty)
+  retry(ids = []) {
+    const idSet = new Set(ids);
+    let count = 0;
+    this.jobs.forEach(job => {
+      if (!['failed', 'cancelled'].includes(job.status) || (idSet.size > 0 && !idSet.has(job.id))) return;
+      Object.assign(job, { status: 'queued', error: '', cancelled: false });
+      count++;
+    });
+    if (count > 0) {
+      this.changed();
+      this.pump();
+    }
+    return count;
+  }
+
+  // Forget finished jobs
+  clearFinished() {
+    const before = this.jobs.length;
+    this.jobs = this.jobs.filter(job => !FINISHED_STATES.includes(job.status));
+    if (this.jobs.length !== before) this.changed();
+    return before - this.jobs.length;
+  }
+
+  // Drop the oldest finished background jobs beyond MAX_FINISHED_BACKGROUND
+  pruneBackground() {
+    const finished = this.jobs.filter(job => job.background && FINISHED_STATES.includes(job.status));
+    if (finished.length <= MAX_FINISHED_BACKGROUND) return;
+    const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_BACKGROUND));
+    this.jobs = this.jobs.filter(job => !dropped.has(job));
+  }
+
+  changed() {
+    this.emit('change', this.list());
+  }
+
+  pump() {
+    while (this.running < this.concurrency) {
+      const job = this.jobs.find(candidate => candidate.status === 'queued' && !candidate.background) ||
+        this.jobs.find(candidate => candidate.status === 'queued');
+      if (!job) return;
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    this.changed();
+    const control = {
+      setStatus: (status) => {
+        if (job.cancelled) return;
+        job.status = status;
+        this.changed();
+      },
+      isCancelled: () => job.cancelled,
+    };
+    try {
+      const result = await this.worker(job, control);
+      job.result = result ?? null;
+      job.status = job.cancelled ? 'cancelled' : 'done';
+    } catch (error) {
+      if (job.cancelled) {
+        job.status = 'cancelled';
+      } else {
+        job.status = 'failed';
+        job.error = error.message || String(error);
+        console.error(`Job ${job.id} (${job.type}) failed:`, job.error);
+      }
+    } finally {
+      this.running--;
+      if (job.background) this.pruneBackground();
+      this.changed();
+      this.pump();
+    }
+  }
+}
+
+module.exports = JobQueue;
+module.exports.FINISHED_STATES = FINISHED_STATES;
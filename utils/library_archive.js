@@ -0,0 +1,148 @@
+// utils/library_archive.js
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse/sync');
+const { toCSVString, normalizeBookmark } = require('./csv_manager');
+const { SCHEMA_VERSION, detectSchemaVersion, assertSupportedVersion, migrateRows } = require('./migrations');
+
+const ARCHIVE_FORMAT = 'bookmark-manager-archive';
+const MANIFEST_FILE = 'manifest.json';
+const DATA_FILE = 'bookmarks.csv';
+
+// Bookmark fields that point at files in app_data, and the archive folder each file goes in.
+// Inside the archive the field holds a relative path ("screenshots/abc.png").
+const FILE_FIELDS = {
+  Screenshot: 'screenshots',
+  Archive: 'pages',
+  Article: 'articles',
+  Favicon: 'favicons',
+  Thumbnail: 'thumbnails',
+};
+
+// A portable copy of the library as one zip:
+//   manifest.json, bookmarks.csv (file fields relative to the archive), screenshots/..., pages/..., articles/..., favicons/..., thumbnails/...
+// Resolves with { bookmarkCount, fileCount, missingFiles }.
+async function exportArchive(targetPath, bookmarks) {
+  const zip = new AdmZip();
+  const usedNames = new Set();
+  const added = new Map(); // Source file -> entry, so a file shared by bookmarks is stored once
+  let fileCount = 0;
+  let missingFiles = 0;
+
+  const rows = bookmarks.map(bookmark => {
+    const row = normalizeBookmark(bookmark);
+    Object.entries(FILE_FIELDS).forEach(([field, folder]) => {
+      const filePath = row[field];
+      if (!filePath) return;
+      if (!fs.existsSync(filePath)) {
+        row[field] = '';
+        missingFiles++;
+        return;
+      }
+      if (added.has(filePath)) {
+        row[field] = added.get(filePath);
+        return;
+      }
+      // Different files with the same name can't share an entry; prefix the ID when they would
+      let name = path.basename(filePath);
+      if (usedNames.has(`${folder}/${name}`)) name = `${row.ID}_${name}`;
+      usedNames.add(`${folder}/${name}`);
+      zip.addLocalFile(filePath, folder, name);
+      row[field] = `${folder}/${name}`;
+      added.set(filePath, row[field]);
+      fileCount++;
+    });
+    return row;
+  });
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    bookmarkCount: rows.length,
+    fileCount,
+  };
+  zip.addFile(MANIFEST_FILE, Buffer.from(JSON.stringify(manifest, null, 2)));
+  zip.addFile(DATA_FILE, Buffer.from(toCSVString(rows)));
+  await zip.writeZipPromise(targetPath);
+  console.log(`Exported archive ${targetPath} (${rows.length} bookmarks, ${fileCount} files, ${missingFiles} missing)`);
+  return { bookmarkCount: rows.length, fileCount, missingFiles };
+}
+
+// Open an archive and read its bookmarks (upgraded to SCHEMA_VERSION). File fields still hold
+// archive paths; call unpackFiles() for the rows that actually get imported.
+function readArchive(sourcePath) {
+  let zip;
+  try {
+    zip = new AdmZip(sourcePath);
+  } catch (error) {
+    throw new Error(`${path.basename(sourcePath)} is not a readable zip archive: ${error.message}`);
+  }
+  const manifestEntry = zip.getEntry(MANIFEST_FILE);
+  const dataEntry = zip.getEntry(DATA_FILE);
+  if (!manifestEntry || !dataEntry) {
+    throw new Error(`${path.basename(sourcePath)} is not a bookmark library archive.`);
+  }
+  const manifest = JSON.parse(zip.readAsText(manifestEntry));
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error(`${path.basename(sourcePath)} is not a bookmark library archive.`);
+  }
+  assertSupportedVersion(manifest.schemaVersion, `Archive ${path.basename(sourcePath)}`);
+
+  const text = zip.readAsText(dataEntry);
+  const rows = parse(text, { columns: true, bom: true, skip_empty_lines: true, trim: true });
+  const columns = text ? Object.keys(rows[0] || {}) : [];
+  const fromVersion = manifest.schemaVersion || detectSchemaVersion(columns);
+  const bookmarks = migrateRows(rows, fromVersion).filter(row => row.URL).map(normalizeBookmark);
+  return { zip, manifest, bookmarks };
+}
+
+// Write an archive file to `targetDir` under its own name, or name_1, name_2... when that is taken.
+// Never reuses an existing file, even an identical one: purging a bookmark deletes its files, so no two
+// bookmarks may share one. Resolves with the path written.
+async function writeNewFile(targetDir, name, data) {
+  const extension = path.extname(name);
+  const base = path.basename(name, extension);
+  for (let attempt = 0; ; attempt++) {
+    const candidate = path.join(targetDir, attempt === 0 ? name : `${base}_${attempt}${extension}`);
+    try {
+      await fsp.writeFile(candidate, data, { flag: 'wx' });
+      return candidate;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+}
+
+// Extract the files `bookmarks` refer to and rewrite their file fields to absolute paths.
+// `targetDirs` maps a file field to its folder, e.g. { Screenshot: screenshotDir }. Rows whose
+// field isn't an archive path (bookmarks already in the library) are left as they are.
+async function unpackFiles(zip, bookmarks, targetDirs) {
+  let fileCount = 0;
+  for (const bookmark of bookmarks) {
+    for (const [field, folder] of Object.entries(FILE_FIELDS)) {
+      const archivePath = bookmark[field];
+      if (!archivePath || !archivePath.startsWith(`${folder}/`) || !targetDirs[field]) continue;
+      // Only plain names inside the field's folder, never ../ paths
+      const entry = zip.getEntry(`${folder}/${path.basename(archivePath)}`);
+      if (!entry) {
+        bookmark[field] = '';
+        continue;
+      }
+      const data = entry.getData();
+      await fsp.mkdir(targetDirs[field], { recursive: true });
+      bookmark[field] = await writeNewFile(targetDirs[field], path.basename(archivePath), data);
+      fileCount++;
+    }
+  }
+  return fileCount;
+}
+
+module.exports = {
+  FILE_FIELDS,
+  exportArchive,
+  readArchive,
+  unpackFiles,
+};
@@ -0,0 +1,77 @@
+// utils/link_checker.js
+// Is a bookmarked page still there? A HEAD (then GET) request without downloading the page,
+// confirmed in the shared browser when a site turns plain HTTP clients away.
+const axios = require('axios');
+
+const CHECK_TIMEOUT_MS = 15000;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36';
+// LinkStatus when no HTTP response came back at all (DNS failure, refused connection, timeout)
+const UNREACHABLE = 'unreachable';
+// Answers that often mean "no bots" rather than "gone"; a real browser gets the final word
+const BROWSER_RETRY_STATUSES = new Set([400, 403, 405, 406, 429, 451, 503]);
+// Network errors a browser won't get past either
+const FINAL_ERROR_CODES = new Set(['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED']);
+
+// One request that follows redirects; resolves with { status, finalURL } for any HTTP status
+async function request(url, method) {
+  const response = await axios.request({
+    url,
+    method,
+    timeout: CHECK_TIMEOUT_MS,
+    maxRedirects: 10,
+    responseType: 'stream', // Only the status line and headers are read
+    validateStatus: () => true,
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8' },
+  });
+  if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+  const finalURL = (response.request && response.request.res && response.request.res.responseUrl) || url;
+  return { status: response.status, finalURL };
+}
+
+// Open the URL in the shared browser and report the status of the main document
+async function checkInBrowser(url, browserPool, headless) {
+  return browserPool.withPage(async (page) => {
+    await page.setUserAgent(USER_AGENT);
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: CHECK_TIMEOUT_MS * 2 });
+    if (!response) throw new Error('No response');
+    return { status: response.status(), finalURL: page.url() || url };
+  }, { headless });
+}
+
+// Check one URL. options: { browserPool, headless } to fall back to the shared browser.
+// Resolves with { status, finalURL, error } where status is the HTTP status code as a string,
+// or UNREACHABLE with the reason in `error`. Never rejects.
+async function checkLink(url, { browserPool = null, headless = true } = {}) {
+  let result = null;
+  let error = '';
+  let errorCode = '';
+  try {
+    result = await request(url, 'HEAD');
+    // Plenty of servers answer HEAD wrongly (405, 404, 501...), so any failure is asked again with GET
+    if (result.status >= 400) result = await request(url, 'GET');
+  } catch (requestError) {
+    error = requestError.message;
+    errorCode = requestError.code || '';
+  }
+
+  const needsBrowser = result ? BROWSER_RETRY_STATUSES.has(result.status) : !FINAL_ERROR_CODES.has(errorCode);
+  if (browserPool && needsBrowser) {
+    try {
+      result = await checkInBrowser(url, browserPool, headless);
+      error = '';
+    } catch (browserError) {
+      console.warn(`Browser link check failed for ${url}: ${browserError.message}`);
+      error = error || browserError.message;
+    }
+  }
+
+  if (!result) {
+    return { status: UNREACHABLE, finalURL: '', error };
+  }
+  return { status: String(result.status), finalURL: result.finalURL, error: '' };
+}
+
+module.exports = {
+  UNREACHABLE,
+  checkLink,
+};
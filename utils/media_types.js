@@ -0,0 +1,213 @@
+// utils/media_types.js
+// What a link points at, found out before it is opened in the browser: a web page, a PDF, an image,
+// or a page on a video host. PDFs and images are downloaded rather than screenshotted
+// (PDF text comes from utils/pdf_document.js); video pages get their title and thumbnail from oEmbed.
+const fs = require('fs');
+const axios = require('axios');
+
+const DETECT_TIMEOUT_MS = 15000;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const MAX_PDF_BYTES = 50 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const MAX_VIDEO_THUMBNAIL_BYTES = 2 * 1024 * 1024;
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36';
+
+// Image content types we keep, and the extension their file gets
+const IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/bmp': 'bmp',
+  'image/svg+xml': 'svg',
+};
+
+// Hosts whose pages are mainly a video player (subdomains included)
+const VIDEO_HOSTS = ['youtube.com', 'youtu.be', 'vimeo.com', 'dailymotion.com', 'twitch.tv', 'ted.com', 'tiktok.com',
+  'loom.com', 'wistia.com', 'streamable.com', 'rumble.com', 'bilibili.com', 'nebula.tv'];
+
+function isVideoHost(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return VIDEO_HOSTS.some(domain => host === domain || host.endsWith(`.${domain}`));
+  } catch (_) {
+    return false;
+  }
+}
+
+const contentTypeOf = (headers) => String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+// What a response's content type (and, for generic binary types, the URL's extension) says the file is
+function mediaTypeFor(contentType, url) {
+  if (contentType === 'application/pdf' || contentType === 'application/x-pdf') return 'pdf';
+  if (IMAGE_TYPES[contentType]) return 'image';
+  if (['application/octet-stream', 'binary/octet-stream', 'application/download'].includes(contentType)) {
+    let pathname = '';
+    try {
+      pathname = new URL(url).pathname.toLowerCase();
+    } catch (_) {}
+    if (pathname.endsWith('.pdf')) return 'pdf';
+  }
+  return '';
+}
+
+// One request that follows redirects and only reads the headers
+async function requestHeaders(url, method, userAgent) {
+  const response = await axios.request({
+    url,
+    method,
+    timeout: DETECT_TIMEOUT_MS,
+    maxRedirects: 10,
+    responseType: 'stream',
+    validateStatus: () => true,
+    headers: { 'User-Agent': userAgent, 'Accept': 'text/html,application/xhtml+xml,application/pdf,image/*,*/*;q=0.8' },
+  });
+  if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+  const finalURL = (response.request && response.request.res && response.request.res.responseUrl) || url;
+  return { status: response.status, contentType: contentTypeOf(response.headers), finalURL };
+}
+
+// Look at a link before opening it. Resolves with { mediaType, contentType, finalURL } where mediaType is the
+// MediaType column value: 'pdf', 'image' or 'video' (what the is: search filters match), or '' for a web page
+// (also when the server can't be asked: the browser gets its turn then). Never rejects.
+async function detectMediaType(url, { userAgent = '' } = {}) {
+  const agent = userAgent || DEFAULT_USER_AGENT;
+  let result = null;
+  try {
+    result = await requestHeaders(url, 'HEAD', agent);
+    // Servers that answer HEAD wrongly, or without a content type, are asked again with GET
+    if (result.status >= 400 || !result.contentType) result = await requestHeaders(url, 'GET', agent);
+  } catch (error) {
+    console.warn(`Could not detect the content type of ${url}: ${error.message}`);
+  }
+  if (result && result.status < 400) {
+    const mediaType = mediaTypeFor(result.contentType, result.finalURL);
+    if (mediaType) return { mediaType, contentType: result.contentType, finalURL: result.finalURL };
+  }
+  return { mediaType: isVideoHost(url) ? 'video' : '', contentType: result ? result.contentType : '', finalURL: url };
+}
+
+// Download a file into memory. Resolves with { data, contentType }; rejects on HTTP errors and oversized files.
+async function downloadFile(url, { maxBytes, userAgent = '' }) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: DOWNLOAD_TIMEOUT_MS,
+    maxRedirects: 10,
+    maxContentLength: maxBytes,
+    headers: { 'User-Agent': userAgent || DEFAULT_USER_AGENT },
+  });
+  const data = Buffer.from(response.data);
+  if (data.length === 0) throw new Error('The file is empty');
+  return { data, contentType: contentTypeOf(response.headers) };
+}
+
+// "Annual Report 2024" from https://example.com/files/annual-report_2024.pdf
+function fileTitle(url) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split('/').filter(part => part).pop() || '');
+    return name.replace(/\.[a-z0-9]{2,5}$/i, '').replace(/[-_+]+/g, ' ').replace(/\s+/g, ' ').trim();
+  } catch (_) {
+    return '';
+  }
+}
+
+// Runs in a blank page: decode an image (data URL) and scale it down to `width` as a JPEG data URL.
+// Resolves with { width, height, thumbnail } (the image's own size; thumbnail is '' if it can't be drawn).
+async function scaleImage(src, width, quality) {
+  const img = new Image();
+  await new Promise((resolve, reject) => {
+    img.onload = resolve;
+    img.onerror = () => reject(new Error('Could not decode the image'));
+    img.src = src;
+  });
+  const scale = Math.min(1, width / (img.naturalWidth || width));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round((img.naturalWidth || width) * scale));
+  canvas.height = Math.max(1, Math.round((img.naturalHeight || width) * scale));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff'; // Transparent areas would turn black in a JPEG
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(img, 0, 0, canvas.width, canvas.height);
+  let thumbnail = '';
+  try {
+    thumbnail = canvas.toDataURL('image/jpeg', quality / 100);
+  } catch (_) {}
+  return { width: img.naturalWidth, height: img.naturalHeight, thumbnail };
+}
+
+// Size and JPEG thumbnail of downloaded image data, measured in `page` (a page from the shared browser).
+// Resolves with { width, height, thumbnail } where thumbnail is a Buffer, or null.
+async function imageThumbnail(page, data, contentType, { width, quality }) {
+  const src = `data:${contentType};base64,${data.toString('base64')}`;
+  const result = await page.evaluate(scaleImage, src, width, quality);
+  const thumbnail = result.thumbnail.startsWith('data:image/jpeg;base64,')
+    ? Buffer.from(result.thumbnail.split(',')[1], 'base64')
+    : null;
+  return { width: result.width, height: result.height, thumbnail };
+}
+
+// Runs inside the page (page.evaluate): the oEmbed discovery link video hosts put in their markup, or ''
+function findOEmbedLink() {
+  const link = document.querySelector('link[rel="alternate" i][type="application/json+oembed" i]');
+  try {
+    return link && link.getAttribute('href') ? new URL(link.getAttribute('href'), document.baseURI).href : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+// Fetch an oEmbed description of a video. Resolves with { title, authorName, providerName, thumbnailURL },
+// or null when there isn't a usable one. Never rejects.
+async function fetchOEmbed(endpoint, { userAgent = '' } = {}) {
+  if (!/^https?:\/\//i.test(endpoint || '')) return null;
+  try {
+    const response = await axios.get(endpoint, {
+      timeout: DETECT_TIMEOUT_MS,
+      maxContentLength: 256 * 1024,
+      headers: { 'User-Agent': userAgent || DEFAULT_USER_AGENT, 'Accept': 'application/json' },
+    });
+    const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    if (!data || typeof data !== 'object') return null;
+    const clean = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+    const thumbnailURL = clean(data.thumbnail_url);
+    return {
+      title: clean(data.title),
+      authorName: clean(data.author_name),
+      providerName: clean(data.provider_name),
+      thumbnailURL: /^https?:\/\//i.test(thumbnailURL) ? thumbnailURL : '',
+    };
+  } catch (error) {
+    console.warn(`Could not fetch oEmbed data from ${endpoint}: ${error.message}`);
+    return null;
+  }
+}
+
+// Download a remote image (a video thumbnail) to `basePath` + extension. Resolves with the path, or ''.
+async function saveRemoteImage(imageURL, basePath, { userAgent = '' } = {}) {
+  try {
+    const { data, contentType } = await downloadFile(imageURL, { maxBytes: MAX_VIDEO_THUMBNAIL_BYTES, userAgent });
+    const extension = IMAGE_TYPES[contentType];
+    if (!extension) return '';
+    const filePath = `${basePath}.${extension}`;
+    await fs.promises.writeFile(filePath, data);
+    return filePath;
+  } catch (error) {
+    console.warn(`Could not download image ${imageURL}: ${error.message}`);
+    return '';
+  }
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_PDF_BYTES,
+  MAX_IMAGE_BYTES,
+  isVideoHost,
+  detectMediaType,
+  downloadFile,
+  fileTitle,
+  imageThumbnail,
+  findOEmbedLink,
+  fetchOEmbed,
+  saveRemoteImage,
+};
@@ -0,0 +1,143 @@
+// utils/migrations.js
+const crypto = require('crypto');
+
+// Version of the bookmark library layout this build reads and writes.
+// Adding, renaming or reformatting a field means bumping this and appending a step below;
+// both storage backends run the same steps on their rows.
+const SCHEMA_VERSION = 11;
+
+// Steps are applied in order to every library older than their version. They work on plain
+// row objects and must not depend on helpers that change later (e.g. normalizeBookmark),
+// so an old library always upgrades the same way.
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Give every bookmark a stable ID',
+    up: (rows) => {
+      const seen = new Set();
+      return rows.map(row => {
+        const id = row.ID && !seen.has(row.ID) ? row.ID : crypto.randomUUID();
+        seen.add(id);
+        return { ...row, ID: id };
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Add the Deleted column used by the trash',
+    up: (rows) => rows.map(row => ({ ...row, Deleted: row.Deleted || '' })),
+  },
+  {
+    version: 4,
+    description: 'Add the Folder column for nested folders',
+    up: (rows) => rows.map(row => ({ ...row, Folder: row.Folder || '' })),
+  },
+  {
+    version: 5,
+    description: 'Add the Archive column for offline page copies',
+    up: (rows) => rows.map(row => ({ ...row, Archive: row.Archive || '' })),
+  },
+  {
+    version: 6,
+    description: 'Add the Article, Author, Published and WordCount columns for extracted article text',
+    up: (rows) => rows.map(row => ({
+      ...row,
+      Article: row.Article || '',
+      Author: row.Author || '',
+      Published: row.Published || '',
+      WordCount: row.WordCount || '',
+    })),
+  },
+  {
+    version: 7,
+    description: 'Add page metadata columns (SiteName, Canonical, Image, PageDescription) and Favicon',
+    up: (rows) => rows.map(row => ({
+      ...row,
+      SiteName: row.SiteName || '',
+      Canonical: row.Canonical || '',
+      Image: row.Image || '',
+      PageDescription: row.PageDescription || '',
+      Favicon: row.Favicon || '',
+    })),
+  },
+  {
+    version: 8,
+    description: 'Add the LinkStatus, FinalURL and LastChecked columns for link checks',
+    up: (rows) => rows.map(row => ({
+      ...row,
+      LinkStatus: row.LinkStatus || '',
+      FinalURL: row.FinalURL || '',
+      LastChecked: row.LastChecked || '',
+    })),
+  },
+  {
+    version: 9,
+    description: 'Add the Watched, WatchChecked, LastChanged and NewChanges columns for change monitoring',
+    up: (rows) => rows.map(row => ({
+      ...row,
+      Watched: row.Watched || '',
+      WatchChecked: row.WatchChecked || '',
+      LastChanged: row.LastChanged || '',
+      NewChanges: row.NewChanges || '',
+    })),
+  },
+  {
+    version: 10,
+    description: 'Add the Thumbnail column for the small screenshot shown in the grid',
+    up: (rows) => rows.map(row => ({
+      ...row,
+      Thumbnail: row.Thumbnail || '',
+    })),
+  },
+  {
+    version: 11,
+    description: 'Add the MediaType column for links to PDFs, images and videos',
+    up: (rows) => rows.map(row => ({
+      ...row,
+      MediaType: row.MediaType || '',
+    })),
+  },
+];
+
+// Libraries written before versioning existed carry no version; work it out from their columns
+function detectSchemaVersion(columns) {
+  if (columns.includes('MediaType')) return 11;
+  if (columns.includes('Thumbnail')) return 10;
+  if (columns.includes('Watched')) return 9;
+  if (columns.includes('LinkStatus')) return 8;
+  if (columns.includes('Favicon')) return 7;
+  if (columns.includes('Article')) return 6;
+  if (columns.includes('Archive')) return 5;
+  if (columns.includes('Folder')) return 4;
+  if (columns.includes('Deleted')) return 3;
+  if (columns.includes('ID')) return 2;
+  return 1;
+}
+
+// Refuse to touch a library written by a newer build: we'd drop the fields we don't know about
+function assertSupportedVersion(version, source) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unrecognized schema version "${version}" in ${source}.`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`${source} was created by a newer version of the app (schema v${version}, this version supports up to v${SCHEMA_VERSION}). Please update the app to open it.`);
+  }
+}
+
+// Upgrade rows from `fromVersion` to SCHEMA_VERSION one step at a time
+function migrateRows(rows, fromVersion) {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => {
+      console.log(`Migrating bookmarks to schema v${migration.version}: ${migration.description}`);
+      return migration.up(current);
+    }, rows);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  detectSchemaVersion,
+  assertSupportedVersion,
+  migrateRows,
+};
@@ -0,0 +1,180 @@
+// utils/netscape_bookmarks.js
+// The "Netscape bookmark file" every browser exports (bookmarks.html):
+//   <DT><H3 ADD_DATE="...">Folder</H3>
+//   <DL><p>
+//     <DT><A HREF="https://..." ADD_DATE="1700000000" TAGS="a,b">Title</A>
+//     <DD>Optional description
+//   </DL><p>
+// The markup is loose (unclosed <DT>/<p>), so it's read as a stream of tags rather than as a DOM.
+const { mergeTags } = require('./csv_manager');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const named = ENTITIES[entity.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+function stripTags(html) {
+  return decodeEntities(String(html || '').replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1].toUpperCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+// ADD_DATE is Unix seconds; some exporters write milliseconds or microseconds instead
+function parseAddDate(value) {
+  const number = Number(value);
+  if (!value || !Number.isFinite(number) || number <= 0) return '';
+  let milliseconds = number * 1000;
+  if (number > 1e14) milliseconds = number / 1000;
+  else if (number > 1e11) milliseconds = number;
+  const date = new Date(milliseconds);
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+// Parse a bookmarks.html file into
+// { bookmarks: [{ URL, Title, Date, Tags, Description, folders: [...] }], skipped }
+// where `folders` is the chain of folder names the link was found in and `skipped` counts links
+// that aren't web pages (javascript:, place:, file:, ...).
+function parseNetscapeBookmarks(html) {
+  const text = String(html || '');
+  if (!/<a\s[^>]*href/i.test(text)) {
+    throw new Error('No bookmarks found. Is this a browser bookmarks HTML export?');
+  }
+
+  const bookmarks = [];
+  const folderStack = [];
+  let pendingFolder = null; // <H3> seen, waiting for the <DL> that holds its contents
+  let lastBookmark = null; // Receives the <DD> description that may follow a link
+  let skipped = 0;
+
+  const tokens = /<h3\b([^>]*)>([\s\S]*?)<\/h3>|<a\b([^>]*)>([\s\S]*?)<\/a>|<dd>([\s\S]*?)(?=<dt>|<\/?dl>|$)|<dl\b[^>]*>|<\/dl>/gi;
+  let match;
+  while ((match = tokens.exec(text))) {
+    const token = match[0].slice(0, 3).toLowerCase();
+    if (match[2] !== undefined) {
+      // Folder names become path segments, so they can't contain the separator
+      pendingFolder = stripTags(match[2]).replace(/\//g, '-') || 'Untitled folder';
+      lastBookmark = null;
+    } else if (match[4] !== undefined) {
+      const attributes = parseAttributes(match[3]);
+      const url = String(attributes.HREF || '').trim();
+      lastBookmark = null;
+      if (!/^https?:\/\//i.test(url)) {
+        skipped++;
+        continue;
+      }
+      lastBookmark = {
+        URL: url,
+        Title: stripTags(match[4]) || url,
+        Date: parseAddDate(attributes.ADD_DATE),
+        Tags: String(attributes.TAGS || '').split(',').map(t => t.trim()).filter(t => t).join(', '),
+        Description: '',
+        folders: [...folderStack],
+      };
+      bookmarks.push(lastBookmark);
+    } else if (match[5] !== undefined) {
+      if (lastBookmark) lastBookmark.Description = stripTags(match[5]);
+      lastBookmark = null;
+    } else if (token === '<dl') {
+      // A <DL> without a heading (the file's outer list) doesn't add a level
+      folderStack.push(pendingFolder);
+      pendingFolder = null;
+    } else if (token === '</d') {
+      folderStack.pop();
+      lastBookmark = null;
+    }
+  }
+
+  bookmarks.forEach(bookmark => { bookmark.folders = bookmark.folders.filter(name => name); });
+  return { bookmarks, skipped };
+}
+
+// Turn parsed entries into bookmark rows. `folderMode` decides what happens to the folder chain:
+// 'folders' files the bookmark under the same path, 'tags' adds each folder name as a tag, 'none' drops it.
+// Browser root folders ("Bookmarks bar", "Other bookmarks", ...) are left out either way.
+const ROOT_FOLDERS = ['bookmarks bar', 'bookmarks toolbar', 'other bookmarks', 'bookmarks menu', 'favorites bar', 'mobile bookmarks'];
+
+function toBookmarkRows(entries, folderMode = 'folders') {
+  return entries.map(({ folders, ...bookmark }) => {
+    const chain = folders.filter((name, index) => !(index === 0 && ROOT_FOLDERS.includes(name.toLowerCase())));
+    const row = { ...bookmark, Folder: '' };
+    if (folderMode === 'folders') {
+      row.Folder = chain.join('/');
+    } else if (folderMode === 'tags') {
+      row.Tags = mergeTags(chain.join(','), row.Tags);
+    }
+    return row;
+  });
+}
+
+function escapeHTML(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function toUnixSeconds(isoDate) {
+  const time = new Date(isoDate).getTime();
+  return isNaN(time) ? '' : String(Math.floor(time / 1000));
+}
+
+// Write bookmarks as a bookmarks.html file browsers can import. Folder paths become nested <H3> folders.
+function toNetscapeHTML(bookmarks) {
+  const root = { folders: new Map(), bookmarks: [] };
+  bookmarks.forEach(bookmark => {
+    let node = root;
+    String(bookmark.Folder || '').split('/').map(part => part.trim()).filter(part => part).forEach(name => {
+      if (!node.folders.has(name)) node.folders.set(name, { folders: new Map(), bookmarks: [] });
+      node = node.folders.get(name);
+    });
+    node.bookmarks.push(bookmark);
+  });
+
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+  ];
+  const writeFolder = (node, indent) => {
+    lines.push(`${indent}<DL><p>`);
+    [...node.folders.keys()].sort((a, b) => a.localeCompare(b)).forEach(name => {
+      lines.push(`${indent}    <DT><H3>${escapeHTML(name)}</H3>`);
+      writeFolder(node.folders.get(name), indent + '    ');
+    });
+    node.bookmarks.forEach(bookmark => {
+      const addDate = toUnixSeconds(bookmark.Date);
+      const attributes = [`HREF="${escapeHTML(bookmark.URL)}"`];
+      if (addDate) attributes.push(`ADD_DATE="${addDate}"`);
+      if (bookmark.Tags) attributes.push(`TAGS="${escapeHTML(String(bookmark.Tags).split(',').map(t => t.trim()).filter(t => t).join(','))}"`);
+      lines.push(`${indent}    <DT><A ${attributes.join(' ')}>${escapeHTML(bookmark.Title || bookmark.URL)}</A>`);
+      if (bookmark.Description) lines.push(`${indent}    <DD>${escapeHTML(bookmark.Description)}`);
+    });
+    lines.push(`${indent}</DL><p>`);
+  };
+  writeFolder(root, '');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parseNetscapeBookmarks,
+  toBookmarkRows,
+  toNetscapeHTML,
+  escapeHTML,
+  decodeEntities,
+  parseAddDate,
+};
@@ -0,0 +1,100 @@
+// utils/page_archive.js
+// Offline copies of a page, saved while it is open in the shared browser.
+const fs = require('fs');
+
+// Formats for the archiveFormat setting; 'none' keeps only the screenshot.
+//   mhtml - Chromium's own snapshot (Page.captureSnapshot): HTML plus every resource in one file
+//   html  - a single HTML file with stylesheets and images inlined, scripts removed
+const ARCHIVE_FORMATS = {
+  mhtml: { label: 'MHTML snapshot', extension: 'mhtml' },
+  html: { label: 'Single HTML file', extension: 'html' },
+};
+
+const MAX_INLINE_BYTES = 5 * 1024 * 1024; // Larger images stay as links to the live page
+
+// Runs inside the page: inline stylesheets and images, drop scripts, return the document as HTML.
+// Works on a copy, so the live page (still to be read and screenshotted) is left as it was.
+async function inlineDocument(maxInlineBytes) {
+  const copy = document.cloneNode(true);
+  const readAsDataURL = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+  const fetchDataURL = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    if (blob.size > maxInlineBytes) throw new Error('Too large');
+    return readAsDataURL(blob);
+  };
+  // url(...) references inside a stylesheet are relative to the stylesheet, not the page
+  const absolutizeCSS = (css, baseURL) => css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) =>
+    /^(data|blob|#)/i.test(url) ? match : `url("${new URL(url, baseURL).href}")`);
+
+  for (const link of [...copy.querySelectorAll('link[rel~="stylesheet"][href]')]) {
+    try {
+      const response = await fetch(link.href);
+      if (!response.ok) continue;
+      const style = copy.createElement('style');
+      if (link.media) style.media = link.media;
+      style.textContent = absolutizeCSS(await response.text(), link.href);
+      link.replaceWith(style);
+    } catch (_) {
+      link.setAttribute('href', link.href); // Cross-origin stylesheet: at least keep an absolute link
+    }
+  }
+  copy.querySelectorAll('style').forEach(style => {
+    style.textContent = absolutizeCSS(style.textContent, document.baseURI);
+  });
+
+  // The copy isn't rendered, so which srcset candidate loaded is read from the live image at the same position
+  const liveImages = [...document.images];
+  for (const [index, img] of [...copy.images].entries()) {
+    const source = (liveImages[index] && liveImages[index].currentSrc) || img.src;
+    if (!source || source.startsWith('data:')) continue;
+    img.removeAttribute('srcset');
+    img.removeAttribute('loading');
+    try {
+      img.setAttribute('src', await fetchDataURL(source));
+    } catch (_) {
+      img.setAttribute('src', source);
+    }
+  }
+  copy.querySelectorAll('picture source').forEach(el => el.remove());
+
+  copy.querySelectorAll('script, noscript, iframe, link[rel~="preload"], link[rel~="modulepreload"]').forEach(el => el.remove());
+  copy.querySelectorAll('*').forEach(el => {
+    [...el.attributes].filter(attr => /^on/i.test(attr.name)).forEach(attr => el.removeAttribute(attr.name));
+  });
+  // Links that weren't inlined still resolve against the original page
+  const base = copy.querySelector('base') || copy.head.insertBefore(copy.createElement('base'), copy.head.firstChild);
+  base.setAttribute('href', document.baseURI);
+  return '<!DOCTYPE html>\n' + copy.documentElement.outerHTML;
+}
+
+// Save an offline copy of the page open in `page` to `filePath`
+async function capturePage(page, filePath, format) {
+  if (!ARCHIVE_FORMATS[format]) {
+    throw new Error(`Unknown archive format "${format}" (use ${Object.keys(ARCHIVE_FORMATS).join(', ')}).`);
+  }
+  if (format === 'mhtml') {
+    const session = await page.createCDPSession();
+    try {
+      const { data } = await session.send('Page.captureSnapshot', { format: 'mhtml' });
+      await fs.promises.writeFile(filePath, data);
+    } finally {
+      await session.detach().catch(() => {});
+    }
+  } else {
+    const html = await page.evaluate(inlineDocument, MAX_INLINE_BYTES);
+    await fs.promises.writeFile(filePath, html, 'utf8');
+  }
+  return filePath;
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  capturePage,
+};
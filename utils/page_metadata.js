@@ -0,0 +1,115 @@
+// utils/page_metadata.js
+// What a page says about itself: OpenGraph/Twitter tags, meta description, canonical link,
+// JSON-LD data and its favicon.
+const fs = require('fs');
+const axios = require('axios');
+
+const MAX_FAVICON_BYTES = 256 * 1024;
+const FAVICON_TYPES = {
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'image/png': 'png',
+  'image/svg+xml': 'svg',
+  'image/gif': 'gif',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+};
+
+// Runs inside the page (page.evaluate) and doesn't change the DOM. URLs come back absolute.
+// Returns { title, description, image, canonical, siteName, favicon, type, author, published, keywords }.
+function extractMetadata() {
+  const clean = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+  const absolute = (value) => {
+    try {
+      return value ? new URL(value, document.baseURI).href : '';
+    } catch (_) {
+      return '';
+    }
+  };
+  const meta = (...names) => {
+    for (const name of names) {
+      const el = document.querySelector(`meta[property="${name}" i], meta[name="${name}" i], meta[itemprop="${name}" i]`);
+      if (el && clean(el.content)) return clean(el.content);
+    }
+    return '';
+  };
+
+  // The first JSON-LD item that describes the page itself (article, product, recipe...)
+  let linkedData = {};
+  const ignoredTypes = /^(WebSite|Organization|BreadcrumbList|SiteNavigationElement|ImageObject|Person|SearchAction)$/;
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    if (linkedData['@type']) return;
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = [].concat(data).flatMap(item => [item, ...[].concat(item && item['@graph'] || [])]);
+      linkedData = items.find(item => item && item['@type'] && ![].concat(item['@type']).every(type => ignoredTypes.test(type))) || linkedData;
+    } catch (_) {}
+  });
+  const nameOf = (value) => [].concat(value || [])
+    .map(item => clean(typeof item === 'string' ? item : item && item.name))
+    .filter(name => name && !/^https?:/.test(name)).join(', ');
+  const imageOf = (value) => {
+    const first = [].concat(value || [])[0];
+    return typeof first === 'string' ? first : first && first.url;
+  };
+
+  // Prefer the largest declared icon, then the apple-touch icon, then /favicon.ico
+  const icons = [...document.querySelectorAll('link[rel~="icon" i], link[rel="shortcut icon" i], link[rel~="apple-touch-icon" i]')]
+    .filter(link => link.getAttribute('href'))
+    .map(link => ({
+      href: absolute(link.getAttribute('href')),
+      size: Math.max(0, ...String(link.getAttribute('sizes') || '').split(/\s+/).map(size => parseInt(size, 10) || 0)),
+      touch: /apple-touch-icon/i.test(link.rel),
+    }))
+    .filter(icon => icon.href && !icon.href.startsWith('data:'))
+    .sort((a, b) => (a.touch - b.touch) || (b.size - a.size));
+
+  const canonicalEl = document.querySelector('link[rel="canonical" i]');
+  return {
+    title: meta('og:title', 'twitter:title') || clean(linkedData.headline || linkedData.name),
+    description: meta('og:description', 'twitter:description', 'description') || clean(linkedData.description),
+    image: absolute(meta('og:image', 'og:image:url', 'twitter:image') || imageOf(linkedData.image)),
+    canonical: absolute(canonicalEl && canonicalEl.getAttribute('href')) || absolute(meta('og:url')),
+    siteName: meta('og:site_name', 'application-name', 'apple-mobile-web-app-title') || nameOf(linkedData.publisher),
+    favicon: icons.length > 0 ? icons[0].href : absolute('/favicon.ico'),
+    type: clean([].concat(linkedData['@type'] || meta('og:type')).join(', ')),
+    author: nameOf(linkedData.author) || meta('author', 'article:author'),
+    published: clean(linkedData.datePublished) || meta('article:published_time'),
+    keywords: clean([].concat(linkedData.keywords || meta('keywords', 'news_keywords')).join(', ')).slice(0, 300),
+  };
+}
+
+// Download a favicon to `basePath` + extension. Falls back to /favicon.ico on the page's origin.
+// Resolves with the saved path, or '' when no icon could be fetched.
+async function downloadFavicon(iconURL, pageURL, basePath) {
+  const candidates = [iconURL];
+  try {
+    candidates.push(new URL('/favicon.ico', pageURL).href);
+  } catch (_) {}
+
+  for (const candidate of [...new Set(candidates.filter(url => /^https?:\/\//i.test(url || '')))]) {
+    try {
+      const response = await axios.get(candidate, {
+        responseType: 'arraybuffer',
+        timeout: 10000,
+        maxContentLength: MAX_FAVICON_BYTES,
+        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36' },
+      });
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const extension = FAVICON_TYPES[contentType] || (/\.ico(\?|$)/i.test(candidate) && contentType !== 'text/html' ? 'ico' : null);
+      const data = Buffer.from(response.data);
+      if (!extension || data.length === 0) continue;
+      const filePath = `${basePath}.${extension}`;
+      await fs.promises.writeFile(filePath, data);
+      return filePath;
+    } catch (error) {
+      console.warn(`Could not fetch favicon ${candidate}: ${error.message}`);
+    }
+  }
+  return '';
+}
+
+module.exports = {
+  extractMetadata,
+  downloadFavicon,
+};
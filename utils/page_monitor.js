@@ -0,0 +1,230 @@
+// utils/page_monitor.js
+// Change history for watched bookmarks. Each new capture of a page (text and screenshot) is compared
+// with the last version we kept. history/<bookmark ID>/ holds:
+//   latest.txt, latest.png - the version new captures are compared with
+//   history.json           - { checkedAt, changes }, changes newest first (see record())
+//   <timestamp>.png        - the screenshot taken when a change was found
+const fs = require('fs');
+const path = require('path');
+
+const MAX_CHANGES = 20; // Older changes and their screenshots are dropped
+const SCREENSHOT_THRESHOLD = 0.02; // Share of pixels that must differ before a screenshot counts as changed
+const MAX_TEXT_LENGTH = 200000;
+const DIFF_CONTEXT = 2; // Unchanged lines shown around each change
+const MAX_DIFF_LINES = 400; // Lines kept per change, context included
+const MAX_DIFF_CELLS = 4000000; // Bigger edits are shown as a full replacement instead of a line-by-line diff
+
+// Compare pages line by line, ignoring whitespace and blank lines
+function textLines(text) {
+  return String(text || '').slice(0, MAX_TEXT_LENGTH).split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line);
+}
+
+// Line diff (longest common subsequence) as [{ type: ' ' | '-' | '+', text }]
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  const same = (lines) => lines.map(text => ({ type: ' ', text }));
+  const removed = oldLines.slice(start, oldEnd);
+  const added = newLines.slice(start, newEnd);
+  let middle;
+
+  if (removed.length === 0 || added.length === 0 || (removed.length + 1) * (added.length + 1) > MAX_DIFF_CELLS) {
+    middle = [...removed.map(text => ({ type: '-', text })), ...added.map(text => ({ type: '+', text }))];
+  } else {
+    // lengths[i * width + j] = LCS length of removed[i..] and added[j..]
+    const width = added.length + 1;
+    const lengths = new Uint32Array((removed.length + 1) * width);
+    for (let i = removed.length - 1; i >= 0; i--) {
+      for (let j = added.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = removed[i] === added[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < removed.length && j < added.length) {
+      if (removed[i] === added[j]) {
+        middle.push({ type: ' ', text: removed[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        middle.push({ type: '-', text: removed[i++] });
+      } else {
+        middle.push({ type: '+', text: added[j++] });
+      }
+    }
+    removed.slice(i).forEach(text => middle.push({ type: '-', text }));
+    added.slice(j).forEach(text => middle.push({ type: '+', text }));
+  }
+  return [...same(oldLines.slice(0, start)), ...middle, ...same(oldLines.slice(oldEnd))];
+}
+
+// Group a diff into hunks of changed lines with a little context: [{ oldLine, newLine, lines }]
+function toHunks(diff, context = DIFF_CONTEXT) {
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let budget = MAX_DIFF_LINES;
+  diff.forEach((entry, index) => {
+    const nearChange = diff.slice(Math.max(0, index - context), index + context + 1).some(other => other.type !== ' ');
+    if (nearChange && budget > 0) {
+      if (!current) {
+        current = { oldLine, newLine, lines: [] };
+        hunks.push(current);
+      }
+      current.lines.push(entry);
+      budget--;
+    } else {
+      current = null;
+    }
+    if (entry.type !== '+') oldLine++;
+    if (entry.type !== '-') newLine++;
+  });
+  return hunks;
+}
+
+// Runs in a blank page: share of pixels that differ between two image data URLs (1 when the sizes differ)
+async function imageDifference(before, after) {
+  const load = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not decode screenshot'));
+    img.src = src;
+  });
+  const [a, b] = await Promise.all([load(before), load(after)]);
+  if (a.naturalWidth !== b.naturalWidth || a.naturalHeight !== b.naturalHeight) return 1;
+  const pixels = (img) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const context = canvas.getContext('2d');
+    context.drawImage(img, 0, 0);
+    return context.getImageData(0, 0, canvas.width, canvas.height).data;
+  };
+  const dataA = pixels(a);
+  const dataB = pixels(b);
+  let different = 0;
+  for (let i = 0; i < dataA.length; i += 4) {
+    // Small colour shifts (anti-aliasing, image compression) don't count
+    const delta = Math.abs(dataA[i] - dataB[i]) + Math.abs(dataA[i + 1] - dataB[i + 1]) + Math.abs(dataA[i + 2] - dataB[i + 2]);
+    if (delta > 48) different++;
+  }
+  return different / (dataA.length / 4);
+}
+
+// Share of pixels that differ between two PNG files, measured in `page` (a page from the shared browser)
+async function compareScreenshots(page, beforePath, afterPath) {
+  const toDataURL = async (filePath) => `data:image/png;base64,${(await fs.promises.readFile(filePath)).toString('base64')}`;
+  return page.evaluate(imageDifference, await toDataURL(beforePath), await toDataURL(afterPath));
+}
+
+class PageMonitor {
+  constructor(historyDir) {
+    this.historyDir = path.resolve(historyDir);
+  }
+
+  dirFor(id) {
+    return path.join(this.historyDir, String(id).replace(/[^\w-]/g, '_'));
+  }
+
+  // Where a new capture's screenshot goes before record() decides whether to keep it
+  async capturePathFor(id) {
+    const dir = this.dirFor(id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    return path.join(dir, `capture-${Date.now()}.png`);
+  }
+
+  // { checkedAt, changes } where each change is
+  // { detectedAt, added, removed, hunks, screenshotChange, screenshot }
+  async getHistory(id) {
+    try {
+      const history = JSON.parse(await fs.promises.readFile(path.join(this.dirFor(id), 'history.json'), 'utf8'));
+      return { checkedAt: history.checkedAt || '', changes: Array.isArray(history.changes) ? history.changes : [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Could not read page history for ${id}:`, error.message);
+      return { checkedAt: '', changes: [] };
+    }
+  }
+
+  // Compare a new capture ({ text, screenshotPath }) with the last version and keep it if it changed.
+  // options: { compareImages(beforePath, afterPath) } resolving with the share of pixels that differ.
+  // The first capture only becomes the baseline. Resolves with { baseline, changed, change }.
+  async record(id, { text, screenshotPath = '' }, { compareImages = null } = {}) {
+    const dir = this.dirFor(id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const latestTextPath = path.join(dir, 'latest.txt');
+    const latestScreenshotPath = path.join(dir, 'latest.png');
+    const history = await this.getHistory(id);
+    const checkedAt = new Date().toISOString();
+    const lines = textLines(text);
+    const hasCapture = Boolean(screenshotPath) && fs.existsSync(screenshotPath);
+
+    let previousText = null;
+    try {
+      previousText = await fs.promises.readFile(latestTextPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const hadScreenshot = fs.existsSync(latestScreenshotPath);
+    let change = null;
+
+    if (previousText !== null) {
+      const diff = diffLines(textLines(previousText), lines);
+      const added = diff.filter(entry => entry.type === '+').length;
+      const removed = diff.filter(entry => entry.type === '-').length;
+      let screenshotChange = null;
+      if (hasCapture && hadScreenshot && compareImages) {
+        try {
+          screenshotChange = await compareImages(latestScreenshotPath, screenshotPath);
+        } catch (error) {
+          console.warn(`Could not compare screenshots for ${id}:`, error.message);
+        }
+      }
+      if (added + removed > 0 || (screenshotChange !== null && screenshotChange >= SCREENSHOT_THRESHOLD)) {
+        let screenshot = '';
+        if (hasCapture) {
+          screenshot = path.join(dir, `${checkedAt.replace(/[:.]/g, '-')}.png`);
+          await fs.promises.copyFile(screenshotPath, screenshot);
+        }
+        change = { detectedAt: checkedAt, added, removed, hunks: toHunks(diff), screenshotChange, screenshot };
+        history.changes.unshift(change);
+        for (const dropped of history.changes.splice(MAX_CHANGES)) {
+          if (dropped.screenshot) await fs.promises.rm(dropped.screenshot, { force: true });
+        }
+      }
+    }
+
+    // The baseline only moves when something changed, so slow drift still adds up to a change
+    if (previousText === null || change) {
+      await fs.promises.writeFile(latestTextPath, lines.join('\n'), 'utf8');
+    }
+    if (hasCapture && (previousText === null || change || !hadScreenshot)) {
+      await fs.promises.rename(screenshotPath, latestScreenshotPath);
+    } else if (hasCapture) {
+      await fs.promises.rm(screenshotPath, { force: true });
+    }
+    history.checkedAt = checkedAt;
+    await fs.promises.writeFile(path.join(dir, 'history.json'), JSON.stringify(history, null, 2), 'utf8');
+    return { baseline: previousText === null, changed: Boolean(change), change };
+  }
+
+  async removeHistory(id) {
+    await fs.promises.rm(this.dirFor(id), { recursive: true, force: true });
+  }
+}
+
+module.exports = PageMonitor;
+module.exports.diffLines = diffLines;
+module.exports.toHunks = toHunks;
+module.exports.compareScreenshots = compareScreenshots;
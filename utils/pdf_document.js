@@ -0,0 +1,97 @@
+// utils/pdf_document.js
+// Text and document info of a downloaded PDF (pdfjs-dist, in Node), and a picture of its first page,
+// rendered by pdf.js inside a page from the shared browser since Node has no canvas.
+// Loaded on first use: it warns about the missing canvas package (only needed for rendering) when required
+let pdfjs = null;
+const loadPdfjs = () => pdfjs || (pdfjs = require('pdfjs-dist/legacy/build/pdf.js'));
+
+const MAX_PAGES = 300; // Text is read from at most this many pages
+const MAX_TEXT_LENGTH = 500000;
+// pdf.js for the browser page; the worker script is loaded into the page itself, so no Worker is needed
+const BROWSER_SCRIPTS = ['pdfjs-dist/build/pdf.min.js', 'pdfjs-dist/build/pdf.worker.min.js'];
+
+// PDF dates look like D:20240131094500+01'00'
+function toISODate(value) {
+  const date = value ? loadPdfjs().PDFDateString.toDateObject(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : '';
+}
+
+// Resolves with { text, title, author, published, pageCount }. Rejects when the data isn't a readable PDF.
+async function readPdf(data) {
+  const pdf = await loadPdfjs().getDocument({
+    data: new Uint8Array(data),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+  try {
+    const { info = {} } = await pdf.getMetadata().catch(() => ({}));
+    const pages = [];
+    let length = 0;
+    for (let number = 1; number <= Math.min(pdf.numPages, MAX_PAGES) && length < MAX_TEXT_LENGTH; number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      const text = content.items.map(item => (item.str || '') + (item.hasEOL ? '\n' : '')).join('')
+        .replace(/[ \t]+\n/g, '\n').trim();
+      page.cleanup();
+      pages.push(text);
+      length += text.length;
+    }
+    const clean = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+    return {
+      text: pages.filter(text => text).join('\n\n').slice(0, MAX_TEXT_LENGTH),
+      title: clean(info.Title),
+      author: clean(info.Author),
+      published: toISODate(info.CreationDate),
+      pageCount: pdf.numPages,
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Runs in a blank page with pdf.js loaded: draw page 1 of the PDF (base64) at `width` pixels as a PNG
+// and at `thumbnailWidth` as a JPEG; resolves with both as data URLs
+async function renderFirstPage(base64, width, thumbnailWidth, thumbnailQuality) {
+  const binary = atob(base64);
+  const data = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) data[i] = binary.charCodeAt(i);
+  const pdf = await window.pdfjsLib.getDocument({ data, isEvalSupported: false }).promise;
+  try {
+    const page = await pdf.getPage(1);
+    const draw = async (targetWidth, type, quality) => {
+      const viewport = page.getViewport({ scale: targetWidth / page.getViewport({ scale: 1 }).width });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(viewport.width);
+      canvas.height = Math.round(viewport.height);
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+      return canvas.toDataURL(type, quality);
+    };
+    return {
+      image: await draw(width, 'image/png'),
+      thumbnail: await draw(thumbnailWidth, 'image/jpeg', thumbnailQuality / 100),
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Picture of the first page, drawn in `page` (a page from the shared browser).
+// options: { width, thumbnailWidth, thumbnailQuality }. Resolves with { image, thumbnail } as Buffers.
+async function renderPdfPreview(page, data, { width, thumbnailWidth, thumbnailQuality }) {
+  for (const script of BROWSER_SCRIPTS) {
+    await page.addScriptTag({ path: require.resolve(script) });
+  }
+  const rendered = await page.evaluate(renderFirstPage, data.toString('base64'), width, thumbnailWidth, thumbnailQuality);
+  const toBuffer = (dataURL) => Buffer.from(dataURL.split(',')[1] || '', 'base64');
+  return { image: toBuffer(rendered.image), thumbnail: toBuffer(rendered.thumbnail) };
+}
+
+module.exports = {
+  readPdf,
+  renderPdfPreview,
+};
@@ -0,0 +1,98 @@
+// utils/scraping_rules.js
+// Per-site adjustments to how pages are loaded and captured, matched by host pattern:
+//   example.com    - example.com and www.example.com
+//   *.example.com  - example.com and every subdomain
+//   *              - every site
+// A rule is { id, hostPattern, waitForSelector, hideSelectors, clickSelectors, userAgent, skipScreenshot }.
+const crypto = require('crypto');
+
+// What a page gets when no rule matches it
+const NO_RULE = {
+  waitForSelectors: [],
+  hideSelectors: [],
+  clickSelectors: [],
+  userAgent: '',
+  skipScreenshot: false,
+};
+
+const stripWWW = (host) => host.replace(/^www\./, '');
+
+// "https://www.Example.com/path" or "*.example.com:8080" -> "www.example.com" / "*.example.com"
+function normalizeHostPattern(pattern) {
+  const cleaned = String(pattern || '').trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '');
+  if (cleaned === '*') return cleaned;
+  if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(cleaned)) {
+    throw new Error(`"${pattern}" is not a host pattern. Use a host such as example.com or *.example.com.`);
+  }
+  return cleaned;
+}
+
+// One selector per line (commas belong to the selectors themselves)
+function selectorList(value) {
+  const lines = Array.isArray(value) ? value : String(value || '').split('\n');
+  return [...new Set(lines.map(line => String(line).trim()).filter(line => line))];
+}
+
+// Validate a rule from the settings editor; throws when the host pattern is unusable or the rule does nothing
+function normalizeRule(rule) {
+  const normalized = {
+    id: rule.id || crypto.randomUUID(),
+    hostPattern: normalizeHostPattern(rule.hostPattern),
+    waitForSelector: String(rule.waitForSelector || '').trim(),
+    hideSelectors: selectorList(rule.hideSelectors),
+    clickSelectors: selectorList(rule.clickSelectors),
+    userAgent: String(rule.userAgent || '').trim(),
+    skipScreenshot: rule.skipScreenshot === true,
+  };
+  const { waitForSelector, hideSelectors, clickSelectors, userAgent, skipScreenshot } = normalized;
+  if (!waitForSelector && !hideSelectors.length && !clickSelectors.length && !userAgent && !skipScreenshot) {
+    throw new Error('A rule needs at least one thing to do for its sites.');
+  }
+  return normalized;
+}
+
+function hostMatches(pattern, host) {
+  if (pattern === '*') return true;
+  host = stripWWW(host.toLowerCase());
+  if (pattern.startsWith('*.')) {
+    const domain = stripWWW(pattern.slice(2));
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+  return host === stripWWW(pattern);
+}
+
+// More specific patterns win: exact hosts over wildcards, longer domains over shorter ones
+const specificity = (pattern) => (pattern === '*' ? 0 : pattern.length + (pattern.startsWith('*.') ? 0 : 1000));
+
+// Everything the rules matching `url` ask for, combined. Selectors from every matching rule apply;
+// for the user agent the most specific rule wins. Returns an object shaped like NO_RULE.
+function rulesFor(url, rules = []) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (_) {
+    return NO_RULE;
+  }
+  const matching = (Array.isArray(rules) ? rules : [])
+    .filter(rule => rule && rule.hostPattern && hostMatches(rule.hostPattern, host))
+    .sort((a, b) => specificity(a.hostPattern) - specificity(b.hostPattern));
+  if (matching.length === 0) return NO_RULE;
+  return matching.reduce((combined, rule) => ({
+    waitForSelectors: rule.waitForSelector ? [...combined.waitForSelectors, rule.waitForSelector] : combined.waitForSelectors,
+    hideSelectors: [...combined.hideSelectors, ...selectorList(rule.hideSelectors)],
+    clickSelectors: [...combined.clickSelectors, ...selectorList(rule.clickSelectors)],
+    userAgent: rule.userAgent || combined.userAgent,
+    skipScreenshot: combined.skipScreenshot || rule.skipScreenshot === true,
+  }), NO_RULE);
+}
+
+module.exports = {
+  NO_RULE,
+  normalizeHostPattern,
+  normalizeRule,
+  hostMatches,
+  rulesFor,
+};
@@ -0,0 +1,53 @@
+// utils/screenshot_options.js
+// How pages are captured (viewport, full page, mobile emulation, delay, image format) and the
+// small thumbnail the grid shows instead of the full screenshot.
+
+const SCREENSHOT_FORMATS = {
+  png: { label: 'PNG (lossless)', extension: 'png', lossy: false },
+  jpeg: { label: 'JPEG', extension: 'jpg', lossy: true },
+  webp: { label: 'WebP', extension: 'webp', lossy: true },
+};
+
+// Puppeteer KnownDevices offered for mobile emulation; '' captures with the desktop viewport
+const DEVICES = ['iPhone 13', 'Pixel 5', 'iPad Mini'];
+
+const DEFAULT_SCREENSHOT_OPTIONS = {
+  width: 1280,
+  height: 720,
+  fullPage: false,
+  device: '',
+  delayMs: 0,
+  format: 'png',
+  quality: 80, // JPEG and WebP only
+};
+
+const THUMBNAIL_WIDTH = 480;
+const THUMBNAIL_QUALITY = 70; // Thumbnails are always JPEG
+
+const clamp = (value, min, max, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+// Valid options from whatever the settings store holds (missing or bad values fall back to the defaults)
+function normalizeScreenshotOptions(options = {}) {
+  const defaults = DEFAULT_SCREENSHOT_OPTIONS;
+  return {
+    width: clamp(options.width, 320, 3840, defaults.width),
+    height: clamp(options.height, 240, 2160, defaults.height),
+    fullPage: options.fullPage === true || options.fullPage === 'true',
+    device: DEVICES.includes(options.device) ? options.device : '',
+    delayMs: clamp(options.delayMs, 0, 30000, defaults.delayMs),
+    format: SCREENSHOT_FORMATS[options.format] ? options.format : defaults.format,
+    quality: clamp(options.quality, 10, 100, defaults.quality),
+  };
+}
+
+module.exports = {
+  SCREENSHOT_FORMATS,
+  DEVICES,
+  DEFAULT_SCREENSHOT_OPTIONS,
+  THUMBNAIL_WIDTH,
+  THUMBNAIL_QUALITY,
+  normalizeScreenshotOptions,
+};
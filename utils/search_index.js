@@ -0,0 +1,157 @@
+// utils/search_index.js
+
+// Field weights for scoring; a hit in the title counts more than one in the URL
+const FIELD_WEIGHTS = { Title: 3, Tags: 2.5, Description: 1.5, Author: 1, URL: 1, Text: 0.5 };
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_FACTOR = 0.7; // "reac" -> "react"
+const TYPO_FACTOR = 0.5; // "raect" -> "react"
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 1);
+}
+
+// Levenshtein distance, giving up (returns max + 1) as soon as it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      // Transposed letters ("raect") count as one edit
+      if (beforePrevious && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// In-memory inverted index with BM25 ranking. Lives in the main process and is kept up to
+// date with add()/remove() as bookmarks change; rebuild() after bulk operations.
+class SearchIndex {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.postings = new Map(); // term -> Map(bookmarkId -> weighted term frequency)
+    this.docTerms = new Map(); // bookmarkId -> Set(term), for removal
+    this.docLengths = new Map(); // bookmarkId -> weighted length
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docLengths.size;
+  }
+
+  rebuild(bookmarks, getText = () => '') {
+    this.clear();
+    bookmarks.forEach(bookmark => this.add(bookmark, getText(bookmark)));
+  }
+
+  // Index (or re-index) a bookmark. `text` is extracted page text, when there is any.
+  add(bookmark, text = '') {
+    if (!bookmark || !bookmark.ID) return;
+    this.remove(bookmark.ID);
+
+    const frequencies = new Map();
+    let length = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const value = field === 'Text' ? text : bookmark[field];
+      tokenize(value).forEach(token => {
+        frequencies.set(token, (frequencies.get(token) || 0) + weight);
+        length += weight;
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(bookmark.ID, frequency);
+    });
+    this.docTerms.set(bookmark.ID, new Set(frequencies.keys()));
+    this.docLengths.set(bookmark.ID, length);
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) return;
+    terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(term);
+    });
+    this.totalLength -= this.docLengths.get(id);
+    this.docTerms.delete(id);
+    this.docLengths.delete(id);
+  }
+
+  // Index terms a query token should match, with how much each counts:
+  // the exact term, longer terms it is a prefix of, and terms within a typo or two.
+  expandToken(token) {
+    const expansions = new Map();
+    if (this.postings.has(token)) expansions.set(token, 1);
+    const maxTypos = allowedTypos(token);
+    this.postings.forEach((_, term) => {
+      if (term === token) return;
+      if (term.startsWith(token)) {
+        expansions.set(term, PREFIX_FACTOR);
+      } else if (maxTypos > 0 && editDistance(token, term, maxTypos) <= maxTypos) {
+        expansions.set(term, TYPO_FACTOR);
+      }
+    });
+    return expansions;
+  }
+
+  // Rank bookmarks for free text. Returns [{ id, score }], best match first.
+  // Every query token has to match (exactly, by prefix or with a typo) for a bookmark to be listed.
+  search(query) {
+    const tokens = [...new Set(tokenize(query))];
+    if (tokens.length === 0 || this.size === 0) return [];
+
+    const docCount = this.size;
+    const averageLength = this.totalLength / docCount || 1;
+    const scores = new Map();
+    const matchedTokens = new Map();
+
+    tokens.forEach(token => {
+      const best = new Map(); // bookmarkId -> best score for this token
+      this.expandToken(token).forEach((factor, term) => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+        posting.forEach((frequency, id) => {
+          const norm = K1 * (1 - B + B * (this.docLengths.get(id) / averageLength));
+          const score = factor * idf * (frequency * (K1 + 1)) / (frequency + norm);
+          if (score > (best.get(id) || 0)) best.set(id, score);
+        });
+      });
+      best.forEach((score, id) => {
+        scores.set(id, (scores.get(id) || 0) + score);
+        matchedTokens.set(id, (matchedTokens.get(id) || 0) + 1);
+      });
+    });
+
+    return [...scores.entries()]
+      .filter(([id]) => matchedTokens.get(id) === tokens.length)
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = SearchIndex;
+module.exports.tokenize = tokenize;
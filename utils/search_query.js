@@ -0,0 +1,204 @@
+// utils/search_query.js
+// Structured search queries, e.g.
+//   tag:python site:github.com is:favorite before:2025-01-01 -tag:old "exact phrase"
+// Loaded with require() in the main process and with a <script> tag in the renderer (window.SearchQuery).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SearchQuery = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Supported `field:value` filters. Anything else before a colon is reported as an error.
+  const OPERATORS = {
+    tag: 'has the tag',
+    site: 'URL is on the domain (or path prefix)',
+    is: 'is:favorite, is:untagged, is:broken, is:redirected, is:watched, is:changed, is:pdf, is:image or is:video',
+    before: 'added before the date (YYYY, YYYY-MM or YYYY-MM-DD)',
+    after: 'added on or after the date',
+    title: 'title contains the text',
+    url: 'URL contains the text',
+    author: 'article author contains the text',
+  };
+  const IS_VALUES = { favorite: 'favorite', fav: 'favorite', untagged: 'untagged', broken: 'broken', redirected: 'redirected',
+    watched: 'watched', changed: 'changed', pdf: 'pdf', image: 'image', video: 'video' };
+  // Statuses that say the page exists but wouldn't show itself to us (login walls, rate limits)
+  const RESTRICTED_STATUSES = ['401', '403', '407', '429'];
+
+  // Local midnight at the start of a YYYY, YYYY-MM or YYYY-MM-DD date
+  function parseDate(value) {
+    const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+    if (!match) return null;
+    const date = new Date(Number(match[1]), match[2] ? Number(match[2]) - 1 : 0, match[3] ? Number(match[3]) : 1);
+    // Reject rollovers such as 2025-02-31
+    if (match[2] && date.getMonth() !== Number(match[2]) - 1) return null;
+    return date;
+  }
+
+  function splitTags(tags) {
+    return String(tags || '').split(',').map(t => t.trim().toLowerCase()).filter(t => t);
+  }
+
+  // Host, path and query of a bookmark URL without scheme or www., for site: matching
+  function siteKey(url) {
+    let candidate = String(url || '').trim();
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate)) candidate = 'https://' + candidate;
+    try {
+      const parsed = new URL(candidate);
+      return { host: parsed.hostname.toLowerCase().replace(/^www\./, ''), path: parsed.pathname, search: parsed.search };
+    } catch {
+      return { host: candidate.toLowerCase(), path: '', search: '' };
+    }
+  }
+
+  // A URL without scheme, www. or trailing slash, so http -> https upgrades don't count as moves
+  function pageKey(url) {
+    const { host, path, search } = siteKey(url);
+    return host + path.replace(/\/+$/, '') + search;
+  }
+
+  // Health of a bookmark's link from its last check (utils/link_checker.js):
+  // 'unchecked', 'broken' (error status or no response), 'redirected' (now lives at FinalURL) or 'ok'
+  function linkHealth(bookmark) {
+    const status = String(bookmark.LinkStatus || '');
+    if (!status) return 'unchecked';
+    if (!/^\d+$/.test(status) || (Number(status) >= 400 && !RESTRICTED_STATUSES.includes(status))) return 'broken';
+    if (bookmark.FinalURL && pageKey(bookmark.FinalURL) !== pageKey(bookmark.URL)) return 'redirected';
+    return 'ok';
+  }
+
+  // Parse a query into clauses ({ field, value, negated, phrase }). Malformed parts are left out and
+  // described in `errors` ({ message, position }) so callers can still use the rest of the query.
+  function parseQuery(input) {
+    const text = String(input || '');
+    const clauses = [];
+    const errors = [];
+    let i = 0;
+
+    while (i < text.length) {
+      if (/\s/.test(text[i])) { i++; continue; }
+      const start = i;
+      let negated = false;
+      if (text[i] === '-') { negated = true; i++; }
+
+      let field = 'text';
+      const operator = /^([a-z]+):/i.exec(text.slice(i));
+      // "https://..." and similar are plain text, not filters
+      if (operator && !text.startsWith('//', i + operator[0].length)) {
+        field = operator[1].toLowerCase();
+        if (!OPERATORS[field]) {
+          errors.push({ message: `Unknown filter "${operator[1]}:" (use ${Object.keys(OPERATORS).map(k => k + ':').join(' ')})`, position: i });
+          field = null;
+        }
+        i += operator[0].length;
+      }
+
+      let value;
+      let quoted = false;
+      if (text[i] === '"') {
+        quoted = true;
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) {
+          errors.push({ message: 'Missing closing quote', position: i });
+          value = text.slice(i + 1);
+          i = text.length;
+        } else {
+          value = text.slice(i + 1, end);
+          i = end + 1;
+        }
+      } else {
+        value = /^\S*/.exec(text.slice(i))[0];
+        i += value.length;
+      }
+      value = value.trim();
+
+      if (field === null) continue; // Unknown filter, already reported
+      if (!value) {
+        if (field !== 'text') {
+          errors.push({ message: `Missing value after "${field}:"`, position: start });
+        } else if (quoted) {
+          errors.push({ message: 'Empty quoted phrase', position: start });
+        } else if (negated) {
+          errors.push({ message: 'Nothing to exclude after "-"', position: start });
+        }
+        continue;
+      }
+
+      const clause = { field, value: value.toLowerCase(), negated };
+      if (field === 'text') clause.phrase = quoted;
+      if (field === 'before' || field === 'after') {
+        clause.date = parseDate(value);
+        if (!clause.date) {
+          errors.push({ message: `Invalid date "${value}" for ${field}: (use YYYY-MM-DD)`, position: start });
+          continue;
+        }
+      } else if (field === 'is') {
+        clause.value = IS_VALUES[clause.value];
+        if (!clause.value) {
+          errors.push({ message: `Unknown value "is:${value}" (use is:favorite, is:untagged, is:broken, is:redirected, is:watched, is:changed, is:pdf, is:image or is:video)`, position: start });
+          continue;
+        }
+      } else if (field === 'site') {
+        clause.value = clause.value.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+      }
+      clauses.push(clause);
+    }
+
+    return { clauses, errors };
+  }
+
+  function matchesClause(bookmark, clause) {
+    const contains = (field) => String(bookmark[field] || '').toLowerCase().includes(clause.value);
+    switch (clause.field) {
+      case 'text':
+        return contains('URL') || contains('Title') || contains('Description') || contains('Tags') || contains('Author');
+      case 'title':
+        return contains('Title');
+      case 'url':
+        return contains('URL');
+      case 'author':
+        return contains('Author');
+      case 'tag':
+        return splitTags(bookmark.Tags).includes(clause.value);
+      case 'site': {
+        const { host, path } = siteKey(bookmark.URL);
+        const [siteHost, ...rest] = clause.value.split('/');
+        const hostMatches = host === siteHost || host.endsWith('.' + siteHost);
+        return hostMatches && (rest.length === 0 || path.toLowerCase().startsWith('/' + rest.join('/')));
+      }
+      case 'is':
+        if (clause.value === 'favorite') return String(bookmark.Favorite).toLowerCase() === 'true';
+        if (clause.value === 'broken' || clause.value === 'redirected') return linkHealth(bookmark) === clause.value;
+        if (clause.value === 'watched') return String(bookmark.Watched).toLowerCase() === 'true';
+        if (clause.value === 'changed') return String(bookmark.NewChanges).toLowerCase() === 'true';
+        if (['pdf', 'image', 'video'].includes(clause.value)) return bookmark.MediaType === clause.value;
+        return splitTags(bookmark.Tags).length === 0;
+      case 'before':
+      case 'after': {
+        const added = new Date(bookmark.Date);
+        if (isNaN(added.getTime())) return false;
+        return clause.field === 'before' ? added < clause.date : added >= clause.date;
+      }
+      default:
+        return false;
+    }
+  }
+
+  // True when the bookmark satisfies every clause (negated clauses must not match)
+  function matchesQuery(bookmark, clauses) {
+    return clauses.every(clause => matchesClause(bookmark, clause) !== clause.negated);
+  }
+
+  // Plain words the ranked search can match loosely (by prefix or with typos). Quoted phrases,
+  // negations and field filters still have to match exactly.
+  function isLooseTerm(clause) {
+    return clause.field === 'text' && !clause.negated && !clause.phrase;
+  }
+
+  // Text to score results by: every word and phrase the user is looking for
+  function rankingText(clauses) {
+    return clauses.filter(clause => clause.field === 'text' && !clause.negated).map(clause => clause.value).join(' ');
+  }
+
+  return { OPERATORS, parseQuery, matchesQuery, isLooseTerm, rankingText, linkHealth };
+});
@@ -0,0 +1,337 @@
+// utils/sqlite_manager.js
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  CSV_HEADERS, normalizeBookmark, readCSVFile, writeCSVFile,
+  generateId, findBookmarkIndex, assignMissingIds, filterByQuery,
+} = require('./csv_manager');
+const { SCHEMA_VERSION, detectSchemaVersion, assertSupportedVersion, migrateRows } = require('./migrations');
+
+// Columns mirror CSV_HEADERS so both backends hold exactly the same fields.
+const quote = (column) => `"${column}"`;
+
+class SQLiteBookmarkManager {
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath || path.join(__dirname, '../data/bookmarks.db'));
+    this.legacyCsvPath = options.legacyCsvPath || null; // Existing CSV to migrate on first open
+    this.open();
+  }
+
+  open() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      this.db = new Database(this.filePath);
+      this.migrate();
+      this.ensureSchema();
+      this.prepareStatements();
+    } catch (error) {
+      console.error('Error opening bookmarks database:', error);
+      throw new Error(`Failed to open bookmarks database: ${error.message}`);
+    }
+  }
+
+  // The schema version is kept in the database header (PRAGMA user_version)
+  getSchemaVersion() {
+    return this.db.pragma('user_version', { simple: true }) || null;
+  }
+
+  // Upgrade an older database to SCHEMA_VERSION before any statement touches it. The old file is
+  // kept as bookmarks.db.v<N>.bak. Throws if the database comes from a newer version of the app.
+  migrate() {
+    const columns = this.db.prepare('PRAGMA table_info(bookmarks)').all().map(col => col.name);
+    if (columns.length === 0) {
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`); // New database, ensureSchema creates the table
+      return SCHEMA_VERSION;
+    }
+    // Databases from before versioning have user_version 0
+    const version = this.getSchemaVersion() ?? detectSchemaVersion(columns);
+    assertSupportedVersion(version, this.filePath);
+    if (version === SCHEMA_VERSION) return version;
+
+    const backupPath = `${this.filePath}.v${version}.bak`;
+    fs.copyFileSync(this.filePath, backupPath);
+    const upgrade = this.db.transaction(() => {
+      const rows = migrateRows(this.db.prepare('SELECT * FROM bookmarks ORDER BY rowid').all(), version).map(normalizeBookmark);
+      this.db.exec('DROP TABLE bookmarks');
+      this.db.exec(`CREATE TABLE bookmarks (${this.columnDefinitions()})`);
+      const insert = this.db.prepare(`INSERT INTO bookmarks (${CSV_HEADERS.map(quote).join(', ')}) VALUES (${CSV_HEADERS.map(h => `@${h}`).join(', ')})`);
+      rows.forEach(row => insert.run(row));
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    });
+    upgrade();
+    console.log(`Upgraded ${this.filePath} from schema v${version} to v${SCHEMA_VERSION} (original kept at ${backupPath}).`);
+    return version;
+  }
+
+  ensureSchema() {
+    this.db.exec(`CREATE TABLE IF NOT EXISTS bookmarks (${this.columnDefinitions()})`);
+    this.db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)');
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_bookmarks_date ON bookmarks(${quote('Date')})`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_bookmarks_url ON bookmarks(${quote('URL')})`);
+  }
+
+  columnDefinitions() {
+    return CSV_HEADERS.map(header =>
+      header === 'ID' ? `${quote(header)} TEXT PRIMARY KEY` : `${quote(header)} TEXT NOT NULL DEFAULT ''`
+    ).join(', ');
+  }
+
+  prepareStatements() {
+    const columns = CSV_HEADERS.map(quote).join(', ');
+    const placeholders = CSV_HEADERS.map(header => `@${header}`).join(', ');
+    const updates = CSV_HEADERS.filter(h => h !== 'ID').map(h => `${quote(h)} = excluded.${quote(h)}`).join(', ');
+
+    this.statements = {
+      selectAll: this.db.prepare(`SELECT ${columns} FROM bookmarks ORDER BY rowid`),
+      selectById: this.db.prepare(`SELECT ${columns} FROM bookmarks WHERE ID = ?`),
+      upsert: this.db.prepare(`INSERT INTO bookmarks (${columns}) VALUES (${placeholders}) ON CONFLICT(ID) DO UPDATE SET ${updates}`),
+      deleteById: this.db.prepare('DELETE FROM bookmarks WHERE ID = ?'),
+      deleteAll: this.db.prepare('DELETE FROM bookmarks'),
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+    };
+
+    this.replaceAll = this.db.transaction((bookmarks) => {
+      this.statements.deleteAll.run();
+      bookmarks.forEach(bookmark => this.statements.upsert.run(bookmark));
+    });
+    // Merge rows in by ID or normalized URL, like BookmarkManager.importBookmarks
+    this.mergeMany = this.db.transaction((bookmarks) => {
+      const current = this.statements.selectAll.all();
+      bookmarks.forEach(bookmark => {
+        const index = findBookmarkIndex(current, bookmark);
+        const record = index >= 0
+          ? normalizeBookmark({ ...current[index], ...bookmark, ID: current[index].ID })
+          : normalizeBookmark({ ...bookmark, ID: bookmark.ID || generateId() });
+        this.statements.upsert.run(record);
+        if (index >= 0) current[index] = record; else current.push(record);
+      });
+    });
+    this.updateMatching = this.db.transaction((predicate, updater) => {
+      const updated = this.statements.selectAll.all().filter(predicate)
+        .map(existing => normalizeBookmark({ ...existing, ...updater({ ...existing }), ID: existing.ID }));
+      updated.forEach(bookmark => this.statements.upsert.run(bookmark));
+      return updated;
+    });
+    this.updateOne = this.db.transaction((id, updater) => {
+      const existing = this.statements.selectById.get(id);
+      if (!existing) return null;
+      const updated = normalizeBookmark({ ...existing, ...updater({ ...existing }), ID: id });
+      this.statements.upsert.run(updated);
+      return updated;
+    });
+  }
+
+  // One-time import of an existing bookmarks.csv the first time the database is used
+  async migrateFromCSV() {
+    if (!this.legacyCsvPath || this.getMeta('csvMigratedFrom')) return 0;
+    if (!fs.existsSync(this.legacyCsvPath)) {
+      this.setMeta('csvMigratedFrom', '');
+      return 0;
+    }
+    const rows = await readCSVFile(this.legacyCsvPath);
+    this.mergeMany(rows);
+    this.setMeta('csvMigratedFrom', this.legacyCsvPath);
+    console.log(`Migrated ${rows.length} bookmarks from ${this.legacyCsvPath} into ${this.filePath}`);
+    return rows.length;
+  }
+
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, String(value));
+  }
+
+  async getBookmarks() {
+    try {
+      return this.statements.selectAll.all();
+    } catch (error) {
+      console.error('Error reading bookmarks from database:', error);
+      throw new Error(`Failed to read bookmarks database: ${error.message}`);
+    }
+  }
+
+  async getBookmark(id) {
+    if (!id) return null;
+    return this.statements.selectById.get(id) || null;
+  }
+
+  async findByURL(url) {
+    if (!url) return null;
+    const bookmarks = this.statements.selectAll.all();
+    const index = findBookmarkIndex(bookmarks, { URL: url });
+    return index >= 0 ? bookmarks[index] : null;
+  }
+
+  async saveBookmark(bookmark) {
+    if (!bookmark || !bookmark.URL) {
+        throw new Error("Cannot save bookmark without a URL.");
+    }
+    try {
+      const bookmarks = this.statements.selectAll.all();
+      const index = findBookmarkIndex(bookmarks, bookmark);
+      const newBookmarkData = normalizeBookmark({
+          ...bookmark,
+          ID: index >= 0 ? bookmarks[index].ID : (bookmark.ID || generateId()),
+          Date: bookmark.Date || new Date().toISOString()
+      });
+      this.statements.upsert.run(newBookmarkData);
+      console.log(`${index >= 0 ? 'Updated' : 'Added new'} bookmark ${newBookmarkData.ID}: ${bookmark.URL}`);
+      return newBookmarkData;
+    } catch (error) {
+      console.error(`Error saving bookmark ${bookmark.URL}:`, error);
+      throw error;
+    }
+  }
+
+  // better-sqlite3 is synchronous, so the transaction can't interleave with other IPC calls
+  async updateBookmark(id, updater) {
+    if (!id || typeof updater !== 'function') {
+        throw new Error("updateBookmark requires an ID and an updater function.");
+    }
+    return this.updateOne(id, updater);
+  }
+
+  async updateBookmarks(predicate, updater) {
+    if (typeof predicate !== 'function' || typeof updater !== 'function') {
+        throw new Error("updateBookmarks requires a predicate and an updater function.");
+    }
+    return this.updateMatching(predicate, updater);
+  }
+
+  // IDs are assigned on insert and by the v2 migration, nothing to backfill here
+  async ensureIds() {
+    return 0;
+  }
+
+  async saveBookmarks(bookmarks) {
+    if (!Array.isArray(bookmarks)) {
+        throw new Error("Invalid data provided to saveBookmarks: Expected an array.");
+    }
+    try {
+      const processedBookmarks = bookmarks.map(normalizeBookmark);
+      assignMissingIds(processedBookmarks);
+      this.replaceAll(processedBookmarks);
+      return processedBookmarks;
+    } catch (error) {
+      console.error('Error saving bookmarks array:', error);
+      throw new Error(`Failed to save bookmarks to database: ${error.message}`);
+    }
+  }
+
+  async deleteBookmark(id) {
+    if (!id) {
+        throw new Error("Cannot delete bookmark without an ID.");
+    }
+    return this.statements.deleteById.run(id).changes > 0;
+  }
+
+  // Filters in JS so both backends understand the same query syntax (utils/search_query.js)
+  async searchBookmarks(query) {
+    try {
+      return filterByQuery(this.statements.selectAll.all(), query);
+    } catch (error) {
+      console.error('Error searching bookmarks:', error);
+      throw error;
+    }
+  }
+
+  async filterByTags(tags) {
+    try {
+      const bookmarks = await this.getBookmarks();
+      if (!tags || tags.length === 0) return bookmarks;
+
+      const filterTags = tags.map(t => String(t).toLowerCase().trim());
+      return bookmarks.filter(bookmark => {
+        if (!bookmark.Tags) return false;
+        const bookmarkTags = String(bookmark.Tags).split(',')
+                                      .map(t => t.trim().toLowerCase())
+                                      .filter(t => t);
+        return filterTags.some(filterTag => bookmarkTags.includes(filterTag));
+      });
+    } catch (error) {
+      console.error('Error filtering bookmarks by tags:', error);
+      throw error;
+    }
+  }
+
+  async exportToCSV(targetPath) {
+    if (!targetPath) {
+        throw new Error("Export path must be provided.");
+    }
+    try {
+      const bookmarks = await this.getBookmarks();
+      await writeCSVFile(targetPath, bookmarks);
+      console.log(`Exported ${bookmarks.length} bookmarks to ${targetPath}`);
+      return bookmarks.length;
+    } catch (error) {
+      console.error('Error exporting to CSV:', error);
+      throw new Error(`Failed to export CSV: ${error.message}`);
+    }
+  }
+
+  async importFromCSV(sourcePath) {
+    try {
+      const importedBookmarks = await readCSVFile(sourcePath);
+      if (importedBookmarks.length === 0) {
+          console.log("Import file contained no valid bookmarks.");
+          return 0;
+      }
+      await this.importBookmarks(importedBookmarks);
+      console.log(`Import complete. Processed ${importedBookmarks.length} bookmarks from ${sourcePath}`);
+      return importedBookmarks.length;
+    } catch (error) {
+      console.error('Error importing bookmarks:', error);
+      throw error;
+    }
+  }
+
+  // Merges imported data over existing rows with the same ID or page
+  async importBookmarks(importedBookmarks) {
+    if (!Array.isArray(importedBookmarks)) {
+        throw new Error("Invalid data provided to importBookmarks: Expected an array.");
+    }
+    this.mergeMany(importedBookmarks);
+    return importedBookmarks.length;
+  }
+
+  // Online backup API gives a consistent copy even while the app keeps writing
+  async snapshotTo(targetPath) {
+    await this.db.backup(targetPath);
+  }
+
+  // Swap in a snapshotted database. Done synchronously so no IPC call sees a closed handle.
+  // Older snapshots are upgraded when the database is reopened.
+  async restoreFrom(sourcePath) {
+    const candidate = new Database(sourcePath, { readonly: true, fileMustExist: true });
+    try {
+      candidate.prepare('SELECT COUNT(*) AS count FROM bookmarks').get(); // Refuse files without our table
+      const version = candidate.pragma('user_version', { simple: true });
+      if (version) assertSupportedVersion(version, sourcePath);
+    } finally {
+      candidate.close();
+    }
+    this.close();
+    try {
+      fs.copyFileSync(sourcePath, this.filePath);
+    } finally {
+      this.open();
+    }
+    return 0;
+  }
+
+  close() {
+    if (this.db && this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = SQLiteBookmarkManager;
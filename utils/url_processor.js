@@ -1,7 +1,20 @@
 // utils/url_processor.js
-const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
+const BrowserPool = require('./browser_pool');
+const { ARCHIVE_FORMATS, capturePage } = require('./page_archive');
+const { MIN_ARTICLE_WORDS, extractArticle, countWords, normalizePublished } = require('./article_extractor');
+const { extractMetadata, downloadFavicon } = require('./page_metadata');
+const { KnownDevices } = require('puppeteer');
+const {
+  SCREENSHOT_FORMATS, DEFAULT_SCREENSHOT_OPTIONS, THUMBNAIL_WIDTH, THUMBNAIL_QUALITY, normalizeScreenshotOptions,
+} = require('./screenshot_options');
+const { NO_RULE, rulesFor } = require('./scraping_rules');
+const {
+  IMAGE_TYPES, MAX_PDF_BYTES, MAX_IMAGE_BYTES, detectMediaType, downloadFile, fileTitle, imageThumbnail, findOEmbedLink,
+  fetchOEmbed, saveRemoteImage,
+} = require('./media_types');
+const { readPdf, renderPdfPreview } = require('./pdf_document');
 
 // Common cookie/consent selectors to hide (add more as needed)
 const HIDE_SELECTORS = [
@@ -18,10 +31,21 @@ const HIDE_SELECTORS = [
     '.fc-consent-root' // Google Funding Choices
 ];
 
+// Common user agent to avoid some basic bot detection; scraping rules can set another per site
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36';
+const RULE_WAIT_TIMEOUT = 15000; // How long a rule's waitForSelector may hold up a page
+
 class URLProcessor {
-  constructor(screenshotDir, llmClient = null) {
+  // dirs: { archiveDir, articleDir, faviconDir, thumbnailDir } for offline copies, article text, favicons
+  // and grid thumbnails; each defaults to a folder next to the screenshots
+  constructor(screenshotDir, llmClient = null, browserPool = null, dirs = {}) {
     this.screenshotDir = path.resolve(screenshotDir || path.join(__dirname, '../data/screenshots'));
+    this.archiveDir = path.resolve(dirs.archiveDir || path.join(path.dirname(this.screenshotDir), 'pages'));
+    this.articleDir = path.resolve(dirs.articleDir || path.join(path.dirname(this.screenshotDir), 'articles'));
+    this.faviconDir = path.resolve(dirs.faviconDir || path.join(path.dirname(this.screenshotDir), 'favicons'));
+    this.thumbnailDir = path.resolve(dirs.thumbnailDir || path.join(path.dirname(this.screenshotDir), 'thumbnails'));
     this.llmClient = llmClient;
+    this.browserPool = browserPool || new BrowserPool(); // Shared with main.js so the browser outlives re-initialization
     this.ensureDirectoryExists(this.screenshotDir);
   }
 
@@ -36,8 +60,8 @@ class URLProcessor {
     }
   }
 
-  // Helper to attempt hiding cookie banners
-  async hideCookieBanners(page) {
+  // Helper to attempt hiding cookie banners (plus any elements a scraping rule hides)
+  async hideCookieBanners(page, extraSelectors = []) {
       try {
           await page.evaluate((selectors) => {
               selectors.forEach(selector => {
@@ -49,7 +73,7 @@ class URLProcessor {
                       }
                   });
               });
-          }, HIDE_SELECTORS);
+          }, [...HIDE_SELECTORS, ...extraSelectors]);
            console.log("Attempted to hide potential cookie banners.");
            // Add a small delay to allow JS hiding to take effect
            await new Promise(resolve => setTimeout(resolve, 250));
@@ -59,188 +83,618 @@ class URLProcessor {
   }
 
 
-  // Main processing function
-  async processURL(url, options = {}) {
-    let browser = null;
-    const { headless = 'new' } = options; // Default to 'new' (recommended headless)
-    console.log(`Launching Puppeteer with headless: ${headless} for processing ${url}`);
-
-    try {
-      if (!url.startsWith('http://') && !url.startsWith('https://')) {
-        url = 'https://' + url;
-      }
+  // Open `url` in a page from the shared browser: common user agent and the configured viewport
+  // (or an emulated device), then wait for the network. `screenshot` comes from normalizeScreenshotOptions,
+  // `rule` from rulesFor (a selector to wait for, elements to click, another user agent).
+  async openPage(page, url, screenshot = DEFAULT_SCREENSHOT_OPTIONS, rule = NO_RULE) {
+    const device = screenshot.device ? KnownDevices[screenshot.device] : null;
+    if (device) {
+      // The device brings its own user agent, viewport and pixel ratio
+      await page.emulate(device);
+      if (rule.userAgent) await page.setUserAgent(rule.userAgent);
+    } else {
+      await page.setUserAgent(rule.userAgent || DEFAULT_USER_AGENT);
+      // The viewport is the screenshot area (its width, for full-page captures)
+      await page.setViewport({ width: screenshot.width, height: screenshot.height });
+    }
 
-      browser = await puppeteer.launch({
-        headless: headless, // Use the setting
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-features=site-per-process'] // Added disable-features flag for stability
+    await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: 35000 // Slightly increased timeout
+    }).catch(error => {
+      console.warn(`Navigation warning for ${url}: ${error.message}. Proceeding...`);
+      // Continue processing even if navigation times out or has minor errors
+    });
+
+    for (const selector of rule.waitForSelectors) {
+      await page.waitForSelector(selector, { timeout: RULE_WAIT_TIMEOUT }).catch(error => {
+        console.warn(`Scraping rule: "${selector}" did not appear on ${url}: ${error.message}. Proceeding...`);
       });
+    }
+    for (const selector of rule.clickSelectors) {
+      try {
+        await page.click(selector);
+        // Give a dismissed dialog a moment to go away
+        await new Promise(resolve => setTimeout(resolve, 500));
+      } catch (error) {
+        console.warn(`Scraping rule: could not click "${selector}" on ${url}: ${error.message}`);
+      }
+    }
+  }
 
-      const page = await browser.newPage();
-       // Set a common user agent to avoid some basic bot detection
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36');
-       // Set viewport to control screenshot area base size
-      await page.setViewport({ width: 1280, height: 800 }); // Base viewport
+  // Short, file-name-safe tag for `url`, used in every file saved for it (after a timestamp)
+  urlHash(url) {
+    return Buffer.from(url).toString('base64').replace(/[/+=]/g, '_').substring(0, 10);
+  }
 
+  screenshotPathFor(url, extension = 'png') {
+    return path.join(this.screenshotDir, `${Date.now()}_${this.urlHash(url)}.${extension}`);
+  }
 
-      await page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: 35000 // Slightly increased timeout
-      }).catch(error => {
-        console.warn(`Navigation warning for ${url}: ${error.message}. Proceeding...`);
-        // Continue processing even if navigation times out or has minor errors
+  // Screenshot the open page as configured, plus a thumbnail of its top for the grid.
+  // Resolves with { screenshotPath, thumbnailPath }, '' for whichever couldn't be saved.
+  async captureScreenshot(page, url, screenshot = DEFAULT_SCREENSHOT_OPTIONS) {
+    const format = SCREENSHOT_FORMATS[screenshot.format];
+    const screenshotPath = this.screenshotPathFor(url, format.extension);
+    if (screenshot.delayMs > 0) {
+      // Let animations, lazy images and late banners settle
+      await new Promise(resolve => setTimeout(resolve, screenshot.delayMs));
+    }
+    try {
+      await page.screenshot({
+        path: screenshotPath,
+        type: screenshot.format,
+        fullPage: screenshot.fullPage,
+        ...(format.lossy ? { quality: screenshot.quality } : {}),
       });
+      console.log(`Screenshot saved to: ${screenshotPath}`);
+    } catch (screenshotError) {
+      console.error(`Screenshot error for ${url}: ${screenshotError.message}`);
+      // Clean up potentially incomplete file
+      if (fs.existsSync(screenshotPath)) {
+        try { await fs.promises.unlink(screenshotPath); } catch (_) {}
+      }
+      return { screenshotPath: '', thumbnailPath: '' };
+    }
 
-      // --- Extract Data ---
-      const title = await page.title().catch(e => {
-          console.warn(`Could not get title for ${url}: ${e.message}`);
-          return 'Untitled';
+    const thumbnailPath = this.thumbnailPathFor(screenshotPath);
+    try {
+      this.ensureDirectoryExists(this.thumbnailDir);
+      const viewport = page.viewport() || screenshot;
+      const pixelWidth = viewport.width * (viewport.deviceScaleFactor || 1);
+      await page.screenshot({
+        path: thumbnailPath,
+        type: 'jpeg',
+        quality: THUMBNAIL_QUALITY,
+        clip: { x: 0, y: 0, width: viewport.width, height: viewport.height, scale: Math.min(1, THUMBNAIL_WIDTH / pixelWidth) },
       });
+      return { screenshotPath, thumbnailPath };
+    } catch (thumbnailError) {
+      console.warn(`Thumbnail error for ${url}: ${thumbnailError.message}`);
+      if (fs.existsSync(thumbnailPath)) {
+        try { await fs.promises.unlink(thumbnailPath); } catch (_) {}
+      }
+      return { screenshotPath, thumbnailPath: '' };
+    }
+  }
 
-      // Attempt to hide cookie banners *before* getting text and screenshot
-      await this.hideCookieBanners(page);
-
-      const bodyText = await page.evaluate(() => {
-          // Try to remove common noise like nav, footer before getting text
-          document.querySelectorAll('nav, footer, script, style, noscript, svg, aside').forEach(el => el.remove());
-          // Return first 3000 chars of visible text content
-          return document.body.innerText?.substring(0, 3000) || "";
-      }).catch(error => {
-        console.error(`Error extracting text from ${url}: ${error.message}`);
-        return "Failed to extract page content";
-      });
+  thumbnailPathFor(screenshotPath) {
+    return path.join(this.thumbnailDir, `${path.basename(screenshotPath, path.extname(screenshotPath))}.jpg`);
+  }
 
+  // Save a picture that didn't come from page.screenshot (a PDF's first page, a downloaded image) and its
+  // thumbnail. Resolves with { screenshotPath, thumbnailPath }, '' for whichever couldn't be saved.
+  async saveImageFiles(url, { image, extension, thumbnail }) {
+    const screenshotPath = this.screenshotPathFor(url, extension);
+    try {
+      await fs.promises.writeFile(screenshotPath, image);
+    } catch (error) {
+      console.error(`Could not save image for ${url}: ${error.message}`);
+      return { screenshotPath: '', thumbnailPath: '' };
+    }
+    if (!thumbnail || thumbnail.length === 0) return { screenshotPath, thumbnailPath: '' };
+    const thumbnailPath = this.thumbnailPathFor(screenshotPath);
+    try {
+      this.ensureDirectoryExists(this.thumbnailDir);
+      await fs.promises.writeFile(thumbnailPath, thumbnail);
+      return { screenshotPath, thumbnailPath };
+    } catch (error) {
+      console.warn(`Could not save thumbnail for ${url}: ${error.message}`);
+      return { screenshotPath, thumbnailPath: '' };
+    }
+  }
 
-      // --- Screenshot ---
-      const urlHash = Buffer.from(url).toString('base64').replace(/[/+=]/g, '_').substring(0, 10);
-      const filename = `${Date.now()}_${urlHash}.png`;
-      const screenshotPath = path.join(this.screenshotDir, filename);
+  // The first page of a PDF as its screenshot (at the configured width) and thumbnail
+  async capturePdf(url, data, { headless, screenshot }) {
+    try {
+      const preview = await this.browserPool.withPage(page => renderPdfPreview(page, data, {
+        width: screenshot.width,
+        thumbnailWidth: THUMBNAIL_WIDTH,
+        thumbnailQuality: THUMBNAIL_QUALITY,
+      }), { headless });
+      return await this.saveImageFiles(url, { image: preview.image, extension: 'png', thumbnail: preview.thumbnail });
+    } catch (error) {
+      console.error(`Could not render the first page of ${url}: ${error.message}`);
+      return { screenshotPath: '', thumbnailPath: '' };
+    }
+  }
 
-      try {
-          await page.screenshot({
-              path: screenshotPath,
-              fullPage: false,
-              // ** UPDATED: Clip for 16:9 ratio based on 1280 width **
-              clip: { x: 0, y: 0, width: 1280, height: 720 }
-          });
-          console.log(`Screenshot saved to: ${screenshotPath}`);
-      } catch (screenshotError) {
-          console.error(`Screenshot error for ${url}: ${screenshotError.message}`);
-          // Invalidate path if screenshot failed
-          if (fs.existsSync(screenshotPath)) { // Clean up potentially incomplete file
-              try { await fsp.unlink(screenshotPath); } catch (_) {}
-          }
-          // screenshotPath = ""; // Mark as no screenshot taken (handled later)
+  // A downloaded image is its own screenshot; the browser measures it and scales down the thumbnail.
+  // Resolves with { screenshotPath, thumbnailPath, width, height }.
+  async captureImage(url, { data, contentType }, { headless }) {
+    let measured = { width: 0, height: 0, thumbnail: null };
+    try {
+      measured = await this.browserPool.withPage(page => imageThumbnail(page, data, contentType, {
+        width: THUMBNAIL_WIDTH,
+        quality: THUMBNAIL_QUALITY,
+      }), { headless });
+    } catch (error) {
+      console.warn(`Could not make a thumbnail of ${url}: ${error.message}`);
+    }
+    const files = await this.saveImageFiles(url, { image: data, extension: IMAGE_TYPES[contentType], thumbnail: measured.thumbnail });
+    return { ...files, width: measured.width, height: measured.height };
+  }
+
+  // Download a linked image; rejects when the server sends something else
+  async downloadImage(url, rule) {
+    const file = await downloadFile(url, { maxBytes: MAX_IMAGE_BYTES, userAgent: rule.userAgent });
+    if (!IMAGE_TYPES[file.contentType]) throw new Error(`Expected an image but got ${file.contentType || 'an unknown file type'}`);
+    return file;
+  }
+
+  archivePathFor(url, format) {
+    return path.join(this.archiveDir, `${Date.now()}_${this.urlHash(url)}.${ARCHIVE_FORMATS[format].extension}`);
+  }
+
+  // Save an offline copy of the open page; returns its path, or '' if it couldn't be saved
+  async saveArchive(page, url, format) {
+    const archivePath = this.archivePathFor(url, format);
+    try {
+      this.ensureDirectoryExists(this.archiveDir);
+      await capturePage(page, archivePath, format);
+      console.log(`Offline copy saved to: ${archivePath}`);
+      return archivePath;
+    } catch (error) {
+      console.error(`Archive error for ${url}: ${error.message}`);
+      if (fs.existsSync(archivePath)) {
+        try { await fs.promises.unlink(archivePath); } catch (_) {}
       }
+      return '';
+    }
+  }
+
+  // Store extracted article text as a .txt file; returns its path, or '' if there was too little text
+  async saveArticle(url, text) {
+    if (countWords(text) < MIN_ARTICLE_WORDS) return '';
+    const articlePath = path.join(this.articleDir, `${Date.now()}_${this.urlHash(url)}.txt`);
+    try {
+      this.ensureDirectoryExists(this.articleDir);
+      await fs.promises.writeFile(articlePath, text, 'utf8');
+      return articlePath;
+    } catch (error) {
+      console.error(`Could not save article text for ${url}: ${error.message}`);
+      return '';
+    }
+  }
+
+  // A linked PDF kept as it is, as the bookmark's offline copy; returns its path or ''
+  async savePdfCopy(url, data) {
+    const archivePath = path.join(this.archiveDir, `${Date.now()}_${this.urlHash(url)}.pdf`);
+    try {
+      this.ensureDirectoryExists(this.archiveDir);
+      await fs.promises.writeFile(archivePath, data);
+      return archivePath;
+    } catch (error) {
+      console.error(`Could not save a copy of the PDF at ${url}: ${error.message}`);
+      return '';
+    }
+  }
+
+  // Download a video's own thumbnail for the grid; returns its path or ''
+  async saveVideoThumbnail(url, imageURL) {
+    if (!imageURL) return '';
+    this.ensureDirectoryExists(this.thumbnailDir);
+    return saveRemoteImage(imageURL, path.join(this.thumbnailDir, `${Date.now()}_${this.urlHash(url)}_video`));
+  }
+
+  // Tags and a description from the LLM for `content`; empty strings when it has none
+  async describeContent(url, content) {
+    let tags = "";
+    let description = "";
+    if (this.llmClient) {
+        try {
+            tags = await this.llmClient.generateTags(url, content);
+        } catch (llmError) {
+            console.error(`LLM Error (Tags) for ${url}: ${llmError.message}`);
+        }
+        try {
+            description = await this.llmClient.generateDescription(url, content);
+        } catch (llmError) {
+            console.error(`LLM Error (Description) for ${url}: ${llmError.message}`);
+        }
+    } else {
+        console.warn("LLM client not available during processing.");
+    }
+    return { tags, description };
+  }
+
+  // Download the page's favicon next to the screenshots; returns its path or ''
+  async saveFavicon(url, iconURL) {
+    try {
+      this.ensureDirectoryExists(this.faviconDir);
+      return await downloadFavicon(iconURL, url, path.join(this.faviconDir, `${Date.now()}_${this.urlHash(url)}`));
+    } catch (error) {
+      console.error(`Could not save favicon for ${url}: ${error.message}`);
+      return '';
+    }
+  }
 
+  // Main processing function. Links to PDFs and images are handled by processPDF and processImage.
+  // options: { headless, archive, screenshot, rules, onStage(stage) } where archive is a key of ARCHIVE_FORMATS
+  // (or 'none'), screenshot holds screenshot options (utils/screenshot_options.js), rules is the list of
+  // scraping rules (utils/scraping_rules.js) and onStage hears 'scraping' and then 'tagging'
+  async processURL(url, options = {}) {
+    const { headless = true, archive = 'none', onStage = () => {} } = options;
+    const screenshot = normalizeScreenshotOptions(options.screenshot);
+    console.log(`Processing ${url} (headless: ${headless})`);
 
-      await browser.close();
-      browser = null; // Mark as closed
-
-      // --- LLM Processing ---
-      const content = `Title: ${title}\n\nContent Snippet:\n${bodyText}`;
-      let tags = "";
-      let description = "";
-
-      if (this.llmClient) {
-          try {
-              tags = await this.llmClient.generateTags(url, content);
-          } catch (llmError) {
-              console.error(`LLM Error (Tags) for ${url}: ${llmError.message}`);
-          }
-          try {
-              description = await this.llmClient.generateDescription(url, content);
-          } catch (llmError) {
-              console.error(`LLM Error (Description) for ${url}: ${llmError.message}`);
-          }
-      } else {
-          console.warn("LLM client not available during processing.");
+    try {
+      if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        url = 'https://' + url;
       }
+      const rule = rulesFor(url, options.rules);
+
+      // --- What the link points at, before opening it in the browser ---
+      const media = await detectMediaType(url, { userAgent: rule.userAgent });
+      const fileOptions = { headless, archive, screenshot, rule, onStage };
+      if (media.mediaType === 'pdf') return await this.processPDF(url, media, fileOptions);
+      if (media.mediaType === 'image') return await this.processImage(url, media, fileOptions);
+
+      onStage('scraping');
+      const { title, bodyText, article, metadata, archivePath, images, oEmbedLink } = await this.browserPool.withPage(async (page) => {
+        await this.openPage(page, url, screenshot, rule);
+
+        // --- Extract Data ---
+        const pageTitle = await page.title().catch(e => {
+            console.warn(`Could not get title for ${url}: ${e.message}`);
+            return ''; // Falls back to og:title, then "Untitled"
+        });
+
+        // Attempt to hide cookie banners *before* getting text and screenshot
+        await this.hideCookieBanners(page, rule.hideSelectors);
+
+        // --- Article text, author and date (reads the page without changing it) ---
+        const extracted = await page.evaluate(extractArticle).catch(error => {
+          console.warn(`Article extraction failed for ${url}: ${error.message}`);
+          return { text: '', author: '', published: '' };
+        });
+
+        // --- OpenGraph, meta description, canonical link, JSON-LD, favicon link ---
+        const pageMetadata = await page.evaluate(extractMetadata).catch(error => {
+          console.warn(`Metadata extraction failed for ${url}: ${error.message}`);
+          return {};
+        });
+        // --- Video hosts describe the video itself through oEmbed ---
+        const videoLink = media.mediaType === 'video' ? await page.evaluate(findOEmbedLink).catch(() => '') : '';
+
+        // --- Offline copy, after everything above has read the page and before the text extraction
+        // below strips nav, footer, etc. ---
+        const savedArchive = ARCHIVE_FORMATS[archive] ? await this.saveArchive(page, url, archive) : '';
+
+        const text = await page.evaluate(() => {
+            // Try to remove common noise like nav, footer before getting text
+            document.querySelectorAll('nav, footer, script, style, noscript, svg, aside').forEach(el => el.remove());
+            // Return first 3000 chars of visible text content
+            return document.body.innerText?.substring(0, 3000) || "";
+        }).catch(error => {
+          console.error(`Error extracting text from ${url}: ${error.message}`);
+          return "Failed to extract page content";
+        });
+
+        // --- Screenshot and thumbnail (unless a scraping rule turns them off for this site) ---
+        const captured = rule.skipScreenshot
+          ? { screenshotPath: '', thumbnailPath: '' }
+          : await this.captureScreenshot(page, url, screenshot);
+        return {
+          title: pageTitle, bodyText: text, article: extracted, metadata: pageMetadata, archivePath: savedArchive,
+          images: captured, oEmbedLink: videoLink,
+        };
+      }, { headless });
+
+      // --- LLM Processing (the page is already back in the pool) ---
+      onStage('tagging');
+      const video = oEmbedLink ? await fetchOEmbed(oEmbedLink, { userAgent: rule.userAgent }) : null;
+      if (video) {
+        // The video's own thumbnail beats a screenshot of its player (or of a consent wall)
+        const videoThumbnail = await this.saveVideoThumbnail(url, video.thumbnailURL || metadata.image);
+        if (videoThumbnail) {
+          if (images.thumbnailPath) await fs.promises.unlink(images.thumbnailPath).catch(() => {});
+          images.thumbnailPath = videoThumbnail;
+        }
+      }
+      const wordCount = countWords(article.text);
+      const articlePath = await this.saveArticle(url, article.text);
+      const faviconPath = await this.saveFavicon(url, metadata.favicon);
+      const pageTitle = (video && video.title) || title || metadata.title || '';
+      const author = (video && video.authorName) || article.author || metadata.author || '';
+      const siteName = (video && video.providerName) || metadata.siteName || '';
+      // The article text is a cleaner sample of the page than the raw body text, when there is one
+      const snippet = articlePath ? article.text.substring(0, 3000) : bodyText;
+      const context = [
+        ['Title', pageTitle],
+        ['Site', siteName],
+        ['Type', video ? 'Video' : metadata.type],
+        [video ? 'Channel' : 'Author', author],
+        ['Page description', metadata.description],
+        ['Keywords', metadata.keywords],
+      ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`).join('\n');
+      const content = `${context}\n\nContent Snippet:\n${snippet}`;
+      const { tags, description } = await this.describeContent(url, content);
 
       // Check if screenshot file actually exists before returning path
-      const finalScreenshotPath = fs.existsSync(screenshotPath) ? screenshotPath : "";
+      const finalScreenshotPath = images.screenshotPath && fs.existsSync(images.screenshotPath) ? images.screenshotPath : "";
+      // A video's thumbnail stands on its own
+      const thumbnailPath = (finalScreenshotPath || video) ? images.thumbnailPath : '';
 
       return {
         URL: url,
-        Title: title || "Untitled",
-        Description: description || "",
+        Title: pageTitle || "Untitled",
+        Description: description || metadata.description || "", // The page's own description when the LLM has none
         Tags: tags || "",
         Date: new Date().toISOString(),
         Favorite: 'false',
-        Screenshot: finalScreenshotPath // Use verified path
+        Screenshot: finalScreenshotPath, // Use verified path
+        Thumbnail: thumbnailPath,
+        Archive: archivePath,
+        Article: articlePath,
+        Author: author,
+        Published: normalizePublished(article.published || metadata.published),
+        WordCount: articlePath ? String(wordCount) : '',
+        SiteName: siteName,
+        Canonical: metadata.canonical || '',
+        Image: (video && video.thumbnailURL) || metadata.image || '',
+        PageDescription: metadata.description || '',
+        Favicon: faviconPath,
+        MediaType: media.mediaType === 'video' ? 'video' : '',
       };
 
     } catch (error) {
       console.error(`Critical Error processing URL ${url}:`, error);
-      // Ensure browser is closed if an error occurred mid-process
-      if (browser) {
-          try { await browser.close(); }
-          catch (closeError) { console.error('Error closing browser during error handling:', closeError); }
-      }
       // Re-throw the error to be handled by the caller (e.g., IPC handler)
       throw new Error(`Failed to process URL ${url}. Cause: ${error.message}`);
-
     }
   }
 
-  // Standalone screenshot function (also needs options)
+  // A link to a PDF: its text becomes the article, its first page the screenshot, and with offline copies
+  // turned on the file itself is kept as the copy. `media` comes from detectMediaType; options as for processURL
+  // but with the matching scraping rule in `rule`.
+  async processPDF(url, media, { headless, archive, screenshot, rule, onStage }) {
+    console.log(`${url} is a PDF (${media.contentType}), reading it instead of opening it`);
+    onStage('scraping');
+    const { data } = await downloadFile(media.finalURL, { maxBytes: MAX_PDF_BYTES, userAgent: rule.userAgent });
+    const pdf = await readPdf(data).catch(error => {
+      console.warn(`Could not read the PDF at ${url}: ${error.message}`);
+      return { text: '', title: '', author: '', published: '', pageCount: 0 };
+    });
+    const images = rule.skipScreenshot
+      ? { screenshotPath: '', thumbnailPath: '' }
+      : await this.capturePdf(url, data, { headless, screenshot });
+    const archivePath = ARCHIVE_FORMATS[archive] ? await this.savePdfCopy(url, data) : '';
+
+    onStage('tagging');
+    const articlePath = await this.saveArticle(url, pdf.text);
+    const faviconPath = await this.saveFavicon(url, '');
+    const title = pdf.title || fileTitle(media.finalURL) || fileTitle(url);
+    const context = [
+      ['Title', title],
+      ['Type', pdf.pageCount ? `PDF document, ${pdf.pageCount} page(s)` : 'PDF document'],
+      ['Author', pdf.author],
+    ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`).join('\n');
+    const { tags, description } = await this.describeContent(url, `${context}\n\nContent Snippet:\n${pdf.text.substring(0, 3000)}`);
+
+    return {
+      URL: url,
+      Title: title || "Untitled",
+      Description: description,
+      Tags: tags || "",
+      Date: new Date().toISOString(),
+      Favorite: 'false',
+      Screenshot: images.screenshotPath,
+      Thumbnail: images.thumbnailPath,
+      Archive: archivePath,
+      Article: articlePath,
+      Author: pdf.author,
+      Published: pdf.published,
+      WordCount: articlePath ? String(countWords(pdf.text)) : '',
+      SiteName: '',
+      Canonical: '',
+      Image: '',
+      PageDescription: '',
+      Favicon: faviconPath,
+      MediaType: 'pdf',
+    };
+  }
+
+  // A link straight to an image: the image is kept as the screenshot and tagged from its name and size
+  async processImage(url, media, { headless, rule, onStage }) {
+    console.log(`${url} is an image (${media.contentType}), downloading it instead of opening it`);
+    onStage('scraping');
+    const file = await this.downloadImage(media.finalURL, rule);
+    const images = rule.skipScreenshot
+      ? { screenshotPath: '', thumbnailPath: '', width: 0, height: 0 }
+      : await this.captureImage(url, file, { headless });
+
+    onStage('tagging');
+    const faviconPath = await this.saveFavicon(url, '');
+    const title = fileTitle(media.finalURL) || fileTitle(url);
+    const format = IMAGE_TYPES[file.contentType].toUpperCase();
+    const size = images.width && images.height ? `${images.width}×${images.height} ` : '';
+    const summary = `${size}${format} image`;
+    const context = [
+      ['Title', title],
+      ['Type', summary],
+      ['Site', new URL(url).hostname],
+      ['File name', decodeURIComponent(new URL(media.finalURL).pathname.split('/').pop() || '')],
+    ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`).join('\n');
+    const { tags, description } = await this.describeContent(url, context);
+
+    return {
+      URL: url,
+      Title: title || "Untitled",
+      Description: description || `${summary} from ${new URL(url).hostname}`,
+      Tags: tags || "",
+      Date: new Date().toISOString(),
+      Favorite: 'false',
+      Screenshot: images.screenshotPath,
+      Thumbnail: images.thumbnailPath,
+      Archive: '',
+      Article: '',
+      Author: '',
+      Published: '',
+      WordCount: '',
+      SiteName: '',
+      Canonical: '',
+      Image: '',
+      PageDescription: '',
+      Favicon: faviconPath,
+      MediaType: 'image',
+    };
+  }
+
+  // Standalone screenshot function; options: { headless, screenshot, rules } as for processURL.
+  // Resolves with { screenshotPath, thumbnailPath }.
   async takeScreenshot(url, options = {}) {
-    let browser = null;
-    const { headless = 'new' } = options; // Default to 'new'
-     console.log(`Launching Puppeteer with headless: ${headless} for taking screenshot of ${url}`);
+    const { headless = true } = options;
+    const screenshot = normalizeScreenshotOptions(options.screenshot);
+    console.log(`Taking screenshot of ${url} (headless: ${headless})`);
 
     try {
       if (!url.startsWith('http://') && !url.startsWith('https://')) {
         url = 'https://' + url;
       }
+      const rule = rulesFor(url, options.rules);
+      if (rule.skipScreenshot) {
+        throw new Error(`Screenshots are turned off for ${new URL(url).hostname} by a scraping rule.`);
+      }
 
-      browser = await puppeteer.launch({
-        headless: headless,
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-features=site-per-process']
-      });
-
-      const page = await browser.newPage();
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36');
-      await page.setViewport({ width: 1280, height: 800 }); // Base viewport
-
-      await page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: 35000
-      }).catch(error => {
-        console.warn(`Navigation warning for ${url}: ${error.message}. Proceeding with screenshot attempt...`);
-      });
+      // PDFs and images are pictured from the file rather than from the browser's view of it
+      const media = await detectMediaType(url, { userAgent: rule.userAgent });
+      if (media.mediaType === 'pdf') {
+        const { data } = await downloadFile(media.finalURL, { maxBytes: MAX_PDF_BYTES, userAgent: rule.userAgent });
+        return await this.capturePdf(url, data, { headless, screenshot });
+      }
+      if (media.mediaType === 'image') {
+        const { screenshotPath, thumbnailPath } = await this.captureImage(url, await this.downloadImage(media.finalURL, rule), { headless });
+        return { screenshotPath, thumbnailPath };
+      }
 
-       // Attempt to hide cookie banners *before* screenshot
-      await this.hideCookieBanners(page);
+      const images = await this.browserPool.withPage(async (page) => {
+        await this.openPage(page, url, screenshot, rule);
+        // Attempt to hide cookie banners *before* screenshot
+        await this.hideCookieBanners(page, rule.hideSelectors);
+        return this.captureScreenshot(page, url, screenshot);
+      }, { headless });
 
-      // --- Screenshot ---
-      const urlHash = Buffer.from(url).toString('base64').replace(/[/+=]/g, '_').substring(0, 10);
-      const filename = `${Date.now()}_${urlHash}.png`;
-      const screenshotPath = path.join(this.screenshotDir, filename);
+      // Verify existence before returning paths
+      if (!images.screenshotPath || !fs.existsSync(images.screenshotPath)) {
+        return { screenshotPath: '', thumbnailPath: '' };
+      }
+      return images;
 
-      await page.screenshot({
-        path: screenshotPath,
-        fullPage: false,
-         // ** UPDATED: Clip for 16:9 ratio based on 1280 width **
-        clip: { x: 0, y: 0, width: 1280, height: 720 }
-      });
-      console.log(`Screenshot saved to: ${screenshotPath}`);
+    } catch (error) {
+      console.error(`Error taking screenshot for ${url}:`, error);
+      throw new Error(`Failed to take screenshot for ${url}. Cause: ${error.message}`);
+    }
+  }
 
+  // Save only an offline copy of `url` (for bookmarks added before archiving was turned on).
+  // options: { headless, format, rules }
+  async archivePage(url, options = {}) {
+    const { headless = true, format = 'mhtml' } = options;
+    if (!ARCHIVE_FORMATS[format]) {
+      throw new Error(`Unknown archive format "${format}".`);
+    }
+    console.log(`Saving offline copy of ${url} as ${format} (headless: ${headless})`);
+    const rule = rulesFor(url, options.rules);
+    const media = await detectMediaType(url, { userAgent: rule.userAgent });
+    if (media.mediaType === 'pdf') {
+      // The PDF itself is the offline copy, whatever the format setting
+      const { data } = await downloadFile(media.finalURL, { maxBytes: MAX_PDF_BYTES, userAgent: rule.userAgent });
+      const pdfPath = await this.savePdfCopy(url, data);
+      if (!pdfPath) throw new Error(`Failed to save a copy of the PDF at ${url}.`);
+      return pdfPath;
+    }
+    const archivePath = await this.browserPool.withPage(async (page) => {
+      await this.openPage(page, url, DEFAULT_SCREENSHOT_OPTIONS, rule);
+      await this.hideCookieBanners(page, rule.hideSelectors);
+      return this.saveArchive(page, url, format);
+    }, { headless });
+    if (!archivePath) {
+      throw new Error(`Failed to save an offline copy of ${url}.`);
+    }
+    return archivePath;
+  }
 
-      await browser.close();
-      browser = null;
+  // Re-fetch a watched page without tagging it: its visible text and a screenshot saved to `screenshotPath`.
+  // options: { headless, screenshotPath, rules }. Resolves with { text, screenshotPath } (screenshotPath is ''
+  // when the screenshot failed or a scraping rule turns screenshots off).
+  async snapshotPage(url, options = {}) {
+    const { headless = true, screenshotPath } = options;
+    const rule = rulesFor(url, options.rules);
+    console.log(`Snapshotting ${url} for change monitoring (headless: ${headless})`);
+    return this.browserPool.withPage(async (page) => {
+      // Always the default viewport and a PNG, so changing the screenshot settings doesn't look like a page change
+      await this.openPage(page, url, DEFAULT_SCREENSHOT_OPTIONS, rule);
+      await this.hideCookieBanners(page, rule.hideSelectors);
+
+      let savedScreenshot = '';
+      if (!rule.skipScreenshot) {
+        try {
+          await page.screenshot({ path: screenshotPath, type: 'png', fullPage: false });
+          savedScreenshot = screenshotPath;
+        } catch (screenshotError) {
+          console.error(`Screenshot error for ${url}: ${screenshotError.message}`);
+        }
+      }
 
-      // Verify existence before returning path
-      return fs.existsSync(screenshotPath) ? screenshotPath : "";
+      // All of the visible text, not just a snippet: a change anywhere on the page counts
+      const text = await page.evaluate(() => {
+        document.querySelectorAll('script, style, noscript, svg').forEach(el => el.remove());
+        return document.body ? document.body.innerText || '' : '';
+      });
+      if (!text.trim()) {
+        // Most likely the page didn't load; recording it would look like everything was removed
+        if (savedScreenshot) await fs.promises.unlink(savedScreenshot).catch(() => {});
+        throw new Error(`No text found on ${url}`);
+      }
+      return { text, screenshotPath: savedScreenshot };
+    }, { headless });
+  }
+}
 
-    } catch (error) {
-      console.error(`Error taking screenshot for ${url}:`, error);
-       if (browser) {
-           try { await browser.close(); }
-           catch (closeError) { console.error('Error closing browser during screenshot error handling:', closeError); }
-       }
-       throw new Error(`Failed to take screenshot for ${url}. Cause: ${error.message}`);
+// Web addresses in a pasted list or text file: one or more per line, separated by whitespace or commas.
+// Bare domains ("example.com/page") get https://. Duplicates are dropped, order is kept.
+function extractURLs(text) {
+  const seen = new Set();
+  const urls = [];
+  String(text || '').split(/[\s,]+/).forEach(token => {
+    let candidate = token.trim().replace(/^[<("']+|[>)"'.;]+$/g, '');
+    if (!candidate) return;
+    if (!/^https?:\/\//i.test(candidate)) {
+      if (/^[a-z][a-z0-9+.-]*:/i.test(candidate) || !/^[\w-]+(\.[\w-]+)*\.[a-z]{2,}(:\d+)?([/?#]|$)/i.test(candidate)) return;
+      candidate = 'https://' + candidate;
     }
-  }
+    try {
+      new URL(candidate);
+    } catch (_) {
+      return;
+    }
+    if (seen.has(candidate)) return;
+    seen.add(candidate);
+    urls.push(candidate);
+  });
+  return urls;
 }
 
-module.exports = URLProcessor;
\ No newline at end of file
+module.exports = URLProcessor;
+module.exports.extractURLs = extractURLs;
\ No newline at end of file